@@ -0,0 +1,149 @@
+// bench/wildcard.mjs
+// 通配符匹配基准测试：对比层级前缀树（不带缓存和带匹配缓存）与旧版线性正则扫描（含 5 秒 TTL 匹配缓存）
+// 运行：npm run bench
+
+import { performance } from 'node:perf_hooks';
+import { createWildcardTrie } from '../src/trie.js';
+
+const PATTERN_COUNTS = [10, 100, 1000];
+const LOOKUPS = 20000;
+
+/**
+ * 旧版实现：逐个模式做前缀检查和正则测试，结果缓存 5 秒
+ */
+const createLinearMatcher = () => {
+  const patterns = new Map();
+  const matchCache = new Map();
+  const CACHE_TTL = 5000;
+  const MAX_CACHE_SIZE = 1000;
+  
+  const toRegExp = (pattern) => {
+    const escaped = pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`^${escaped.replace(/\*/g, '([^.]+)')}$`);
+  };
+  
+  const checkCacheSize = () => {
+    if (matchCache.size > MAX_CACHE_SIZE) {
+      const entriesToDelete = Math.floor(MAX_CACHE_SIZE * 0.2);
+      [...matchCache.entries()]
+        .sort((a, b) => a[1].timestamp - b[1].timestamp)
+        .slice(0, entriesToDelete)
+        .forEach(([key]) => matchCache.delete(key));
+    }
+  };
+  
+  return {
+    insert(pattern, value) {
+      patterns.set(pattern, { pattern, value, regex: toRegExp(pattern), prefix: pattern.split('*')[0] });
+    },
+    
+    match(eventName) {
+      const cacheKey = `${eventName}:match`;
+      const now = Date.now();
+      
+      if (matchCache.has(cacheKey) && now - matchCache.get(cacheKey).timestamp <= CACHE_TTL) {
+        const cached = matchCache.get(cacheKey);
+        cached.timestamp = now;
+        return cached.matches;
+      }
+      
+      const matches = [];
+      patterns.forEach((data, pattern) => {
+        if (data.prefix && !pattern.startsWith('*') && !eventName.startsWith(data.prefix)) return;
+        if (data.regex.test(eventName)) matches.push(data.value);
+      });
+      
+      matchCache.set(cacheKey, { matches, timestamp: now });
+      if (matchCache.size % 50 === 0) {
+        checkCacheSize();
+      }
+      
+      return matches;
+    }
+  };
+};
+
+/**
+ * 生成形如 module3.entity12.* 的模式，覆盖常见的单层级通配符用法
+ */
+const createPatterns = (count) => {
+  const patterns = [];
+  for (let i = 0; i < count; i++) {
+    const moduleName = `module${i % 20}`;
+    const entity = `entity${Math.floor(i / 20)}`;
+    patterns.push(i % 10 === 0 ? `${moduleName}.*.changed` : `${moduleName}.${entity}.*`);
+  }
+  return patterns;
+};
+
+/**
+ * 生成事件名称，unique 为 true 时每次查找都使用新的事件名称（缓存始终未命中）
+ */
+const createEvents = (patternCount, unique) => {
+  const events = [];
+  const distinct = unique ? LOOKUPS : 50;
+  for (let i = 0; i < distinct; i++) {
+    const moduleName = `module${i % 20}`;
+    const entity = `entity${i % Math.max(1, Math.ceil(patternCount / 20))}`;
+    events.push(`${moduleName}.${entity}.${unique ? `changed${i}` : 'changed'}`);
+  }
+  return events;
+};
+
+const run = (matcher, events) => {
+  let matched = 0;
+  const start = performance.now();
+  for (let i = 0; i < LOOKUPS; i++) {
+    matched += matcher.match(events[i % events.length]).length;
+  }
+  const elapsed = performance.now() - start;
+  return { opsPerSec: Math.round(LOOKUPS / (elapsed / 1000)), matched };
+};
+
+const rows = [];
+
+PATTERN_COUNTS.forEach(count => {
+  const patterns = createPatterns(count);
+  
+  [false, true].forEach(unique => {
+    const events = createEvents(count, unique);
+    const setup = () => {
+      const trie = createWildcardTrie();
+      // 与事件总线使用相同的缓存大小
+      const cachedTrie = createWildcardTrie({ cacheSize: 1000 });
+      const linear = createLinearMatcher();
+      patterns.forEach(pattern => {
+        trie.insert(pattern, pattern);
+        cachedTrie.insert(pattern, pattern);
+        linear.insert(pattern, pattern);
+      });
+      return { trie, cachedTrie, linear };
+    };
+    
+    // 预热使用独立实例，避免预热填充的缓存影响计时
+    const warmup = setup();
+    run(warmup.trie, events);
+    run(warmup.cachedTrie, events);
+    run(warmup.linear, events);
+    
+    const { trie, cachedTrie, linear } = setup();
+    const trieResult = run(trie, events);
+    const cachedResult = run(cachedTrie, events);
+    const linearResult = run(linear, events);
+    
+    if (trieResult.matched !== linearResult.matched || cachedResult.matched !== linearResult.matched) {
+      throw new Error(`匹配结果不一致：trie=${trieResult.matched} cached=${cachedResult.matched} linear=${linearResult.matched}`);
+    }
+    
+    rows.push({
+      patterns: count,
+      events: unique ? 'unique' : 'repeated',
+      'trie ops/s': trieResult.opsPerSec,
+      'trie+cache ops/s': cachedResult.opsPerSec,
+      'linear ops/s': linearResult.opsPerSec,
+      speedup: `${(cachedResult.opsPerSec / linearResult.opsPerSec).toFixed(2)}x`
+    });
+  });
+});
+
+console.table(rows);
@@ -0,0 +1,23 @@
+import js from '@eslint/js';
+import globals from 'globals';
+
+export default [
+  {
+    ignores: ['dist/', 'coverage/']
+  },
+  js.configs.recommended,
+  {
+    languageOptions: {
+      ecmaVersion: 2022,
+      sourceType: 'module',
+      globals: {
+        ...globals.browser,
+        ...globals.node
+      }
+    },
+    rules: {
+      // 忽略错误的 catch 参数和用于剔除字段的剩余解构是有意为之
+      'no-unused-vars': ['error', { caughtErrors: 'none', ignoreRestSiblings: true }]
+    }
+  }
+];
@@ -1,5 +1,21 @@
 import { terser } from 'rollup-plugin-terser';
 
+// 框架依赖由使用方安装，不打包
+const external = ['react', 'vue', 'svelte', 'svelte/store', 'solid-js', '@angular/core'];
+
+// 按需入口（trame/core、trame/vue、trame/svelte、trame/dom 等），多入口构建共享同一个核心模块，保证全局事件总线只有一个实例
+const entries = {
+  index: 'src/index.js',
+  core: 'src/core.js',
+  vue: 'src/vue.js',
+  react: 'src/react.js',
+  svelte: 'src/svelte.js',
+  solid: 'src/solid.js',
+  angular: 'src/angular.js',
+  dom: 'src/dom.js',
+  ssr: 'src/ssr.js'
+};
+
 export default [
   // ESM 构建
   {
@@ -34,5 +50,29 @@ export default [
       exports: 'named',
     },
     plugins: [terser()],
+  },
+  // 按需入口构建
+  {
+    input: entries,
+    external,
+    output: [
+      {
+        dir: 'dist/esm',
+        format: 'es',
+        sourcemap: true,
+        exports: 'named',
+        entryFileNames: '[name].mjs',
+        chunkFileNames: 'chunks/[name]-[hash].mjs',
+      },
+      {
+        dir: 'dist/cjs',
+        format: 'cjs',
+        sourcemap: true,
+        exports: 'named',
+        entryFileNames: '[name].cjs',
+        chunkFileNames: 'chunks/[name]-[hash].cjs',
+      }
+    ],
+    plugins: [terser()],
   }
 ];
@@ -0,0 +1,148 @@
+// src/adapter.js
+// 框架适配器共用的工具函数
+
+/**
+ * 创建与 useVueEventBus 相同的适配器API，订阅类方法返回的取消函数会被记录，调用 cleanup() 时统一取消
+ * 框架适配器只需要把 cleanup 绑定到各自的组件生命周期
+ * @param {Object} eventBus 事件总线
+ * @param {Object} [options] 配置选项
+ * @param {Function} [options.shouldSkipSubscription] 返回 true 时跳过订阅（如服务端的全局事件总线）
+ * @returns {Object} 事件总线API（包含 cleanup）
+ */
+export const createAdapterAPI = (eventBus, options = {}) => {
+  const subscriptions = new Set();
+  const { shouldSkipSubscription } = options;
+  
+  // 清理函数
+  const cleanup = () => {
+    subscriptions.forEach(unsub => {
+      try { unsub(); } catch (e) { /* 忽略清理错误 */ }
+    });
+    subscriptions.clear();
+  };
+  
+  // 安全包装核心方法
+  const safeCall = (method, defaultValue, withSubscription = false) => {
+    return (...args) => {
+      try {
+        if (withSubscription && shouldSkipSubscription && shouldSkipSubscription(eventBus)) {
+          return defaultValue;
+        }
+        
+        const result = eventBus[method](...args);
+        
+        if (withSubscription && typeof result === 'function') {
+          subscriptions.add(result);
+          return () => {
+            try { result(); } catch (e) { /* 忽略错误 */ }
+            subscriptions.delete(result);
+          };
+        }
+        
+        return result;
+      } catch (e) {
+        console.warn(`[Trame.js] ${e.message || method + '调用失败'}`);
+        return defaultValue;
+      }
+    };
+  };
+  
+  return {
+    on: safeCall('on', () => {}, true),
+    once: safeCall('once', () => {}, true),
+    off: safeCall('off', undefined),
+    emit: safeCall('emit', false),
+    emitAsync: safeCall('emitAsync', Promise.resolve([])),
+    request: safeCall('request', undefined),
+    respond: safeCall('respond', () => {}, true),
+    // 新增功能
+    onMany: safeCall('onMany', () => {}, true),
+    onceMany: safeCall('onceMany', () => {}, true),
+    setPriority: safeCall('setPriority', false),
+    getPriorities: safeCall('getPriorities', null),
+    getMetrics: safeCall('getMetrics', {}),
+    resetMetrics: safeCall('resetMetrics', undefined),
+    setOptions: safeCall('setOptions', undefined),
+    has: safeCall('has', false),
+    count: safeCall('count', 0),
+    setSticky: safeCall('setSticky', false),
+    clearSticky: safeCall('clearSticky', undefined),
+    getSticky: safeCall('getSticky', []),
+    getEventNames: safeCall('getEventNames', []),
+    // 命名空间在组件卸载时整体销毁
+    namespace: (name) => {
+      try {
+        const scope = eventBus.namespace(name);
+        subscriptions.add(scope.dispose);
+        return scope;
+      } catch (e) {
+        console.warn(`[Trame.js] ${e.message || 'namespace调用失败'}`);
+        return null;
+      }
+    },
+    // 调试API直接引用
+    debug: eventBus.debug,
+    // 清理函数
+    cleanup
+  };
+};
+
+/**
+ * 从处理函数参数中取出事件数据，通配符订阅时跳过事件名称和捕获的参数
+ * @param {Object} eventBus 事件总线
+ * @param {string} event 订阅的事件名称或通配符模式
+ * @param {Array} args 处理函数收到的参数
+ * @returns {*} 事件数据
+ */
+export const getPayload = (eventBus, event, args) => {
+  if (!event.includes('*')) {
+    return args[0];
+  }
+  
+  const captures = eventBus.match(event, args[0]) || [];
+  return args[1 + captures.length];
+};
+
+/**
+ * 将事件订阅选项的值规范化为处理函数配置数组
+ * @private
+ * @param {string|Function|Object|Array} value 方法名、函数、{ handler, priority, replay } 或它们的数组
+ * @returns {Array<Object>} 处理函数配置
+ */
+const normalizeEventsOption = (value) => {
+  const items = Array.isArray(value) ? value : [value];
+  return items.map(item => (
+    item && typeof item === 'object' ? item : { handler: item }
+  ));
+};
+
+/**
+ * 根据事件订阅选项（Vue 组件的 events 选项、自定义元素的 trameEvents）订阅事件
+ * @param {Object} eventBus 事件总线
+ * @param {Object} events 事件名称（支持通配符） -> 方法名、函数、{ handler, priority, replay } 或它们的数组
+ * @param {Object} context 方法名的查找对象，也是处理函数的 this
+ * @param {string} optionName 选项名称，用于警告信息
+ * @returns {Array<Function>} 取消订阅函数
+ */
+export const subscribeEventsOption = (eventBus, events, context, optionName) => {
+  const unsubscribes = [];
+  
+  Object.keys(events).forEach(event => {
+    normalizeEventsOption(events[event]).forEach(({ handler, priority, replay }) => {
+      const method = typeof handler === 'string' ? context[handler] : handler;
+      
+      if (typeof method !== 'function') {
+        console.warn(`[Trame.js] ${optionName} 选项中 "${event}" 的处理函数无效: ${String(handler)}`);
+        return;
+      }
+      
+      try {
+        unsubscribes.push(eventBus.on(event, method.bind(context), { priority, replay }));
+      } catch (e) {
+        console.warn(`[Trame.js] ${e.message || '订阅事件失败'}`);
+      }
+    });
+  });
+  
+  return unsubscribes;
+};
@@ -0,0 +1,65 @@
+// src/angular.js
+import * as i0 from '@angular/core';
+import { DestroyRef, Injectable, InjectionToken, inject } from '@angular/core';
+import { eventBus as globalEventBus } from './core';
+import { createAdapterAPI } from './adapter';
+
+/**
+ * 事件总线注入令牌，默认为全局事件总线
+ */
+export const TRAME_EVENT_BUS = new InjectionToken('TRAME_EVENT_BUS', {
+  providedIn: 'root',
+  factory: () => globalEventBus
+});
+
+/**
+ * 为应用或组件提供事件总线
+ * @param {Object} bus 事件总线实例
+ * @returns {Array<Object>} providers
+ */
+export const provideTrame = (bus) => [{ provide: TRAME_EVENT_BUS, useValue: bus }];
+
+/**
+ * Angular适配器 - 在注入上下文（构造函数、字段初始化）中调用，DestroyRef 销毁时自动清理订阅
+ * @param {Object} [customEventBus] 自定义事件总线，默认为注入的事件总线
+ * @returns {Object} 事件总线API，与 useVueEventBus 相同
+ */
+export const injectEventBus = (customEventBus) => {
+  const api = createAdapterAPI(customEventBus || inject(TRAME_EVENT_BUS));
+  inject(DestroyRef).onDestroy(api.cleanup);
+  return api;
+};
+
+/**
+ * 可注入的事件总线服务，需要在组件（或指令）的 providers 中声明，订阅随组件销毁清理
+ * 不在根注入器中提供，避免单例上的订阅在应用的整个生命周期内无法清理
+ */
+export class TrameService {
+  constructor() {
+    Object.assign(this, injectEventBus());
+  }
+}
+
+// 以下为 @Injectable() 的局部编译（partial compilation）产物，与 ng-packagr 发布的库格式相同，
+// 由使用方构建时的 Angular linker 转换为完整定义，JIT 模式下由 @angular/compiler 在运行时处理
+TrameService.ɵfac = i0.ɵɵngDeclareFactory({
+  minVersion: '12.0.0',
+  version: '16.0.0',
+  ngImport: i0,
+  type: TrameService,
+  deps: [],
+  target: i0.ɵɵFactoryTarget.Injectable
+});
+TrameService.ɵprov = i0.ɵɵngDeclareInjectable({
+  minVersion: '12.0.0',
+  version: '16.0.0',
+  ngImport: i0,
+  type: TrameService
+});
+i0.ɵɵngDeclareClassMetadata({
+  minVersion: '12.0.0',
+  version: '16.0.0',
+  ngImport: i0,
+  type: TrameService,
+  decorators: [{ type: Injectable }]
+});
@@ -0,0 +1,250 @@
+// src/bridge.js
+import { createId, isStructuredCloneable } from './utils';
+
+// 消息标记，用于识别 Trame 桥接消息
+const MESSAGE_TAG = '__trame_bridge__';
+// 握手完成前最多缓存的事件数量
+const MAX_QUEUE_SIZE = 100;
+
+/**
+ * 检查通信目标是否为 MessagePort（MessagePort 没有 targetOrigin 参数，也不需要校验来源）
+ * @private
+ * @param {Object} target 通信目标
+ * @returns {boolean} 是否为 MessagePort
+ */
+const isMessagePort = (target) => typeof target.start === 'function' && typeof target.close === 'function';
+
+/**
+ * 创建 postMessage 桥接，连接 iframe / 微前端之间的两个事件总线
+ * 两端都需要创建桥接，握手完成后按 allow / deny 规则双向转发事件
+ * @param {Object} bus 本地事件总线
+ * @param {Object} options 配置选项
+ * @param {Object} options.target 通信目标（iframe.contentWindow、window.parent 或 MessagePort）
+ * @param {string} [options.targetOrigin] 目标窗口的源，目标为窗口时必填
+ * @param {Array<string>} [options.allowedOrigins] 允许接收消息的来源，默认为 [targetOrigin]
+ * @param {Array<string>} [options.allow] 允许转发的事件名称或通配符模式，不提供则允许所有事件
+ * @param {Array<string>} [options.deny] 禁止转发的事件名称或通配符模式，优先于 allow
+ * @param {string} [options.channel='trame'] 频道名称，同一窗口上存在多个桥接时用于区分
+ * @param {Object} [options.listenTo] 监听 message 事件的对象，目标为窗口时默认为当前 window
+ * @returns {Object} 桥接实例
+ */
+export const createPostMessageBridge = (bus, options = {}) => {
+  if (!bus || typeof bus.emit !== 'function' || typeof bus.use !== 'function') {
+    throw new TypeError('必须提供有效的事件总线');
+  }
+  
+  const { target } = options;
+  if (!target || typeof target.postMessage !== 'function') {
+    throw new TypeError('通信目标必须支持 postMessage');
+  }
+  
+  const channel = options.channel || 'trame';
+  const usePort = isMessagePort(target);
+  const targetOrigin = options.targetOrigin;
+  
+  if (!usePort && !targetOrigin) {
+    throw new Error('使用 window.postMessage 时必须指定 targetOrigin');
+  }
+  
+  if (!usePort && targetOrigin === '*') {
+    console.warn('[Trame.js] targetOrigin 为 "*"，任何来源的页面都可能收到桥接事件');
+  }
+  
+  const allowedOrigins = options.allowedOrigins || (targetOrigin && targetOrigin !== '*' ? [targetOrigin] : null);
+  const allow = Array.isArray(options.allow) ? options.allow : null;
+  const deny = Array.isArray(options.deny) ? options.deny : [];
+  const listenTo = usePort ? target : (options.listenTo || (typeof window !== 'undefined' ? window : null));
+  
+  if (!listenTo || typeof listenTo.addEventListener !== 'function') {
+    throw new Error('无法监听 message 事件，请提供 listenTo');
+  }
+  
+  const bridgeId = createId();
+  // 握手完成前缓存的事件
+  const queue = [];
+  let peerId = null;
+  let closed = false;
+  
+  let resolveReady;
+  let rejectReady;
+  const ready = new Promise((resolve, reject) => {
+    resolveReady = resolve;
+    rejectReady = reject;
+  });
+  // 避免未处理的拒绝警告，调用方仍可自行处理
+  ready.catch(() => {});
+  
+  /**
+   * 检查事件是否允许通过桥接
+   * @private
+   */
+  const isAllowed = (event) => {
+    const matches = pattern => bus.match(pattern, event) !== null;
+    
+    if (deny.some(matches)) return false;
+    return allow === null || allow.some(matches);
+  };
+  
+  /**
+   * 发送协议消息
+   * @private
+   */
+  const send = (message) => {
+    const data = { [MESSAGE_TAG]: 1, channel, bridgeId, ...message };
+    
+    try {
+      if (usePort) {
+        target.postMessage(data);
+      } else {
+        target.postMessage(data, targetOrigin);
+      }
+    } catch (error) {
+      console.warn(`[Trame.js] 桥接消息发送失败: ${message.type}`, error);
+    }
+  };
+  
+  /**
+   * 发送或缓存事件
+   * @private
+   */
+  const forward = (event, args) => {
+    if (!isStructuredCloneable(args)) {
+      console.warn(`[Trame.js] 事件 ${event} 的参数无法结构化克隆，已跳过桥接转发`);
+      return;
+    }
+    
+    if (peerId === null) {
+      queue.push({ event, args });
+      if (queue.length > MAX_QUEUE_SIZE) {
+        queue.shift();
+      }
+      return;
+    }
+    
+    send({ type: 'event', event, args });
+  };
+  
+  /**
+   * 标记握手完成并发送缓存的事件
+   * @private
+   */
+  const connect = (id) => {
+    peerId = id;
+    resolveReady();
+    
+    queue.splice(0).forEach(({ event, args }) => {
+      send({ type: 'event', event, args });
+    });
+  };
+  
+  /**
+   * 处理来自对端的消息
+   * @private
+   */
+  const onMessage = (e) => {
+    const data = e && e.data;
+    if (closed || !data || data[MESSAGE_TAG] !== 1 || data.channel !== channel) return;
+    
+    // 忽略自己发出的消息
+    if (data.bridgeId === bridgeId) return;
+    
+    if (!usePort) {
+      // 校验来源窗口和源
+      if (e.source && e.source !== target) return;
+      if (allowedOrigins && !allowedOrigins.includes(e.origin)) {
+        console.warn(`[Trame.js] 已拒绝来自未授权来源的桥接消息: ${e.origin}`);
+        return;
+      }
+    }
+    
+    switch (data.type) {
+      case 'hello':
+        send({ type: 'ack' });
+        connect(data.bridgeId);
+        break;
+      
+      case 'ack':
+        connect(data.bridgeId);
+        break;
+      
+      case 'bye':
+        if (data.bridgeId === peerId) {
+          peerId = null;
+        }
+        break;
+      
+      case 'event':
+        if (data.bridgeId !== peerId || typeof data.event !== 'string' || !isAllowed(data.event)) return;
+        
+        // 来源信息随事件写入 ctx.meta，异步中间件之后也能识别，避免回传给对端
+        bus.emitWithMeta({
+          bridge: {
+            channel,
+            bridgeId,
+            peerId,
+            origin: usePort ? null : e.origin
+          }
+        }, data.event, ...(Array.isArray(data.args) ? data.args : []));
+        break;
+    }
+  };
+  
+  // 通过中间件转发本地事件，由本桥接收到的事件在 ctx.meta.bridge 中带有来源信息，不再回传
+  // 其他桥接收到的事件仍会转发，宿主页面可以在多个 iframe 之间中转
+  const removeMiddleware = bus.use((ctx, next) => {
+    const received = ctx.meta.bridge && ctx.meta.bridge.bridgeId === bridgeId;
+    if (!received && ctx.type !== 'request' && isAllowed(ctx.event)) {
+      forward(ctx.event, ctx.args);
+    }
+    
+    return next();
+  }, { name: `bridge:${channel}` });
+  
+  listenTo.addEventListener('message', onMessage);
+  if (usePort) {
+    target.start();
+  }
+  
+  // 发起握手，对端就绪时会回复 ack；对端稍后创建时会发送 hello
+  send({ type: 'hello' });
+  
+  return {
+    bridgeId,
+    channel,
+    ready,
+    
+    /**
+     * 是否已与对端完成握手
+     * @returns {boolean}
+     */
+    isConnected() {
+      return peerId !== null;
+    },
+    
+    /**
+     * 关闭桥接，通知对端并停止收发事件
+     */
+    close() {
+      if (closed) return;
+      
+      if (peerId !== null) {
+        send({ type: 'bye' });
+      } else {
+        rejectReady(new Error('桥接已关闭'));
+      }
+      
+      closed = true;
+      peerId = null;
+      queue.length = 0;
+      
+      removeMiddleware();
+      listenTo.removeEventListener('message', onMessage);
+      
+      if (usePort) {
+        target.close();
+      }
+    }
+  };
+};
+
+export default createPostMessageBridge;
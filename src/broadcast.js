@@ -0,0 +1,225 @@
+// src/broadcast.js
+import { eventBus as globalEventBus } from './core';
+import { createId, isStructuredCloneable } from './utils';
+
+// 消息标记，用于识别 Trame 发出的跨标签页消息
+const MESSAGE_TAG = '__trame__';
+// 去重记录的最大消息数量
+const MAX_SEEN_MESSAGES = 200;
+
+/**
+ * 检查值是否可以被 JSON 序列化（localStorage 降级方案使用 JSON 传递数据）
+ * @private
+ * @param {*} value 待检查的值
+ * @returns {boolean} 是否可以序列化
+ */
+const isJSONSerializable = (value) => {
+  try {
+    JSON.stringify(value);
+    return true;
+  } catch (e) {
+    return false;
+  }
+};
+
+/**
+ * 创建跨标签页事件传输，将匹配的事件同步到同源的其他标签页
+ * 优先使用 BroadcastChannel，不支持时降级为 localStorage 的 storage 事件
+ * @param {Object} options 配置选项
+ * @param {string} [options.channel='trame'] 频道名称
+ * @param {Array<string>|string} options.events 需要同步的事件名称或通配符模式
+ * @param {Object} [options.bus] 事件总线，默认为全局实例
+ * @param {string} [options.transport='auto'] 传输方式（auto | broadcast | storage）
+ * @param {Function} [options.channelFactory] 创建频道的工厂函数 (name) => BroadcastChannel，便于测试注入
+ * @param {Object} [options.storage] localStorage 兼容对象，默认为 window.localStorage
+ * @param {Object} [options.storageTarget] 监听 storage 事件的对象，默认为 window
+ * @param {string} [options.tabId] 当前标签页ID，默认自动生成
+ * @returns {Object} 传输实例
+ */
+export const createBroadcastTransport = (options = {}) => {
+  const channel = options.channel || 'trame';
+  const patterns = (Array.isArray(options.events) ? options.events : [options.events])
+    .filter(pattern => typeof pattern === 'string' && pattern.trim() !== '');
+  const bus = options.bus || globalEventBus;
+  const tabId = options.tabId || createId();
+  const channelName = `trame:${channel}`;
+  
+  if (patterns.length === 0) {
+    console.warn('[Trame.js] 跨标签页传输未配置需要同步的事件');
+  }
+  
+  // 已处理的消息ID，用于去重
+  const seenMessages = new Set();
+  let messageCount = 0;
+  let closed = false;
+  
+  // 选择传输方式
+  const storage = options.storage || (typeof localStorage !== 'undefined' ? localStorage : null);
+  const storageTarget = options.storageTarget || (typeof window !== 'undefined' ? window : null);
+  const hasBroadcastChannel = typeof options.channelFactory === 'function' || typeof BroadcastChannel === 'function';
+  
+  let mode = 'none';
+  if (options.transport !== 'storage' && hasBroadcastChannel) {
+    mode = 'broadcast';
+  } else if (options.transport !== 'broadcast' && storage && storageTarget) {
+    mode = 'storage';
+  }
+  
+  if (mode === 'none') {
+    console.warn('[Trame.js] 当前环境不支持 BroadcastChannel 和 localStorage，跨标签页传输不可用');
+  }
+  
+  /**
+   * 检查事件是否需要同步
+   * @private
+   */
+  const shouldSync = (event) => patterns.some(pattern => bus.match(pattern, event) !== null);
+  
+  /**
+   * 记录已处理的消息ID
+   * @private
+   */
+  const markSeen = (id) => {
+    seenMessages.add(id);
+    if (seenMessages.size > MAX_SEEN_MESSAGES) {
+      seenMessages.delete(seenMessages.values().next().value);
+    }
+  };
+  
+  /**
+   * 处理来自其他标签页的消息
+   * @private
+   */
+  const handleMessage = (message) => {
+    if (closed || !message || message[MESSAGE_TAG] !== 1 || message.channel !== channel) return;
+    
+    // 忽略自己发出的消息和重复消息
+    if (message.origin === tabId || seenMessages.has(message.id)) return;
+    markSeen(message.id);
+    
+    if (typeof message.event !== 'string' || !shouldSync(message.event)) return;
+    
+    // 来源信息随事件写入 ctx.meta，异步中间件之后也能识别，避免再次转发形成回环
+    const transport = {
+      channel,
+      id: message.id,
+      origin: message.origin,
+      timestamp: message.timestamp
+    };
+    
+    bus.emitWithMeta({ transport }, message.event, ...(Array.isArray(message.args) ? message.args : []));
+  };
+  
+  // 建立连接
+  let port = null;
+  let onStorage = null;
+  
+  if (mode === 'broadcast') {
+    port = typeof options.channelFactory === 'function'
+      ? options.channelFactory(channelName)
+      : new BroadcastChannel(channelName);
+    
+    const onMessage = (e) => handleMessage(e && e.data);
+    if (typeof port.addEventListener === 'function') {
+      port.addEventListener('message', onMessage);
+    } else {
+      port.onmessage = onMessage;
+    }
+  } else if (mode === 'storage') {
+    onStorage = (e) => {
+      if (!e || e.key !== channelName || !e.newValue) return;
+      
+      try {
+        handleMessage(JSON.parse(e.newValue));
+      } catch (error) {
+        console.warn('[Trame.js] 无法解析跨标签页消息', error);
+      }
+    };
+    storageTarget.addEventListener('storage', onStorage);
+  }
+  
+  /**
+   * 发送事件到其他标签页
+   * @private
+   */
+  const post = (event, args) => {
+    const cloneable = mode === 'storage' ? isJSONSerializable(args) : isStructuredCloneable(args);
+    if (!cloneable) {
+      console.warn(`[Trame.js] 事件 ${event} 的参数无法序列化，已跳过跨标签页同步`);
+      return;
+    }
+    
+    const message = {
+      [MESSAGE_TAG]: 1,
+      channel,
+      id: `${tabId}:${++messageCount}`,
+      origin: tabId,
+      event,
+      args,
+      timestamp: Date.now()
+    };
+    markSeen(message.id);
+    
+    try {
+      if (mode === 'broadcast') {
+        port.postMessage(message);
+      } else {
+        // 写入后立即删除，其他标签页会收到 storage 事件
+        storage.setItem(channelName, JSON.stringify(message));
+        storage.removeItem(channelName);
+      }
+    } catch (error) {
+      console.warn(`[Trame.js] 跨标签页同步事件 ${event} 失败`, error);
+    }
+  };
+  
+  // 通过中间件转发本地事件，来自其他标签页的事件在 ctx.meta.transport 中带有来源信息，不再转发
+  const removeMiddleware = bus.use((ctx, next) => {
+    const received = ctx.meta.transport && ctx.meta.transport.channel === channel;
+    if (!received && mode !== 'none' && ctx.type !== 'request' && shouldSync(ctx.event)) {
+      post(ctx.event, ctx.args);
+    }
+    
+    return next();
+  }, { name: `broadcast:${channel}` });
+  
+  return {
+    tabId,
+    channel,
+    mode,
+    
+    /**
+     * 关闭传输，停止收发事件
+     */
+    close() {
+      if (closed) return;
+      closed = true;
+      
+      removeMiddleware();
+      
+      if (port) {
+        if (typeof port.close === 'function') {
+          port.close();
+        }
+        port = null;
+      }
+      
+      if (onStorage) {
+        storageTarget.removeEventListener('storage', onStorage);
+        onStorage = null;
+      }
+      
+      seenMessages.clear();
+    },
+    
+    /**
+     * 是否已关闭
+     * @returns {boolean}
+     */
+    isClosed() {
+      return closed;
+    }
+  };
+};
+
+export default createBroadcastTransport;
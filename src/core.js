@@ -1,9 +1,20 @@
+import { createWildcardTrie } from './trie';
+
 /**
  * 创建事件总线
  * @param {Object} options 配置选项
  * @param {boolean} [options.enableDebug=false] 是否启用调试
  * @param {number} [options.maxWildcardsPerPattern=5] 每个模式最大通配符数量
  * @param {boolean} [options.unifyParams=false] 是否统一参数格式（普通事件也会收到事件名）
+ * @param {string} [options.asyncMode='sequential'] emitAsync的执行模式（sequential串行 | parallel并行）
+ * @param {number} [options.requestTimeout=5000] request的默认超时时间（毫秒），0表示不超时
+ * @param {string} [options.validationPolicy='throw'] 事件参数校验失败时的默认处理策略（throw | warn | drop）
+ * @param {string} [options.delimiter='.'] 事件名称的层级分隔符，如 "."、":"、"/"
+ * @param {string|Array<string>} [options.snapshotEvents=[]] 记录到事件快照的事件名称或通配符模式，默认不记录
+ * @param {Object} [options.initialSnapshot] 初始快照（事件名称 -> 事件数据），通常为服务端渲染时的快照
+ * @param {boolean} [options.ssr=false] 是否为服务端的请求级事件总线，为 true 时 getServerSnapshot 返回实时快照
+ * @param {string} [options.handlerOrder='grouped'] 处理函数的执行顺序：
+ *   grouped 直接订阅在前、通配符订阅在后按模式逐个执行，各组内按优先级排列；merged 所有匹配的处理函数统一按优先级排列
  * @returns {Object} 事件总线实例
  */
 export const createEventBus = (options = {}) => {
@@ -26,6 +37,14 @@ export const createEventBus = (options = {}) => {
     LOWEST: 0
   };
   
+  /**
+   * 将单个事件名称或名称数组规范化为非空字符串数组
+   * @private
+   * @param {string|Array<string>} [value] 事件名称或通配符模式
+   * @returns {Array<string>} 事件名称数组
+   */
+  const toPatternList = (value) => [].concat(value ?? []).filter(pattern => typeof pattern === 'string' && pattern.trim() !== '');
+  
   // 创建内部配置对象，用于在整个闭包中共享和更新配置
   const internalOptions = {
     // 基本配置
@@ -33,6 +52,15 @@ export const createEventBus = (options = {}) => {
     maxWildcardsPerPattern: options.maxWildcardsPerPattern ?? 5,
     unifyParams: options.unifyParams ?? false,
     defaultPriority: options.defaultPriority ?? PRIORITY.NORMAL,
+    asyncMode: options.asyncMode === 'parallel' ? 'parallel' : 'sequential',
+    handlerOrder: options.handlerOrder === 'merged' ? 'merged' : 'grouped',
+    requestTimeout: options.requestTimeout ?? 5000,
+    validationPolicy: options.validationPolicy ?? 'throw',
+    delimiter: typeof options.delimiter === 'string' && options.delimiter !== '' && !options.delimiter.includes('*')
+      ? options.delimiter
+      : '.',
+    // 快照只记录选中的事件，避免为每个触发过的事件名称永久保留数据
+    snapshotEvents: toPatternList(options.snapshotEvents),
     
     // 日志配置
     logLevel: options.logLevel ?? (options.enableDebug ? LOG_LEVELS.DEBUG : LOG_LEVELS.NONE),
@@ -52,24 +80,61 @@ export const createEventBus = (options = {}) => {
   
   // 通配符事件存储，用于提高查找效率
   const wildcardEvents = new Map();
+  // 通配符模式的层级前缀树，按事件名称的层级查找匹配的模式
+  // 同时缓存最近查找过的事件名称的匹配结果，同一批事件反复触发时无需再遍历前缀树
+  const wildcardTrie = createWildcardTrie({ delimiter: internalOptions.delimiter, cacheSize: 1000 });
+  
+  // 请求响应者存储，使用Map<string, Array<{handler, priority, id}>>结构
+  const responders = new Map();
+  
+  // 事件定义（事件契约），使用Map<string, {validate, schema, policy, description}>结构
+  const eventDefinitions = new Map();
+  
+  // 粘性事件配置，使用Map<string, {size, ttl}>结构，键可以是通配符模式
+  const stickyConfigs = new Map();
+  // 粘性事件记录，使用Map<string, Array<{args, timestamp, seq}>>结构
+  const stickyRecords = new Map();
+  // 粘性记录序号，用于跨事件保持触发顺序
+  let stickySeq = 0;
+  
+  // 事件快照：每个事件最近一次的事件数据（第一个参数），使用Map<string, *>结构
+  const snapshotValues = new Map(Object.entries(options.initialSnapshot || {}));
+  // 服务端快照保持初始状态（或 hydrate 注入的状态）不变，保证服务端渲染和客户端注水时读取到相同的值
+  let serverSnapshot = Object.freeze(Object.fromEntries(snapshotValues));
+  // 来自服务端（initialSnapshot 或 hydrate）的事件，之后触发时继续更新快照，不需要在 snapshotEvents 中重复声明
+  const hydratedSnapshotEvents = new Set(snapshotValues.keys());
+  // 服务端的请求级事件总线在渲染前触发的事件需要体现在渲染结果中
+  const isServerBus = options.ssr === true;
+  // 当前快照对象，事件数据变化后在下次读取时重新生成
+  let currentSnapshot = serverSnapshot;
+  let snapshotDirty = false;
+  // 快照订阅者
+  const snapshotListeners = new Set();
+  
+  // 中间件列表，按注册顺序执行，使用Array<{name, handle}>结构
+  const middlewares = [];
+  // 订阅/取消订阅拦截器
+  const subscribeInterceptors = [];
+  const unsubscribeInterceptors = [];
+  // 处理函数错误钩子
+  const errorHooks = [];
   
   // 用于生成唯一ID
   let handlerId = 0;
-  // 正则表达式缓存
+  // 用于生成请求ID
+  let requestId = 0;
+  // 正则表达式缓存（用于提取通配符参数和 match）
   const regexCache = new Map();
-  // 通配符匹配结果缓存
-  const matchCache = new Map();
-  // 缓存有效期（毫秒）
-  const CACHE_TTL = 5000;
-  // 缓存大小上限
-  const MAX_CACHE_SIZE = 1000;
   
   // 性能指标
   const metrics = {
     emitCount: 0,
     wildcardMatchCount: 0,
-    cacheHitCount: 0,
-    cacheMissCount: 0
+    wildcardLookupCount: 0,
+    requestCount: 0,
+    requestTimeoutCount: 0,
+    validationFailureCount: 0,
+    handlerErrorCount: 0
   };
   
   // 日志历史记录
@@ -198,43 +263,6 @@ export const createEventBus = (options = {}) => {
     }
   };
     
-  /**
-   * 清理过期缓存
-   * @private
-   */
-  const cleanupExpiredCache = () => {
-    const now = Date.now();
-    let deleteCount = 0;
-    
-    matchCache.forEach(({ timestamp }, key) => {
-      if (now - timestamp > CACHE_TTL) {
-        matchCache.delete(key);
-        deleteCount++;
-      }
-    });
-    
-    if (deleteCount > 0) {
-      debug(`已清理 ${deleteCount} 条过期缓存`);
-    }
-  };
-  
-  /**
-   * 检查缓存大小并在必要时进行清理
-   * @private
-   */
-  const checkCacheSize = () => {
-    if (matchCache.size > MAX_CACHE_SIZE) {
-      // 删除最旧的20%缓存
-      const entriesToDelete = Math.floor(MAX_CACHE_SIZE * 0.2);
-      const entries = [...matchCache.entries()]
-        .sort((a, b) => a[1].timestamp - b[1].timestamp)
-        .slice(0, entriesToDelete);
-        
-      entries.forEach(([key]) => matchCache.delete(key));
-      debug(`缓存已达上限，已清理 ${entriesToDelete} 条缓存`);
-    }
-  };
-
   /**
    * 检查字符串是否包含通配符
    * @private
@@ -244,21 +272,27 @@ export const createEventBus = (options = {}) => {
   const hasWildcard = (event) => event.includes('*');
   
   /**
-   * 计算字符串中通配符的数量
+   * 计算字符串中通配符的数量（** 计为一个通配符）
    * @private
    * @param {string} pattern 模式字符串
    * @returns {number} 通配符数量
    */
   const countWildcards = (pattern) => {
-    let count = 0;
-    for (let i = 0; i < pattern.length; i++) {
-      if (pattern[i] === '*') count++;
-    }
-    return count;
+    const matches = pattern.match(/\*\*|\*/g);
+    return matches ? matches.length : 0;
   };
+  
+  /**
+   * 转义正则表达式中的特殊字符
+   * @private
+   * @param {string} str 原始字符串
+   * @returns {string} 转义后的字符串
+   */
+  const escapeRegExp = (str) => str.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
 
   /**
    * 将通配符模式转换为正则表达式
+   * * 匹配单个层级（不包含分隔符），** 匹配一个或多个层级，** 必须独占一个层级
    * @private
    * @param {string} pattern 包含通配符的模式
    * @returns {RegExp} 对应的正则表达式
@@ -273,10 +307,23 @@ export const createEventBus = (options = {}) => {
       throw new Error(`通配符模式 "${pattern}" 中的通配符数量超过限制 (${internalOptions.maxWildcardsPerPattern})`);
     }
     
-    // 转义特殊字符，但保留 * 作为通配符
-    const escaped = pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
-    // 将 * 替换为正则表达式中匹配任意字符的模式
-    const regexPattern = escaped.replace(/\*/g, '([^.]+)'); // 限制通配符不匹配点号，更符合事件命名习惯
+    const delimiter = internalOptions.delimiter;
+    const escapedDelimiter = escapeRegExp(delimiter);
+    
+    const regexPattern = pattern.split(delimiter).map(segment => {
+      if (segment === '**') {
+        // 多层级通配符，可以跨越分隔符
+        return '(.+)';
+      }
+      
+      if (segment.includes('**')) {
+        throw new Error(`通配符模式 "${pattern}" 中的 ** 必须独占一个层级`);
+      }
+      
+      // 单层级通配符不匹配分隔符，更符合事件命名习惯
+      return segment.split('*').map(escapeRegExp).join(`([^${escapedDelimiter}]+)`);
+    }).join(escapedDelimiter);
+    
     // 创建正则表达式对象，确保完全匹配
     const regex = new RegExp(`^${regexPattern}$`);
     
@@ -285,15 +332,205 @@ export const createEventBus = (options = {}) => {
     return regex;
   };
 
+  /**
+   * 处理函数排序：优先级从高到低，优先级相同时按订阅顺序（ID）
+   * @private
+   */
+  const compareHandlers = (a, b) => b.priority - a.priority || a.id - b.id;
+  
+  /**
+   * 检查处理函数对象是否与 off / setPriority 传入的处理函数或ID匹配，未传入时匹配所有处理函数
+   * @private
+   * @param {Object} handlerObj 处理函数对象
+   * @param {Function|number} [handler] 处理函数或处理函数ID
+   * @returns {boolean}
+   */
+  const matchesHandler = (handlerObj, handler) => (
+    handler === undefined ||
+    (typeof handler === 'number' && handlerObj.id === handler) ||
+    (typeof handler === 'function' && handlerObj.handler === handler)
+  );
+  
+  /**
+   * 释放被移除的处理函数占用的资源（节流、防抖和批处理的定时器）
+   * @private
+   * @param {Object} handlerObj 处理函数对象
+   */
+  const releaseHandler = (handlerObj) => {
+    if (handlerObj.limiter) {
+      handlerObj.limiter.cancel();
+    }
+  };
+  
+  /**
+   * 按 throttle / debounce / batch 选项限制处理函数的调用
+   * 定时器在调用时读取全局的 setTimeout / clearTimeout，测试中可以使用假定时器控制
+   * 每次调用都传入触发的事件名称：立即执行的调用在分发过程中执行，使用本次分发的事件上下文，出错时按错误处理策略处理；
+   * 延迟执行时对应的分发已经结束，为 withContext 的处理函数创建新的事件上下文，出错时交给 onError
+   * @private
+   * @param {Function} handler 处理函数
+   * @param {Object} options 订阅选项 { throttle, debounce, leading, trailing, batch: { size, wait }, withContext }
+   * @param {Function} onError 延迟执行出错时的回调 (error, event)
+   * @returns {Object|null} { invoke(event, args, eventContext), cancel }，没有相关选项时返回null
+   */
+  const createRateLimiter = (handler, options, onError) => {
+    const { throttle, debounce, batch } = options;
+    const modes = [throttle, debounce, batch].filter(value => value !== undefined);
+    
+    if (modes.length === 0) return null;
+    if (modes.length > 1) {
+      throw new TypeError('throttle、debounce 和 batch 不能同时使用');
+    }
+    
+    const withContext = !!options.withContext;
+    let timer = null;
+    // 等待在结束时执行的调用 { event, args }
+    let pending = null;
+    
+    const call = (event, args, eventContext) => (
+      withContext ? handler(...args, eventContext || createEventContext(event)) : handler(...args)
+    );
+    
+    const runDeferred = (event, args) => {
+      try {
+        call(event, args, null);
+      } catch (error) {
+        onError(error, event);
+      }
+    };
+    
+    const cancel = () => {
+      if (timer !== null) {
+        clearTimeout(timer);
+        timer = null;
+      }
+      pending = null;
+    };
+    
+    if (batch !== undefined) {
+      const { size, wait } = batch || {};
+      const hasSize = typeof size === 'number' && size > 0;
+      const hasWait = typeof wait === 'number' && wait >= 0;
+      
+      if (!hasSize && !hasWait) {
+        throw new TypeError('batch 需要提供正数 size 或非负数 wait');
+      }
+      
+      const items = [];
+      // 最后一次调用的事件名称，用于延迟执行时的事件上下文和错误信息
+      let lastEvent = null;
+      const take = () => {
+        if (timer !== null) {
+          clearTimeout(timer);
+          timer = null;
+        }
+        return items.splice(0);
+      };
+      
+      return {
+        invoke(event, args, eventContext) {
+          items.push(args);
+          lastEvent = event;
+          
+          // 达到批量大小时在本次分发中立即执行
+          if (hasSize && items.length >= size) {
+            return call(event, [take()], eventContext);
+          }
+          
+          if (hasWait && timer === null) {
+            timer = setTimeout(() => {
+              timer = null;
+              const batchItems = take();
+              if (batchItems.length > 0) runDeferred(lastEvent, [batchItems]);
+            }, wait);
+          }
+          return undefined;
+        },
+        cancel() {
+          cancel();
+          items.length = 0;
+        }
+      };
+    }
+    
+    const wait = throttle !== undefined ? throttle : debounce;
+    if (typeof wait !== 'number' || !(wait > 0)) {
+      throw new TypeError(`${throttle !== undefined ? 'throttle' : 'debounce'} 必须是正数（毫秒）`);
+    }
+    
+    // 节流默认在开始和结束时执行，防抖默认只在结束时执行
+    const leading = options.leading ?? throttle !== undefined;
+    const trailing = options.trailing ?? true;
+    
+    if (!leading && !trailing) {
+      throw new TypeError('leading 和 trailing 不能同时为 false');
+    }
+    
+    if (throttle !== undefined) {
+      const endWindow = () => {
+        timer = null;
+        if (trailing && pending) {
+          const { event, args } = pending;
+          pending = null;
+          // 结束时的调用开始新的节流窗口
+          timer = setTimeout(endWindow, wait);
+          runDeferred(event, args);
+        }
+      };
+      
+      return {
+        invoke(event, args, eventContext) {
+          if (timer !== null) {
+            pending = { event, args };
+            return undefined;
+          }
+          
+          timer = setTimeout(endWindow, wait);
+          if (leading) {
+            return call(event, args, eventContext);
+          }
+          pending = { event, args };
+          return undefined;
+        },
+        cancel
+      };
+    }
+    
+    return {
+      invoke(event, args, eventContext) {
+        const idle = timer === null;
+        if (!idle) clearTimeout(timer);
+        
+        timer = setTimeout(() => {
+          timer = null;
+          if (trailing && pending) {
+            const { event: pendingEvent, args: pendingArgs } = pending;
+            pending = null;
+            runDeferred(pendingEvent, pendingArgs);
+          }
+        }, wait);
+        
+        if (idle && leading) {
+          pending = null;
+          return call(event, args, eventContext);
+        }
+        pending = { event, args };
+        return undefined;
+      },
+      cancel
+    };
+  };
+  
   /**
    * 为通配符模式添加索引
    * @private
    * @param {string} pattern 通配符模式
    * @param {Function} handler 处理函数
    * @param {number} [priority] 处理函数优先级
+   * @param {Object} [extra] 处理函数对象的其他字段
    * @returns {number} 处理函数ID
    */
-  const addWildcardIndex = (pattern, handler, priority = internalOptions.defaultPriority) => {
+  const addWildcardIndex = (pattern, handler, priority = internalOptions.defaultPriority, extra = {}) => {
     try {
       // 验证模式格式
       if (!pattern.trim()) {
@@ -302,17 +539,16 @@ export const createEventBus = (options = {}) => {
       
       if (!wildcardEvents.has(pattern)) {
         // 尝试创建正则表达式，如果格式错误会抛出异常
-        const regex = wildcardToRegExp(pattern);
-        
-        // 提取前缀用于优化查找
-        const prefix = pattern.split('*')[0];
+        wildcardToRegExp(pattern);
         
-        wildcardEvents.set(pattern, {
-          regex,
-          prefix,
+        const wildcardData = {
+          pattern,
           handlers: [],  // 使用数组替代Set，以支持优先级排序
           createdAt: Date.now()
-        });
+        };
+        
+        wildcardEvents.set(pattern, wildcardData);
+        wildcardTrie.insert(pattern, wildcardData);
       }
       
       // 生成唯一ID
@@ -320,16 +556,14 @@ export const createEventBus = (options = {}) => {
       
       // 添加处理函数对象（包含处理函数、优先级和ID）
       wildcardEvents.get(pattern).handlers.push({
+        ...extra,
         handler,
         priority: Number(priority) || internalOptions.defaultPriority,
         id
       });
       
       // 对处理函数按优先级排序（从高到低）
-      wildcardEvents.get(pattern).handlers.sort((a, b) => b.priority - a.priority);
-      
-      // 清除受影响的匹配缓存
-      clearRelatedMatchCache(pattern);
+      wildcardEvents.get(pattern).handlers.sort(compareHandlers);
       
       return id;
     } catch (error) {
@@ -350,427 +584,2541 @@ export const createEventBus = (options = {}) => {
     const wildcardData = wildcardEvents.get(pattern);
     let result = false;
     
-    if (handler === undefined) {
-      // 删除所有处理函数
-      result = wildcardData.handlers.length > 0;
-      wildcardData.handlers = [];
-    } else if (typeof handler === 'number') {
-      // 按ID删除处理函数
-      const initialLength = wildcardData.handlers.length;
-      wildcardData.handlers = wildcardData.handlers.filter(item => item.id !== handler);
-      result = wildcardData.handlers.length < initialLength;
-    } else if (typeof handler === 'function') {
-      // 按函数引用删除处理函数
-      const initialLength = wildcardData.handlers.length;
-      wildcardData.handlers = wildcardData.handlers.filter(item => item.handler !== handler);
-      result = wildcardData.handlers.length < initialLength;
+    // 删除所有处理函数，或按ID、函数引用删除处理函数
+    const removed = wildcardData.handlers.filter(item => matchesHandler(item, handler));
+    if (removed.length > 0) {
+      wildcardData.handlers = wildcardData.handlers.filter(item => !removed.includes(item));
+      removed.forEach(releaseHandler);
+      result = true;
     }
     
     // 如果没有处理函数了，则清理索引
     if (wildcardData.handlers.length === 0) {
       wildcardEvents.delete(pattern);
+      wildcardTrie.remove(pattern);
       // 清除正则表达式缓存
       regexCache.delete(pattern);
     }
     
-    // 清除受影响的匹配缓存
-    clearRelatedMatchCache(pattern);
-    
     return result;
   };
   
   /**
-   * 清除与指定模式相关的匹配缓存
+   * 查找与事件名称匹配的所有通配符模式
+   * @private
+   * @param {string} eventName 事件名称
+   * @param {boolean} [countMetrics=true] 是否计入性能指标
+   * @returns {Array<Object>} 匹配的通配符数据数组，按模式的注册顺序排列
+   */
+  const findMatchingWildcards = (eventName, countMetrics = true) => {
+    if (wildcardEvents.size === 0) return [];
+    
+    if (countMetrics) metrics.wildcardLookupCount++;
+    return wildcardTrie.match(eventName);
+  };
+  
+  /**
+   * 提取通配符模式中的参数值
    * @private
    * @param {string} pattern 通配符模式
+   * @param {string} eventName 事件名称
+   * @returns {Array<string>} 提取的参数值
+   */
+  const extractWildcardParams = (pattern, eventName) => {
+    try {
+      const regex = wildcardToRegExp(pattern);
+      const matches = regex.exec(eventName);
+      return matches ? Array.from(matches).slice(1) : [];
+    } catch (error) {
+      debug(`提取通配符参数出错: ${error.message}`);
+      return [];
+    }
+  };
+  
+  /**
+   * 获取事件对应的粘性配置（精确匹配优先，其次是匹配的通配符模式）
+   * @private
+   * @param {string} event 事件名称
+   * @returns {Object|null} 粘性配置
    */
-  const clearRelatedMatchCache = (pattern) => {
-    const prefix = pattern.split('*')[0];
-    const keysToDelete = [];
+  const getStickyConfig = (event) => {
+    if (stickyConfigs.has(event)) {
+      return stickyConfigs.get(event);
+    }
     
-    // 查找所有可能受影响的缓存项
-    matchCache.forEach((value, key) => {
-      if (key.startsWith(prefix) || pattern.startsWith(key.split(':')[0])) {
-        keysToDelete.push(key);
+    for (const [pattern, config] of stickyConfigs) {
+      if (hasWildcard(pattern) && wildcardToRegExp(pattern).test(event)) {
+        return config;
       }
-    });
+    }
+    
+    return null;
+  };
+  
+  /**
+   * 记录粘性事件的参数
+   * @private
+   * @param {string} event 事件名称
+   * @param {Array} args 事件参数
+   */
+  const recordSticky = (event, args) => {
+    if (stickyConfigs.size === 0) return;
+    
+    const config = getStickyConfig(event);
+    if (!config) return;
+    
+    pushStickyRecord(event, args, config);
+  };
+  
+  /**
+   * 添加粘性记录
+   * @private
+   * @param {string} event 事件名称
+   * @param {Array} args 事件参数
+   * @param {Object|null} config 粘性配置，为 null 时不限制记录条数
+   */
+  const pushStickyRecord = (event, args, config) => {
+    if (!stickyRecords.has(event)) {
+      stickyRecords.set(event, []);
+    }
     
-    // 批量删除受影响的缓存
-    keysToDelete.forEach(key => matchCache.delete(key));
+    const records = stickyRecords.get(event);
+    records.push({ args: [...args], timestamp: Date.now(), seq: ++stickySeq });
     
-    if (keysToDelete.length > 0) {
-      debug(`已清理 ${keysToDelete.length} 条相关缓存`);
+    // 只保留最近的 size 条记录
+    if (config && records.length > config.size) {
+      records.splice(0, records.length - config.size);
     }
   };
-
+  
   /**
-   * 查找与事件名称匹配的所有通配符模式
+   * 获取事件未过期的粘性记录，同时清理过期记录
    * @private
-   * @param {string} eventName 事件名称
-   * @returns {Array<Object>} 匹配的通配符数据数组
+   * @param {string} event 事件名称
+   * @returns {Array<{args: Array, timestamp: number, seq: number}>} 粘性记录
    */
-  const findMatchingWildcards = (eventName) => {
-    // 尝试从缓存获取结果
-    const cacheKey = `${eventName}:match`;
-    
-    if (matchCache.has(cacheKey)) {
-      const cachedResult = matchCache.get(cacheKey);
-      // 更新缓存时间戳
-      cachedResult.timestamp = Date.now();
-      metrics.cacheHitCount++;
-      return cachedResult.matches;
-    }
-    
-    metrics.cacheMissCount++;
-    const matches = [];
-    const now = Date.now();
-    
-    wildcardEvents.forEach((wildcardData, pattern) => {
-      // 快速前缀检查，如果事件名不以通配符模式的前缀开头，则跳过
-      // 但如果通配符出现在模式的开头，则不能跳过
-      const prefix = wildcardData.prefix;
-      if (prefix && !pattern.startsWith('*') && !eventName.startsWith(prefix)) {
-        return;
+  const getStickyRecords = (event) => {
+    const records = stickyRecords.get(event);
+    if (!records) return [];
+    
+    const config = getStickyConfig(event);
+    if (config && config.ttl > 0) {
+      const now = Date.now();
+      const alive = records.filter(record => now - record.timestamp <= config.ttl);
+      
+      if (alive.length === 0) {
+        stickyRecords.delete(event);
+        return [];
+      }
+      
+      if (alive.length < records.length) {
+        stickyRecords.set(event, alive);
       }
       
+      return alive;
+    }
+    
+    return records;
+  };
+  
+  /**
+   * 向新订阅的处理函数回放粘性事件
+   * @private
+   * @param {string} event 订阅的事件名称或通配符模式
+   * @param {Object} handlerObj 处理函数对象
+   */
+  const replaySticky = (event, handlerObj) => {
+    const isWildcard = hasWildcard(event);
+    const replays = [];
+    
+    if (isWildcard) {
+      const regex = wildcardToRegExp(event);
+      [...stickyRecords.keys()].forEach(eventName => {
+        if (!regex.test(eventName)) return;
+        
+        const params = extractWildcardParams(event, eventName);
+        getStickyRecords(eventName).forEach(record => {
+          replays.push({ eventName, params, record });
+        });
+      });
+      
+      // 多个事件的记录按触发时间回放
+      replays.sort((a, b) => a.record.seq - b.record.seq);
+    } else {
+      getStickyRecords(event).forEach(record => {
+        replays.push({ eventName: event, params: [], record });
+      });
+    }
+    
+    replays.forEach(({ eventName, params, record }) => {
       try {
-        if (wildcardData.regex.test(eventName)) {
-          matches.push(wildcardData);
-        }
+        invokeHandler({ handlerObj, pattern: isWildcard ? event : null, params }, eventName, record.args);
       } catch (error) {
-        debug(`通配符匹配出错: ${error.message}`, { pattern, eventName });
+        // 回放发生在订阅过程中，忽略错误处理策略
+        reportHandlerError(error, { handlerObj, pattern: isWildcard ? event : null }, eventName);
       }
     });
     
-    // 缓存匹配结果
-    matchCache.set(cacheKey, {
-      matches: matches,
-      timestamp: now
+    if (replays.length > 0) {
+      logger.debug(`已向新订阅者回放粘性事件: ${event}`, { count: replays.length });
+    }
+  };
+  
+  /**
+   * 事件在 snapshotEvents 中或快照来自服务端时记录事件快照并通知订阅者
+   * @private
+   * @param {string} event 事件名称
+   * @param {Array} args 事件参数
+   */
+  const recordSnapshot = (event, args) => {
+    const patterns = internalOptions.snapshotEvents;
+    if (patterns.length === 0 && hydratedSnapshotEvents.size === 0) return;
+    
+    const selected = hydratedSnapshotEvents.has(event) || patterns.some(pattern => (
+      hasWildcard(pattern) ? wildcardToRegExp(pattern).test(event) : pattern === event
+    ));
+    if (!selected) return;
+    
+    snapshotValues.set(event, args[0]);
+    snapshotDirty = true;
+    notifySnapshotListeners(event);
+  };
+    
+  /**
+   * 通知快照订阅者
+   * @private
+   * @param {string} [event] 引起变化的事件名称
+   */
+  const notifySnapshotListeners = (event) => {
+    if (snapshotListeners.size === 0) return;
+    
+    [...snapshotListeners].forEach(listener => {
+      try {
+        listener();
+      } catch (error) {
+        logger.error('快照订阅者执行出错', { error, event });
+      }
     });
+  };
+  
+  /**
+   * 读取当前快照，事件数据变化后重新生成冻结对象
+   * @private
+   * @returns {Object} 快照
+   */
+  const readSnapshot = () => {
+    if (snapshotDirty) {
+      currentSnapshot = Object.freeze(Object.fromEntries(snapshotValues));
+      snapshotDirty = false;
+    }
+    return currentSnapshot;
+  };
+  
+  // 校验策略
+  const VALIDATION_POLICIES = ['throw', 'warn', 'drop'];
+  
+  // 处理函数错误处理策略
+  const ERROR_POLICIES = ['swallow', 'rethrow', 'stop-propagation'];
+  
+  /**
+   * 记录处理函数错误并通知错误钩子，没有注册钩子时输出到控制台
+   * @private
+   * @param {Error} error 错误对象
+   * @param {Object} entry 处理函数条目 { handlerObj, pattern }
+   * @param {string} event 事件名称
+   * @returns {string} 处理函数的错误处理策略
+   */
+  const reportHandlerError = (error, entry, event) => {
+    const { handlerObj, pattern } = entry;
+    const info = { event, handlerId: handlerObj.id, priority: handlerObj.priority, pattern };
+    
+    metrics.handlerErrorCount++;
+    logger.error(
+      pattern !== null ? `通配符 ${pattern} 的处理函数执行出错` : `优先级${handlerObj.priority}的处理函数执行出错`,
+      { error, ...info }
+    );
     
-    // 定期检查缓存大小
-    if (matchCache.size % 50 === 0) {
-      checkCacheSize();
+    if (errorHooks.length === 0) {
+      console.error(`事件处理函数执行出错: ${error && error.message}`, error);
+    } else {
+      [...errorHooks].forEach(hook => {
+        try {
+          hook(error, info);
+        } catch (hookError) {
+          console.error(`[Trame.js] 错误钩子执行出错: ${hookError.message}`, hookError);
+        }
+      });
     }
     
-    return matches;
+    return handlerObj.errorPolicy || 'swallow';
   };
   
   /**
-   * 提取通配符模式中的参数值
+   * 获取值在 JSON Schema 中对应的类型
    * @private
-   * @param {string} pattern 通配符模式
-   * @param {string} eventName 事件名称
-   * @returns {Array<string>} 提取的参数值
+   * @param {*} value 待检查的值
+   * @returns {string} 类型名称
    */
-  const extractWildcardParams = (pattern, eventName) => {
-    try {
-      const regex = wildcardToRegExp(pattern);
-      const matches = regex.exec(eventName);
-      return matches ? Array.from(matches).slice(1) : [];
-    } catch (error) {
-      debug(`提取通配符参数出错: ${error.message}`);
-      return [];
-    }
+  const getSchemaType = (value) => {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+    return typeof value;
   };
   
-  const eventBus = {
+  /**
+   * 使用 JSON Schema 子集校验数据
+   * 支持 type、enum、const、properties、required、additionalProperties、items、
+   * minimum、maximum、minLength、maxLength、pattern、minItems、maxItems
+   * @private
+   * @param {Object} schema 校验规则
+   * @param {*} value 待校验的值
+   * @param {string} [path='payload'] 当前路径，用于错误信息
+   * @returns {Array<string>} 错误信息列表，为空表示校验通过
+   */
+  const validateSchema = (schema, value, path = 'payload') => {
+    const errors = [];
+    if (!schema || typeof schema !== 'object') return errors;
+    
+    if (schema.type !== undefined) {
+      const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+      const actual = getSchemaType(value);
+      const matched = types.some(type => type === actual || (type === 'number' && actual === 'integer'));
+      
+      if (!matched) {
+        errors.push(`${path} 的类型应为 ${types.join(' | ')}，实际为 ${actual}`);
+        return errors;
+      }
+    }
+    
+    if (Array.isArray(schema.enum) && !schema.enum.includes(value)) {
+      errors.push(`${path} 必须是以下值之一: ${schema.enum.map(item => JSON.stringify(item)).join(', ')}`);
+    }
+    
+    if (schema.const !== undefined && value !== schema.const) {
+      errors.push(`${path} 必须等于 ${JSON.stringify(schema.const)}`);
+    }
+    
+    if (typeof value === 'number') {
+      if (typeof schema.minimum === 'number' && value < schema.minimum) {
+        errors.push(`${path} 不能小于 ${schema.minimum}`);
+      }
+      if (typeof schema.maximum === 'number' && value > schema.maximum) {
+        errors.push(`${path} 不能大于 ${schema.maximum}`);
+      }
+    }
+    
+    if (typeof value === 'string') {
+      if (typeof schema.minLength === 'number' && value.length < schema.minLength) {
+        errors.push(`${path} 的长度不能小于 ${schema.minLength}`);
+      }
+      if (typeof schema.maxLength === 'number' && value.length > schema.maxLength) {
+        errors.push(`${path} 的长度不能大于 ${schema.maxLength}`);
+      }
+      if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+        errors.push(`${path} 不匹配格式 ${schema.pattern}`);
+      }
+    }
+    
+    if (Array.isArray(value)) {
+      if (typeof schema.minItems === 'number' && value.length < schema.minItems) {
+        errors.push(`${path} 的元素数量不能少于 ${schema.minItems}`);
+      }
+      if (typeof schema.maxItems === 'number' && value.length > schema.maxItems) {
+        errors.push(`${path} 的元素数量不能多于 ${schema.maxItems}`);
+      }
+      if (schema.items && typeof schema.items === 'object') {
+        value.forEach((item, index) => {
+          errors.push(...validateSchema(schema.items, item, `${path}[${index}]`));
+        });
+      }
+    }
+    
+    if (getSchemaType(value) === 'object') {
+      const properties = schema.properties || {};
+      
+      if (Array.isArray(schema.required)) {
+        schema.required.forEach(key => {
+          if (value[key] === undefined) {
+            errors.push(`${path}.${key} 为必填项`);
+          }
+        });
+      }
+      
+      Object.keys(properties).forEach(key => {
+        if (value[key] !== undefined) {
+          errors.push(...validateSchema(properties[key], value[key], `${path}.${key}`));
+        }
+      });
+      
+      if (schema.additionalProperties === false) {
+        Object.keys(value).forEach(key => {
+          if (!Object.prototype.hasOwnProperty.call(properties, key)) {
+            errors.push(`${path}.${key} 不是允许的属性`);
+          }
+        });
+      }
+    }
+    
+    return errors;
+  };
+  
+  /**
+   * 按事件定义校验事件参数
+   * @private
+   * @param {string} event 事件名称
+   * @param {Array} args 事件参数
+   * @returns {boolean} 是否继续分发事件
+   * @throws {Error} 校验失败且策略为 throw 时抛出 code 为 INVALID_PAYLOAD 的错误
+   */
+  const checkEventDefinition = (event, args) => {
+    if (eventDefinitions.size === 0) return true;
+    
+    const definition = eventDefinitions.get(event);
+    if (!definition) return true;
+    
+    let errors;
+    if (definition.schema) {
+      // JSON Schema 校验第一个参数（事件数据）
+      errors = validateSchema(definition.schema, args[0]);
+    } else {
+      try {
+        const result = definition.validate(...args);
+        if (result === false) {
+          errors = ['事件参数校验未通过'];
+        } else if (typeof result === 'string') {
+          errors = [result];
+        } else {
+          errors = [];
+        }
+      } catch (error) {
+        errors = [error.message];
+      }
+    }
+    
+    if (errors.length === 0) return true;
+    
+    metrics.validationFailureCount++;
+    const policy = definition.policy || internalOptions.validationPolicy;
+    const message = `事件 ${event} 的参数校验失败: ${errors.join('; ')}`;
+    
+    if (policy === 'warn') {
+      logger.warn(message, { errors });
+      return true;
+    }
+    
+    if (policy === 'drop') {
+      logger.debug(`${message}，事件已丢弃`, { errors });
+      return false;
+    }
+    
+    const error = new Error(message);
+    error.code = 'INVALID_PAYLOAD';
+    error.event = event;
+    error.errors = errors;
+    throw error;
+  };
+  
+  /**
+   * 生成事件定义的描述信息
+   * @private
+   * @param {string} name 事件名称
+   * @param {Object} definition 事件定义
+   * @returns {Object} 描述信息
+   */
+  const describeDefinition = (name, definition) => ({
+    name,
+    description: definition.description,
+    policy: definition.policy || internalOptions.validationPolicy,
+    schema: definition.schema,
+    hasValidator: typeof definition.validate === 'function'
+  });
+  
+  /**
+   * 创建带错误码的请求错误
+   * @private
+   * @param {string} code 错误码（NO_RESPONDER | AMBIGUOUS_RESPONDER | CANCELLED | TIMEOUT）
+   * @param {string} message 错误信息
+   * @param {string} event 事件名称
+   * @returns {Error} 错误对象
+   */
+  const createRequestError = (code, message, event) => {
+    const error = new Error(message);
+    error.code = code;
+    error.event = event;
+    return error;
+  };
+  
+  /**
+   * 从订阅选项中取出 AbortSignal
+   * @private
+   * @param {Object|number} [options] 订阅选项或优先级
+   * @returns {AbortSignal|undefined} 中止信号
+   */
+  const getSignal = (options) => {
+    const signal = options && typeof options === 'object' ? options.signal : undefined;
+    if (signal == null) return undefined;
+    
+    if (typeof signal.aborted !== 'boolean' || typeof signal.addEventListener !== 'function') {
+      throw new TypeError('signal 必须是 AbortSignal');
+    }
+    return signal;
+  };
+  
+  /**
+   * 将取消订阅函数绑定到中止信号，信号中止时自动取消订阅
+   * @private
+   * @param {AbortSignal} [signal] 中止信号
+   * @param {Function} unsubscribe 取消订阅函数
+   * @returns {Function} 取消订阅函数，调用时同时移除中止监听
+   */
+  const bindSignal = (signal, unsubscribe) => {
+    if (!signal) return unsubscribe;
+    
+    const onAbort = () => unsubscribe();
+    signal.addEventListener('abort', onAbort, { once: true });
+    
+    return function unsubscribeWithSignal() {
+      signal.removeEventListener('abort', onAbort);
+      unsubscribe();
+    };
+  };
+  
+  /**
+   * 获取中止原因，环境不支持 signal.reason 时创建 AbortError
+   * @private
+   */
+  const getAbortReason = (signal) => {
+    if (signal.reason !== undefined) return signal.reason;
+    
+    const error = new Error('操作已中止');
+    error.name = 'AbortError';
+    return error;
+  };
+  
+  /**
+   * 等待事件触发一次，返回以事件参数数组兑现的 Promise
+   * @private
+   * @param {Function} once 一次性订阅函数 (event, handler, options) => unsubscribe
+   * @param {string} event 事件名称或通配符模式
+   * @param {Object} options 配置选项 { signal, timeout, priority, replay }
+   * @returns {Promise<Array>} 事件参数
+   */
+  const waitForEvent = (once, event, options) => {
+    const signal = getSignal(options);
+    const { timeout } = options;
+    
+    return new Promise((resolve, reject) => {
+      if (signal && signal.aborted) {
+        reject(getAbortReason(signal));
+        return;
+      }
+      
+      let settled = false;
+      let timer = null;
+      let unsubscribe = null;
+      
+      const onAbort = () => settle(reject, getAbortReason(signal));
+      
+      const settle = (fn, value) => {
+        if (settled) return;
+        settled = true;
+        
+        if (timer !== null) clearTimeout(timer);
+        if (signal) signal.removeEventListener('abort', onAbort);
+        if (unsubscribe) unsubscribe();
+        fn(value);
+      };
+      
+      unsubscribe = once(event, (...args) => settle(resolve, args), {
+        priority: options.priority,
+        replay: options.replay === true,
+        filter: options.filter,
+        map: options.map
+      });
+      
+      // 回放粘性事件时已经兑现
+      if (settled) {
+        unsubscribe();
+        return;
+      }
+      
+      if (signal) {
+        signal.addEventListener('abort', onAbort, { once: true });
+      }
+      
+      if (typeof timeout === 'number' && timeout > 0) {
+        timer = setTimeout(() => {
+          settle(reject, createRequestError('TIMEOUT', `等待事件 ${event} 超时 (${timeout}ms)`, event));
+        }, timeout);
+      }
+    });
+  };
+  
+  /**
+   * 向监控时间线追加记录
+   * @private
+   * @param {Object} entry 时间线记录
+   */
+  const pushTimeline = (entry) => {
+    if (debugState.monitorData.timeline.length >= internalOptions.maxLogEntries) {
+      debugState.monitorData.timeline.shift();
+    }
+    
+    debugState.monitorData.timeline.push({
+      ...entry,
+      timestamp: Date.now()
+    });
+  };
+  
+  /**
+   * 记录处理函数的调用次数，被 filter 过滤的分发单独计数
+   * @private
+   * @param {Object} handlerObj 处理函数对象
+   * @param {string} event 订阅的事件名称或通配符模式
+   * @param {boolean} filtered 是否被过滤
+   */
+  const countHandlerDelivery = (handlerObj, event, filtered) => {
+    if (!debugState.isMonitoring) return;
+    
+    const { handlerCounts } = debugState.monitorData;
+    const counts = handlerCounts[handlerObj.id] || (handlerCounts[handlerObj.id] = { event, invoked: 0, filtered: 0 });
+    counts[filtered ? 'filtered' : 'invoked']++;
+  };
+  
+  /**
+   * 创建中间件上下文
+   * @private
+   * @param {string} type 触发方式（emit | emitAsync | request）
+   * @param {string} event 事件名称
+   * @param {Array} args 事件参数
+   * @param {Object} [meta] 初始元数据
+   * @returns {Object} 中间件上下文
+   */
+  const createMiddlewareContext = (type, event, args, meta) => ({
+    type,
+    event,
+    args,
+    meta: { ...meta },
+    cancelled: false,
+    results: undefined,
+    defaultPrevented: false,
+    startTime: Date.now(),
+    cancel() {
+      this.cancelled = true;
+    }
+  });
+  
+  /**
+   * 按洋葱模型依次执行中间件，最后执行分发函数
+   * 中间件未调用 next 或调用了 ctx.cancel() 时，事件不会被分发
+   * @private
+   * @param {Object} ctx 中间件上下文
+   * @param {Function} final 分发函数
+   * @returns {*} 中间件链的返回值
+   */
+  const runMiddlewares = (ctx, final) => {
+    // 创建中间件快照，避免执行过程中注册或移除中间件导致的问题
+    const stack = middlewares.slice();
+    let index = -1;
+    
+    const dispatch = (i) => {
+      if (i <= index) {
+        throw new Error('中间件中的 next() 被多次调用');
+      }
+      index = i;
+      
+      if (ctx.cancelled) return undefined;
+      if (i === stack.length) return final();
+      
+      return stack[i].handle(ctx, () => dispatch(i + 1));
+    };
+    
+    return dispatch(0);
+  };
+  
+  /**
+   * 性能指标中间件
+   * @private
+   */
+  const metricsMiddleware = (ctx, next) => {
+    if (ctx.type !== 'request') {
+      metrics.emitCount++;
+    }
+    
+    return next();
+  };
+  
+  /**
+   * 调试日志中间件
+   * @private
+   */
+  const loggerMiddleware = (ctx, next) => {
+    // 事件调试记录
+    if (internalOptions.logLevel >= LOG_LEVELS.DEBUG) {
+      const now = Date.now();
+      const timeSinceLastEvent = debugState.lastEventTime ? now - debugState.lastEventTime : 0;
+      debugState.lastEventTime = now;
+      
+      logger.debug(`事件触发: ${ctx.event}`, {
+        type: ctx.type,
+        args: internalOptions.logEventData ? ctx.args : '省略',
+        timeSinceLastEvent
+      });
+    }
+    
+    return next();
+  };
+  
+  /**
+   * 事件监控中间件
+   * @private
+   */
+  const monitorMiddleware = (ctx, next) => {
+    if (!debugState.isMonitoring) {
+      return next();
+    }
+    
+    const { event, args } = ctx;
+    
+    // 更新事件计数
+    debugState.monitorData.eventCounts[event] = (debugState.monitorData.eventCounts[event] || 0) + 1;
+    
+    // 添加到时间线
+    pushTimeline({
+      type: ctx.type,
+      event,
+      args: internalOptions.logEventData ? [...args] : null
+    });
+    
+    // 触发可视化更新
+    if (internalOptions.visualizer) {
+      try {
+        internalOptions.visualizer({
+          type: 'EVENT',
+          event,
+          args
+        }, debugState.monitorData);
+      } catch (error) {
+        logger.error('可视化调试错误', { error });
+      }
+    }
+    
+    const result = next();
+    
+    if (ctx.type !== 'emitAsync') {
+      return result;
+    }
+    
+    // 异步触发完成后记录汇总信息
+    return Promise.resolve(result).then(value => {
+      const results = ctx.results || [];
+      pushTimeline({
+        type: 'emitAsyncSettled',
+        event,
+        mode: internalOptions.asyncMode,
+        handlerCount: results.length,
+        errorCount: results.filter(r => r.status === 'rejected').length,
+        duration: Date.now() - ctx.startTime
+      });
+      return value;
+    });
+  };
+  
+  /**
+   * 事件断点中间件
+   * @private
+   */
+  const breakpointMiddleware = (ctx, next) => {
+    const { event, args } = ctx;
+    
+    if (debugState.breakpoints.has(event)) {
+      const breakpointConfig = debugState.breakpoints.get(event);
+      let shouldBreak = true;
+      
+      // 检查条件函数
+      if (typeof breakpointConfig.condition === 'function') {
+        try {
+          shouldBreak = breakpointConfig.condition(event, ...args);
+        } catch (error) {
+          logger.error('断点条件执行错误', { error, event });
+          shouldBreak = false;
+        }
+      }
+      
+      if (shouldBreak) {
+        logger.warn(`命中事件断点: ${event}`, { args });
+        
+        if (typeof breakpointConfig.callback === 'function') {
+          try {
+            breakpointConfig.callback(event, args);
+          } catch (error) {
+            logger.error('断点回调执行错误', { error, event });
+          }
+        }
+      }
+    }
+    
+    return next();
+  };
+  
+  // 注册内置中间件，可通过 unuse(name) 移除
+  middlewares.push(
+    { name: 'metrics', handle: metricsMiddleware },
+    { name: 'logger', handle: loggerMiddleware },
+    { name: 'monitor', handle: monitorMiddleware },
+    { name: 'breakpoint', handle: breakpointMiddleware }
+  );
+  
+  /**
+   * 创建事件上下文，一次分发中的所有处理函数共享同一个上下文
+   * 订阅时设置 withContext 的处理函数会在最后一个参数收到它
+   * @private
+   * @param {string} event 事件名称
+   * @returns {Object} 事件上下文
+   */
+  const createEventContext = (event) => {
+    const context = {
+      event,
+      defaultPrevented: false,
+      propagationStopped: false,
+      preventDefault() {
+        context.defaultPrevented = true;
+      },
+      stopPropagation() {
+        context.propagationStopped = true;
+      }
+    };
+    return context;
+  };
+  
+  /**
+   * 同步分发事件到所有匹配的处理函数
+   * @private
+   * @param {Object} ctx 中间件上下文
+   */
+  const dispatchEmit = (ctx) => {
+    const { event, args } = ctx;
+    
+    if (!checkEventDefinition(event, args)) return;
+    
+    recordSticky(event, args);
+    recordSnapshot(event, args);
+    
+    const eventContext = createEventContext(event);
+    
+    // 处理函数已按顺序收集，直接遍历即可
+    for (const entry of collectHandlers(event)) {
+      try {
+        invokeHandler(entry, event, args, eventContext);
+      } catch (error) {
+        const policy = reportHandlerError(error, entry, event);
+        
+        if (policy === 'rethrow') throw error;
+        if (policy === 'stop-propagation') break;
+        // swallow：错误不会阻止其他处理函数执行
+      } finally {
+        ctx.defaultPrevented = eventContext.defaultPrevented;
+      }
+      
+      if (eventContext.propagationStopped) break;
+    }
+  };
+  
+  /**
+   * 异步分发事件并收集每个处理函数的执行结果
+   * @private
+   * @param {Object} ctx 中间件上下文
+   * @returns {Promise<Array>} 执行结果
+   */
+  const dispatchAsync = async (ctx) => {
+    const { event, args } = ctx;
+    
+    if (!checkEventDefinition(event, args)) {
+      ctx.results = [];
+      return ctx.results;
+    }
+    
+    recordSticky(event, args);
+    recordSnapshot(event, args);
+    
+    const entries = collectHandlers(event);
+    const eventContext = createEventContext(event);
+    
+    const settle = async (entry) => {
+      // 前面的处理函数已停止传播（并行模式下只对同步调用的 stopPropagation 生效）
+      if (eventContext.propagationStopped) return null;
+      
+      const { handlerObj, pattern } = entry;
+      const result = {
+        id: handlerObj.id,
+        priority: handlerObj.priority,
+        pattern,
+        status: 'fulfilled',
+        value: undefined,
+        error: null
+      };
+      
+      try {
+        const value = invokeHandler(entry, event, args, eventContext);
+        // 被过滤的处理函数不计入执行结果
+        if (value === FILTERED) return null;
+        
+        result.value = await value;
+      } catch (error) {
+        result.status = 'rejected';
+        result.error = error;
+        result.policy = reportHandlerError(error, entry, event);
+      }
+      
+      return result;
+    };
+    
+    let results;
+    if (internalOptions.asyncMode === 'parallel') {
+      // 并行模式：按优先级顺序依次启动，统一等待完成，stop-propagation 不生效
+      results = await Promise.all(entries.map(settle));
+    } else {
+      // 串行模式：前一个处理函数完成后再执行下一个
+      results = [];
+      for (const entry of entries) {
+        if (eventContext.propagationStopped) break;
+        
+        const result = await settle(entry);
+        if (!result) continue;
+        
+        results.push(result);
+        if (result.policy === 'stop-propagation' || result.policy === 'rethrow') break;
+      }
+    }
+    
+    results = results.filter(Boolean);
+    ctx.defaultPrevented = eventContext.defaultPrevented;
+    ctx.results = results.map(({ policy, ...result }) => result);
+    
+    const rethrown = results.find(result => result.policy === 'rethrow');
+    if (rethrown) {
+      throw rethrown.error;
+    }
+    return ctx.results;
+  };
+  
+  /**
+   * 通知取消订阅拦截器
+   * @private
+   * @param {string} event 事件名称
+   * @param {Function|number} [handler] 取消订阅时传入的处理函数或处理函数ID
+   */
+  const notifyUnsubscribe = (event, handler) => {
+    if (unsubscribeInterceptors.length === 0) return;
+    
+    [...unsubscribeInterceptors].forEach(interceptor => {
+      try {
+        interceptor({ event, handler });
+      } catch (error) {
+        logger.error('取消订阅拦截器执行出错', { error, event });
+      }
+    });
+  };
+  
+  /**
+   * 按 handlerOrder 配置收集与事件名称匹配的所有处理函数
+   * - grouped：直接订阅的处理函数在前，通配符处理函数在后按模式逐个执行，每组内按优先级从高到低排列
+   * - merged：所有处理函数统一按优先级从高到低排列
+   * 优先级相同时按订阅顺序排列
+   * @private
+   * @param {string} event 事件名称
+   * @param {boolean} [countMetrics=true] 是否计入性能指标
+   * @returns {Array<{handlerObj: Object, pattern: string|null, params: Array<string>}>} 处理函数条目
+   */
+  const collectHandlers = (event, countMetrics = true) => {
+    const entries = [];
+    
+    // 创建处理函数的快照，避免在回调执行过程中修改集合导致的问题
+    const handlersArray = events.get(event);
+    if (handlersArray) {
+      handlersArray.forEach(handlerObj => {
+        entries.push({ handlerObj, pattern: null, params: [] });
+      });
+    }
+    
+    const wildcardMatches = findMatchingWildcards(event, countMetrics);
+    if (wildcardMatches.length > 0) {
+      if (countMetrics) metrics.wildcardMatchCount += wildcardMatches.length;
+      
+      // grouped 模式下按模式逐个执行，每个模式的处理函数已按优先级排列
+      wildcardMatches.forEach(wildcardData => {
+        // 提取通配符参数
+        const params = extractWildcardParams(wildcardData.pattern, event);
+        
+        wildcardData.handlers.forEach(handlerObj => {
+          entries.push({ handlerObj, pattern: wildcardData.pattern, params });
+        });
+      });
+      
+      if (internalOptions.handlerOrder === 'merged') {
+        entries.sort((a, b) => compareHandlers(a.handlerObj, b.handlerObj));
+      }
+    }
+    
+    return entries;
+  };
+  
+  // 处理函数被 filter 过滤时 invokeHandler 的返回值
+  const FILTERED = Symbol('filtered');
+  
+  /**
+   * 按订阅类型调用处理函数，先执行订阅时设置的 filter 和 map
+   * @private
+   * @param {Object} entry collectHandlers返回的处理函数条目
+   * @param {string} event 事件名称
+   * @param {Array} args 事件参数
+   * @param {Object} [eventContext] 事件上下文，传给订阅时设置了 withContext 的处理函数
+   * @returns {*} 处理函数返回值，被过滤时返回 FILTERED
+   */
+  const invokeHandler = (entry, event, args, eventContext) => {
+    const { handlerObj, pattern, params } = entry;
+    
+    let handlerArgs = args;
+    if (pattern !== null) {
+      // 附加事件名作为第一个参数，帮助通配符处理函数区分具体触发的事件
+      // 然后是通配符参数（如果有），最后是传递的参数
+      handlerArgs = [event, ...params, ...args];
+    } else if (internalOptions.unifyParams) {
+      // 是否统一参数格式
+      handlerArgs = [event, ...args];
+    }
+    
+    if (handlerObj.filter && !handlerObj.filter(...handlerArgs)) {
+      countHandlerDelivery(handlerObj, pattern || event, true);
+      return FILTERED;
+    }
+    countHandlerDelivery(handlerObj, pattern || event, false);
+    
+    if (handlerObj.map) {
+      const mapped = handlerObj.map(...handlerArgs);
+      handlerArgs = Array.isArray(mapped) ? mapped : [mapped];
+    }
+    
+    if (handlerObj.limiter) {
+      // 限流的调用可能延迟执行，由限流器在执行时附加事件上下文
+      return handlerObj.limiter.invoke(event, handlerArgs, eventContext);
+    }
+    
+    if (handlerObj.withContext) {
+      // 事件上下文作为最后一个参数
+      handlerArgs = [...handlerArgs, eventContext || createEventContext(event)];
+    }
+    
+    return handlerObj.handler(...handlerArgs);
+  };
+  
+  // 与 RxJS 等库互操作使用的 Symbol.observable
+  const OBSERVABLE_SYMBOL = (typeof Symbol === 'function' && Symbol.observable) || '@@observable';
+  
+  // 事件流缓冲区溢出策略
+  const OVERFLOW_POLICIES = ['drop-oldest', 'drop-newest', 'throw'];
+  
+  /**
+   * 从处理函数参数中取出事件数据：通配符订阅时跳过事件名称和捕获的参数，开启 unifyParams 时跳过事件名称
+   * @private
+   * @param {string} event 订阅的事件名称或通配符模式
+   * @param {Array} args 处理函数收到的参数
+   * @returns {*} 事件数据
+   */
+  const getHandlerPayload = (event, args) => {
+    if (hasWildcard(event)) {
+      return args[1 + extractWildcardParams(event, args[0]).length];
+    }
+    return internalOptions.unifyParams ? args[1] : args[0];
+  };
+  
+  /**
+   * 基于订阅函数创建符合 Symbol.observable 约定的 Observable
+   * @private
+   * @param {Function} subscribe 订阅函数 (event, handler, options) => unsubscribe
+   * @param {string} event 事件名称或通配符模式
+   * @param {Object} options 配置选项 { priority, replay, select }
+   * @returns {Object} Observable
+   */
+  const createEventObservable = (subscribe, event, options) => {
+    const select = typeof options.select === 'function'
+      ? options.select
+      : (...args) => getHandlerPayload(event, args);
+    
+    const observable = {
+      subscribe(observerOrNext, onError, onComplete) {
+        const observer = typeof observerOrNext === 'function'
+          ? { next: observerOrNext, error: onError, complete: onComplete }
+          : (observerOrNext || {});
+        
+        let closed = false;
+        let unsubscribe = null;
+        
+        const close = () => {
+          closed = true;
+          if (unsubscribe) unsubscribe();
+        };
+        
+        unsubscribe = subscribe(event, (...args) => {
+          if (closed) return;
+          
+          let value;
+          try {
+            value = select(...args);
+          } catch (error) {
+            // 选择函数出错时按 Observable 约定结束订阅
+            close();
+            if (typeof observer.error === 'function') {
+              observer.error(error);
+              return;
+            }
+            throw error;
+          }
+          
+          if (typeof observer.next === 'function') {
+            observer.next(value);
+          }
+        }, { priority: options.priority, replay: options.replay === true });
+        
+        // 回放粘性事件时可能已经结束订阅
+        if (closed) unsubscribe();
+        
+        return {
+          get closed() {
+            return closed;
+          },
+          unsubscribe() {
+            if (closed) return;
+            close();
+          }
+        };
+      },
+      
+      [OBSERVABLE_SYMBOL]() {
+        return observable;
+      }
+    };
+    
+    return observable;
+  };
+  
+  /**
+   * 基于订阅函数创建异步迭代器，消费者处理不及时的事件暂存在缓冲区中
+   * @private
+   * @param {Function} subscribe 订阅函数 (event, handler, options) => unsubscribe
+   * @param {string} event 事件名称或通配符模式
+   * @param {Object} options 配置选项 { signal, bufferSize, overflow, priority, replay, select }
+   * @returns {Object} 异步迭代器
+   */
+  const createEventStream = (subscribe, event, options) => {
+    const { signal } = options;
+    const bufferSize = typeof options.bufferSize === 'number' && options.bufferSize > 0
+      ? Math.floor(options.bufferSize)
+      : 1000;
+    const overflow = options.overflow || 'drop-oldest';
+    
+    if (!OVERFLOW_POLICIES.includes(overflow)) {
+      throw new TypeError(`无效的溢出策略: ${overflow}，可选值为 ${OVERFLOW_POLICIES.join(' | ')}`);
+    }
+    
+    const select = typeof options.select === 'function'
+      ? options.select
+      : (...args) => getHandlerPayload(event, args);
+    
+    // 等待中的事件数据
+    const buffer = [];
+    // 等待数据的消费者 {resolve, reject}
+    let waiting = null;
+    // 是否已停止接收事件
+    let ended = false;
+    // 缓冲区溢出等错误，在缓冲的数据消费完后抛给消费者
+    let failure = null;
+    let unsubscribe = null;
+    let overflowWarned = false;
+    
+    const stop = () => {
+      if (ended) return;
+      ended = true;
+      
+      if (unsubscribe) unsubscribe();
+      if (signal) signal.removeEventListener('abort', onAbort);
+      
+      if (waiting) {
+        const { resolve } = waiting;
+        waiting = null;
+        resolve({ value: undefined, done: true });
+      }
+    };
+    
+    const onAbort = () => {
+      buffer.length = 0;
+      stop();
+    };
+    
+    const push = (value) => {
+      if (ended) return;
+      
+      if (waiting) {
+        const { resolve } = waiting;
+        waiting = null;
+        resolve({ value, done: false });
+        return;
+      }
+      
+      if (buffer.length >= bufferSize) {
+        if (overflow === 'throw') {
+          failure = new Error(`事件流缓冲区已满（${bufferSize}）: ${event}`);
+          stop();
+          return;
+        }
+        
+        if (!overflowWarned) {
+          overflowWarned = true;
+          logger.warn(`事件流缓冲区已满，按 ${overflow} 策略丢弃事件: ${event}`, { bufferSize });
+        }
+        
+        if (overflow === 'drop-newest') return;
+        buffer.shift();
+      }
+      
+      buffer.push(value);
+    };
+    
+    if (signal && signal.aborted) {
+      ended = true;
+    } else {
+      if (signal) signal.addEventListener('abort', onAbort);
+      
+      unsubscribe = subscribe(event, (...args) => {
+        try {
+          push(select(...args));
+        } catch (error) {
+          if (waiting) {
+            // 消费者正在等待时直接拒绝，stop() 不会再以 done 结束它
+            const { reject } = waiting;
+            waiting = null;
+            reject(error);
+          } else {
+            failure = error;
+          }
+          stop();
+        }
+      }, { priority: options.priority, replay: options.replay === true });
+      
+      // 回放粘性事件时可能已经停止
+      if (ended) unsubscribe();
+    }
+    
+    const iterator = {
+      next() {
+        if (buffer.length > 0) {
+          return Promise.resolve({ value: buffer.shift(), done: false });
+        }
+        
+        if (failure) {
+          const error = failure;
+          failure = null;
+          return Promise.reject(error);
+        }
+        
+        if (ended) {
+          return Promise.resolve({ value: undefined, done: true });
+        }
+        
+        return new Promise((resolve, reject) => {
+          waiting = { resolve, reject };
+        });
+      },
+      
+      return(value) {
+        buffer.length = 0;
+        failure = null;
+        stop();
+        return Promise.resolve({ value, done: true });
+      },
+      
+      [Symbol.asyncIterator]() {
+        return iterator;
+      }
+    };
+    
+    return iterator;
+  };
+  
+  /**
+   * 校验命名空间名称
+   * @private
+   * @param {string} name 命名空间名称
+   */
+  const validateNamespaceName = (name) => {
+    if (typeof name !== 'string' || !name.trim()) {
+      throw new TypeError('命名空间名称必须是非空字符串');
+    }
+    
+    const delimiter = internalOptions.delimiter;
+    if (hasWildcard(name) || name.startsWith(delimiter) || name.endsWith(delimiter)) {
+      throw new Error(`命名空间名称 "${name}" 不能包含通配符，也不能以分隔符开头或结尾`);
+    }
+  };
+  
+  /**
+   * 创建命名空间作用域的事件总线
+   * 所有事件名称都会自动加上命名空间前缀，处理函数收到的事件名称会去掉前缀
+   * @private
+   * @param {string} prefix 完整的命名空间前缀
+   * @param {Set} [siblings] 父命名空间的子命名空间集合，销毁时从中移除
+   * @returns {Object} 命名空间事件总线
+   */
+  const createNamespace = (prefix, siblings = null) => {
+    // 命名空间前缀在创建时确定，之后修改分隔符不会影响已创建的命名空间
+    const scopePrefix = prefix + internalOptions.delimiter;
+    // 通过命名空间创建的订阅，使用Array<{event, handler, wrapped, unsubscribe}>结构
+    const subscriptions = [];
+    // 销毁时需要执行的其他清理函数（多事件订阅、响应者、事件定义）
+    const disposers = new Set();
+    // 子命名空间
+    const children = new Set();
+    let disposed = false;
+    
+    // 添加命名空间前缀
+    const toFullName = (event) => {
+      if (typeof event !== 'string' || !event.trim()) {
+        throw new TypeError('事件名称必须是非空字符串');
+      }
+      return scopePrefix + event;
+    };
+    
+    // 去掉命名空间前缀
+    const toLocalName = (event) => (
+      typeof event === 'string' && event.startsWith(scopePrefix) ? event.slice(scopePrefix.length) : event
+    );
+    
+    const assertActive = () => {
+      if (disposed) {
+        throw new Error(`命名空间 "${prefix}" 已销毁`);
+      }
+    };
+    
+    // 记录清理函数，返回的函数执行后会从记录中移除
+    const track = (dispose) => {
+      const trackedDispose = () => {
+        if (!disposers.delete(trackedDispose)) return;
+        dispose();
+      };
+      disposers.add(trackedDispose);
+      return trackedDispose;
+    };
+    
+    // 命名空间快照缓存，事件总线快照不变时返回同一个对象
+    const snapshotCache = { source: null, value: null };
+    const serverSnapshotCache = { source: null, value: null };
+    
+    // 从事件总线快照中取出命名空间内的事件数据
+    const scopeSnapshot = (source, cache) => {
+      if (cache.source !== source) {
+        const entries = Object.keys(source)
+          .filter(event => event.startsWith(scopePrefix))
+          .map(event => [toLocalName(event), source[event]]);
+        
+        cache.source = source;
+        cache.value = Object.freeze(Object.fromEntries(entries));
+      }
+      return cache.value;
+    };
+    
+    /**
+     * 将处理函数收到的事件名称参数还原为命名空间内的名称
+     * 通配符订阅或开启 unifyParams 时，处理函数的第一个参数是事件名称
+     */
+    const localizeArgs = (subscribed, args) => {
+      if (!hasWildcard(subscribed) && !internalOptions.unifyParams) {
+        return args;
+      }
+      return [toLocalName(args[0]), ...args.slice(1)];
+    };
+    
+    const scope = {
+      /**
+       * 命名空间完整前缀
+       */
+      name: prefix,
+      
+      /**
+       * 订阅命名空间内的事件
+       * @param {string} event 事件名称（支持通配符 * 和 **）
+       * @param {Function} handler 事件处理函数
+       * @param {Object|number} [options] 配置选项或优先级，同 on
+       * @returns {Function} 取消订阅函数
+       */
+      on(event, handler, options) {
+        assertActive();
+        if (typeof handler !== 'function') {
+          throw new TypeError('事件处理函数必须是函数');
+        }
+        
+        const fullName = toFullName(event);
+        // 中止信号由命名空间处理，以便同时移除订阅记录
+        const signal = getSignal(options);
+        if (signal && signal.aborted) {
+          return function unsubscribe() {};
+        }
+        
+        const { filter, map } = options && typeof options === 'object' ? options : {};
+        const record = {
+          event: fullName,
+          handler,
+          // map 的返回值由调用方决定，不再还原事件名称
+          wrapped: typeof map === 'function'
+            ? handler
+            : (...args) => handler(...localizeArgs(fullName, args)),
+          unsubscribe: null
+        };
+        
+        let scopedOptions = signal ? { ...options, signal: undefined } : options;
+        if (typeof filter === 'function' || typeof map === 'function') {
+          // filter 和 map 收到的参数与处理函数一致，使用命名空间内的事件名称
+          scopedOptions = {
+            ...scopedOptions,
+            filter: typeof filter === 'function' ? (...args) => filter(...localizeArgs(fullName, args)) : filter,
+            map: typeof map === 'function' ? (...args) => map(...localizeArgs(fullName, args)) : map
+          };
+        }
+        
+        record.unsubscribe = eventBus.on(fullName, record.wrapped, scopedOptions);
+        subscriptions.push(record);
+        
+        return bindSignal(signal, function unsubscribe() {
+          const index = subscriptions.indexOf(record);
+          if (index !== -1) {
+            subscriptions.splice(index, 1);
+          }
+          record.unsubscribe();
+        });
+      },
+      
+      /**
+       * 一次性订阅命名空间内的事件，参数同 once（不提供处理函数时返回 Promise）
+       * @param {string} event 事件名称
+       * @param {Function|Object} [handler] 事件处理函数，或 Promise 形式的配置选项
+       * @param {Object|number} [options] 配置选项或优先级
+       * @returns {Function|Promise<Array>} 取消订阅函数，Promise 形式返回事件参数
+       */
+      once(event, handler, options) {
+        if (handler === undefined || (handler !== null && typeof handler === 'object')) {
+          return waitForEvent(scope.once, event, handler || {});
+        }
+        
+        if (typeof handler !== 'function') {
+          throw new TypeError('事件处理函数必须是函数');
+        }
+        
+        let fired = false;
+        let unsubscribe = null;
+        unsubscribe = scope.on(event, (...args) => {
+          if (fired) return;
+          fired = true;
+          
+          if (unsubscribe) unsubscribe();
+          handler(...args);
+        }, options);
+        
+        if (fired) unsubscribe();
+        return unsubscribe;
+      },
+      
+      /**
+       * 取消命名空间内事件的订阅
+       * @param {string} event 事件名称
+       * @param {Function|number} [handler] 事件处理函数或处理函数ID，不提供则移除该事件的所有处理函数
+       */
+      off(event, handler) {
+        if (typeof event !== 'string') return;
+        const fullName = scopePrefix + event;
+        
+        if (typeof handler === 'function') {
+          // 总线上注册的是包装函数，需要按原始处理函数查找
+          for (let i = subscriptions.length - 1; i >= 0; i--) {
+            const record = subscriptions[i];
+            if (record.event === fullName && record.handler === handler) {
+              subscriptions.splice(i, 1);
+              record.unsubscribe();
+            }
+          }
+          return;
+        }
+        
+        eventBus.off(fullName, handler);
+      },
+      
+      emit(event, ...args) {
+        return eventBus.emit(toFullName(event), ...args);
+      },
+      
+      emitWithMeta(meta, event, ...args) {
+        return eventBus.emitWithMeta(meta, toFullName(event), ...args);
+      },
+      
+      emitAsync(event, ...args) {
+        return eventBus.emitAsync(toFullName(event), ...args);
+      },
+      
+      request(event, payload, options) {
+        return eventBus.request(toFullName(event), payload, options);
+      },
+      
+      respond(event, handler, options) {
+        assertActive();
+        return track(eventBus.respond(toFullName(event), handler, options));
+      },
+      
+      /**
+       * 同时订阅命名空间内的多个事件，参数同 onMany
+       * @returns {Function} 组合的取消订阅函数
+       */
+      onMany(eventNames, handler, options = {}) {
+        assertActive();
+        if (!Array.isArray(eventNames)) {
+          throw new TypeError('事件名称必须是字符串数组');
+        }
+        
+        if (typeof handler !== 'function') {
+          throw new TypeError('事件处理函数必须是函数');
+        }
+        
+        const includeEventName = options.includeEventName !== false;
+        const fullNames = eventNames
+          .filter(event => typeof event === 'string' && event.trim() !== '')
+          .map(event => scopePrefix + event);
+        
+        // 始终让总线传入订阅名称，以便判断是否为通配符订阅
+        return track(eventBus.onMany(fullNames, (subscribed, ...args) => {
+          const localArgs = localizeArgs(subscribed, args);
+          if (includeEventName) {
+            handler(toLocalName(subscribed), ...localArgs);
+          } else {
+            handler(...localArgs);
+          }
+        }, { ...options, includeEventName: true }));
+      },
+      
+      onceMany(eventNames, handler, options = {}) {
+        return scope.onMany(eventNames, handler, { ...options, once: true });
+      },
+      
+      /**
+       * 将命名空间内的事件转换为 Observable，参数同 toObservable
+       * @returns {Object} Observable
+       */
+      toObservable(event, options = {}) {
+        return createEventObservable(scope.on, event, options);
+      },
+      
+      /**
+       * 将命名空间内的事件转换为异步迭代器，参数同 stream，命名空间销毁时结束迭代
+       * @returns {Object} 异步迭代器
+       */
+      stream(event, options = {}) {
+        const iterator = createEventStream(scope.on, event, options);
+        const close = iterator.return;
+        const dispose = track(() => close());
+        
+        iterator.return = (value) => {
+          dispose();
+          return close(value);
+        };
+        return iterator;
+      },
+      
+      fromObservable(source, event) {
+        assertActive();
+        return track(eventBus.fromObservable(source, toFullName(event)));
+      },
+      
+      defineEvent(name, definition) {
+        assertActive();
+        return track(eventBus.defineEvent(toFullName(name), definition));
+      },
+      
+      setSticky(event, options) {
+        return eventBus.setSticky(toFullName(event), options);
+      },
+      
+      /**
+       * 清除粘性事件记录，不提供事件名称时清除整个命名空间的记录
+       * @param {string} [event] 事件名称或通配符模式
+       */
+      clearSticky(event) {
+        return eventBus.clearSticky(event === undefined ? `${scopePrefix}**` : toFullName(event));
+      },
+      
+      getSticky(event) {
+        return eventBus.getSticky(toFullName(event));
+      },
+      
+      has(event) {
+        return typeof event === 'string' && eventBus.has(scopePrefix + event);
+      },
+      
+      count(event) {
+        return typeof event === 'string' ? eventBus.count(scopePrefix + event) : 0;
+      },
+      
+      /**
+       * 获取命名空间内的事件名称列表（不含前缀，包括子命名空间的事件）
+       * @returns {Array<string>} 事件名称数组
+       */
+      getEventNames() {
+        return eventBus.getEventNames()
+          .filter(event => event.startsWith(scopePrefix))
+          .map(toLocalName);
+      },
+      
+      setPriority(event, handler, priority) {
+        const fullName = toFullName(event);
+        
+        if (typeof handler === 'function') {
+          const records = subscriptions.filter(record => record.event === fullName && record.handler === handler);
+          return records.length > 0 && records.every(record => eventBus.setPriority(fullName, record.wrapped, priority));
+        }
+        
+        return eventBus.setPriority(fullName, handler, priority);
+      },
+      
+      /**
+       * 获取命名空间内事件处理函数的优先级信息，参数同 getPriorities，pattern 不含前缀
+       * @returns {Array|null} 优先级信息数组
+       */
+      getPriorities(event) {
+        const priorities = eventBus.getPriorities(toFullName(event));
+        return priorities && priorities.map(info => ({ ...info, pattern: info.pattern && toLocalName(info.pattern) }));
+      },
+      
+      /**
+       * 获取命名空间内的事件快照（不含前缀）
+       * @returns {Object} 快照
+       */
+      getSnapshot() {
+        return scopeSnapshot(eventBus.getSnapshot(), snapshotCache);
+      },
+      
+      getServerSnapshot() {
+        return scopeSnapshot(eventBus.getServerSnapshot(), serverSnapshotCache);
+      },
+      
+      // 以下方法作用于整个事件总线，便于命名空间在适配器中替代事件总线使用
+      subscribeSnapshot: (listener) => eventBus.subscribeSnapshot(listener),
+      use: (...args) => eventBus.use(...args),
+      unuse: (...args) => eventBus.unuse(...args),
+      getMiddlewares: () => eventBus.getMiddlewares(),
+      onSubscribe: (...args) => eventBus.onSubscribe(...args),
+      onUnsubscribe: (...args) => eventBus.onUnsubscribe(...args),
+      onError: (hook) => eventBus.onError(hook),
+      match: (pattern, event) => eventBus.match(pattern, event),
+      getMetrics: () => eventBus.getMetrics(),
+      resetMetrics: () => eventBus.resetMetrics(),
+      debug: eventBus.debug,
+      
+      /**
+       * 配置作用于整个事件总线（如分隔符），命名空间不能修改
+       * @throws {Error} 始终抛出错误
+       */
+      setOptions() {
+        throw new Error(`命名空间 "${prefix}" 不能修改事件总线配置，请在事件总线上调用 setOptions`);
+      },
+      
+      /**
+       * 创建子命名空间，父命名空间销毁时子命名空间也会被销毁
+       * @param {string} name 子命名空间名称
+       * @returns {Object} 子命名空间事件总线
+       */
+      namespace(name) {
+        assertActive();
+        validateNamespaceName(name);
+        
+        const child = createNamespace(scopePrefix + name, children);
+        children.add(child);
+        return child;
+      },
+      
+      /**
+       * 移除命名空间内所有事件的订阅（包括直接使用完整名称注册的订阅）
+       */
+      clear() {
+        eventBus.getEventNames()
+          .filter(event => event.startsWith(scopePrefix))
+          .forEach(event => eventBus.off(event));
+        subscriptions.length = 0;
+      },
+      
+      /**
+       * 销毁命名空间，移除通过它及其子命名空间创建的订阅、响应者和事件定义
+       */
+      dispose() {
+        if (disposed) return;
+        disposed = true;
+        
+        [...children].forEach(child => child.dispose());
+        subscriptions.splice(0).forEach(record => record.unsubscribe());
+        [...disposers].forEach(dispose => dispose());
+        
+        if (siblings) {
+          siblings.delete(scope);
+        }
+        
+        logger.debug(`命名空间已销毁: ${prefix}`);
+      },
+      
+      /**
+       * 命名空间是否已销毁
+       * @returns {boolean}
+       */
+      isDisposed() {
+        return disposed;
+      }
+    };
+    
+    return scope;
+  };
+  
+  const eventBus = {
+    /**
+     * 订阅事件
+     * @param {string} event 事件名称（支持通配符 * 和 **）
+     * @param {Function} handler 事件处理函数
+     * @param {Object|number} [options] 配置选项或优先级
+     * @param {number} [options.priority] 处理函数优先级(0-100，默认50)
+     * @param {boolean} [options.replay=false] 是否立即回放已记录的粘性事件
+     * @param {AbortSignal} [options.signal] 中止信号，中止时自动取消订阅
+     * @param {string} [options.errorPolicy='swallow'] 处理函数出错时的策略：
+     *   swallow 继续执行其他处理函数，rethrow 停止分发并由 emit 抛出，stop-propagation 停止分发
+     * @param {boolean} [options.withContext=false] 是否在最后一个参数传入事件上下文
+     *   { event, stopPropagation(), preventDefault(), defaultPrevented, propagationStopped }
+     * @param {Function} [options.filter] 过滤函数，参数与处理函数相同（通配符订阅时包含事件名和捕获的参数），
+     *   返回假值时跳过本次分发，被过滤的分发不计入 once、节流和 emitAsync 的结果
+     * @param {Function} [options.map] 参数转换函数，参数与处理函数相同，返回新的参数数组（非数组时作为唯一参数）
+     * @param {number} [options.throttle] 节流间隔（毫秒）
+     * @param {number} [options.debounce] 防抖等待时间（毫秒）
+     * @param {boolean} [options.leading] 是否在开始时执行，节流默认为 true，防抖默认为 false
+     * @param {boolean} [options.trailing=true] 是否在结束时用最后一次的参数执行
+     * @param {Object} [options.batch] 批处理 { size, wait }，处理函数收到参数数组的数组；
+     *   达到 size 条或第一条之后 wait 毫秒时执行。throttle、debounce 和 batch 只能选择一个
+     * @returns {Function} 取消订阅函数，同时清除节流、防抖和批处理的定时器
+     */
+    on(event, handler, options = {}) {
+      if (typeof event !== 'string') {
+        throw new TypeError('事件名称必须是字符串');
+      }
+      
+      if (typeof handler !== 'function') {
+        throw new TypeError('事件处理函数必须是函数');
+      }
+      
+      if (!event.trim()) {
+        throw new Error('事件名称不能为空');
+      }
+      
+      // 信号已中止时不再订阅
+      const signal = getSignal(options);
+      if (signal && signal.aborted) {
+        return function unsubscribe() {};
+      }
+      
+      const errorPolicy = options && typeof options === 'object' && options.errorPolicy !== undefined
+        ? options.errorPolicy
+        : 'swallow';
+      if (!ERROR_POLICIES.includes(errorPolicy)) {
+        throw new TypeError(`无效的错误处理策略: ${errorPolicy}，可选值为 ${ERROR_POLICIES.join(' | ')}`);
+      }
+      
+      const withContext = !!(options && typeof options === 'object' && options.withContext);
+      
+      const { filter, map } = options && typeof options === 'object' ? options : {};
+      if (filter !== undefined && typeof filter !== 'function') {
+        throw new TypeError('filter 必须是函数');
+      }
+      if (map !== undefined && typeof map !== 'function') {
+        throw new TypeError('map 必须是函数');
+      }
+      
+      // 处理优先级参数
+      let priority;
+      if (typeof options === 'number') {
+        priority = options;
+      } else if (options && typeof options === 'object') {
+        priority = options.priority;
+      }
+      
+      // 规范化优先级
+      priority = typeof priority === 'number' ? Math.min(100, Math.max(0, priority)) : internalOptions.defaultPriority;
+      
+      // 执行订阅拦截器，允许修改订阅信息或拒绝订阅
+      if (subscribeInterceptors.length > 0) {
+        const subscription = {
+          event,
+          handler,
+          priority,
+          options: options && typeof options === 'object' ? options : {}
+        };
+        
+        for (const interceptor of [...subscribeInterceptors]) {
+          if (interceptor(subscription) === false) {
+            logger.warn(`订阅被拦截器拒绝: ${event}`);
+            return function unsubscribe() {};
+          }
+        }
+        
+        if (typeof subscription.event !== 'string' || !subscription.event.trim() || typeof subscription.handler !== 'function') {
+          throw new TypeError('订阅拦截器返回了无效的订阅信息');
+        }
+        
+        event = subscription.event;
+        handler = subscription.handler;
+        priority = typeof subscription.priority === 'number'
+          ? Math.min(100, Math.max(0, subscription.priority))
+          : internalOptions.defaultPriority;
+      }
+      
+      // 检查是否为通配符事件
+      const isWildcard = hasWildcard(event);
+      
+      const handlerFields = { errorPolicy, withContext, filter, map };
+      let handlerObj = null;
+      
+      // 节流、防抖和批处理：分发时交给限流器调用，延迟执行出错时报告实际触发的事件
+      const limiter = createRateLimiter(handler, options && typeof options === 'object' ? options : {}, (error, firedEvent) => {
+        reportHandlerError(error, { handlerObj, pattern: isWildcard ? event : null }, firedEvent);
+      });
+      
+      if (limiter) {
+        handlerFields.limiter = limiter;
+      }
+      
+      let id;
+      if (isWildcard) {
+        // 为通配符事件创建索引
+        id = addWildcardIndex(event, handler, priority, handlerFields);
+      } else {
+        // 普通事件处理
+        if (!events.has(event)) {
+          events.set(event, []);
+        }
+        
+        // 生成唯一ID
+        id = ++handlerId;
+        
+        // 添加处理函数对象
+        events.get(event).push({
+          ...handlerFields,
+          handler,
+          priority,
+          id
+        });
+        
+        // 按优先级排序（从高到低）
+        events.get(event).sort(compareHandlers);
+        
+        logger.debug(`添加事件处理函数: ${event}`, { priority, id });
+      }
+      
+      handlerObj = isWildcard
+        ? wildcardEvents.get(event).handlers.find(h => h.id === id)
+        : events.get(event).find(h => h.id === id);
+      
+      // 回放粘性事件
+      if (options && options.replay === true && stickyRecords.size > 0) {
+        replaySticky(event, handlerObj);
+      }
+      
+      // 保存 eventBus 引用，避免 this 指向问题
+      const self = this;
+      return bindSignal(signal, function unsubscribe() {
+        self.off(event, id);
+      });
+    },
+
+    /**
+     * 一次性订阅事件，触发后自动取消订阅
+     * 不提供处理函数时返回 Promise，以事件参数数组兑现
+     * @param {string} event 事件名称（支持通配符 * 和 **）
+     * @param {Function|Object} [handler] 事件处理函数，或 Promise 形式的配置选项
+     * @param {Object|number} [options] 配置选项或优先级，同 on
+     * @param {AbortSignal} [options.signal] 中止信号，Promise 形式中止时以中止原因拒绝
+     * @param {number} [options.timeout] Promise 形式的超时时间（毫秒），超时以 TIMEOUT 错误拒绝
+     * @returns {Function|Promise<Array>} 取消订阅函数，Promise 形式返回事件参数
+     */
+    once(event, handler, options) {
+      if (typeof event !== 'string') {
+        throw new TypeError('事件名称必须是字符串');
+      }
+      
+      if (handler === undefined || (handler !== null && typeof handler === 'object')) {
+        return waitForEvent((...args) => this.once(...args), event, handler || {});
+      }
+      
+      if (typeof handler !== 'function') {
+        throw new TypeError('事件处理函数必须是函数');
+      }
+      
+      let fired = false;
+      let unsubscribe = null;
+      const onceHandler = (...args) => {
+        if (fired) return;
+        fired = true;
+        
+        // 先取消订阅，处理函数出错时也不会再次触发
+        if (unsubscribe) unsubscribe();
+        handler(...args);
+      };
+      
+      unsubscribe = this.on(event, onceHandler, options);
+      
+      // 回放粘性事件时已经触发
+      if (fired) unsubscribe();
+      return unsubscribe;
+    },
+
+    /**
+     * 取消事件订阅
+     * @param {string} event 事件名称（支持通配符 * 和 **）
+     * @param {Function|number} handler 事件处理函数或处理函数ID
+     */
+    off(event, handler) {
+      if (typeof event !== 'string') return;
+      
+      // 检查是否为通配符事件
+      const isWildcard = hasWildcard(event);
+      
+      if (isWildcard) {
+        // 从通配符索引中移除
+        if (removeWildcardIndex(event, handler)) {
+          notifyUnsubscribe(event, handler);
+        }
+        return;
+      }
+      
+      if (!events.has(event)) return;
+      
+      const eventHandlers = events.get(event);
+      
+      // 如果没有提供handler，则删除该事件的所有处理函数
+      if (handler === undefined) {
+        events.delete(event);
+        eventHandlers.forEach(releaseHandler);
+        logger.debug(`已移除事件 ${event} 的所有处理函数`);
+        notifyUnsubscribe(event, handler);
+        return;
+      }
+      
+      // 按ID或函数引用移除
+      const removedHandlers = eventHandlers.filter(h => matchesHandler(h, handler));
+      const removed = removedHandlers.length > 0;
+      
+      if (removed) {
+        events.set(event, eventHandlers.filter(h => !removedHandlers.includes(h)));
+        removedHandlers.forEach(releaseHandler);
+        logger.debug(typeof handler === 'number'
+          ? `已移除事件 ${event} 的处理函数，ID: ${handler}`
+          : `已移除事件 ${event} 的处理函数（按函数引用）`);
+      }
+      
+      // 如果事件没有订阅者了，则删除该事件
+      if (events.get(event).length === 0) {
+        events.delete(event);
+        logger.debug(`事件 ${event} 已无订阅者，已移除`);
+      }
+      
+      if (removed) {
+        notifyUnsubscribe(event, handler);
+      }
+    },
+
+    /**
+     * 触发事件
+     * 处理函数依次执行：直接订阅的处理函数在前，通配符处理函数在后，各自按优先级从高到低排列
+     * @param {string} event 事件名称
+     * @param {...any} args 传递给处理函数的参数
+     * @returns {boolean} 是否有处理函数调用了事件上下文的 preventDefault()（存在异步中间件时始终为 false）
+     */
+    emit(event, ...args) {
+      return eventBus.emitWithMeta(undefined, event, ...args);
+    },
+    
+    /**
+     * 携带元数据触发事件，元数据在中间件执行前写入 ctx.meta，
+     * 异步中间件之后执行的中间件同样可以读取（跨标签页传输和 postMessage 桥接用它标记来自外部的事件）
+     * @param {Object} [meta] 元数据
+     * @param {string} event 事件名称
+     * @param {...any} args 传递给处理函数的参数
+     * @returns {boolean} 同 emit
+     */
+    emitWithMeta(meta, event, ...args) {
+      if (typeof event !== 'string') return false;
+      
+      const ctx = createMiddlewareContext('emit', event, args, meta);
+      const result = runMiddlewares(ctx, () => dispatchEmit(ctx));
+      
+      // 同步触发不等待异步中间件，仅记录其错误
+      if (result && typeof result.then === 'function') {
+        result.then(null, error => {
+          logger.error(`中间件执行出错: ${event}`, { error });
+        });
+        return false;
+      }
+      
+      return ctx.defaultPrevented;
+    },
+    
+    /**
+     * 异步触发事件，等待所有处理函数完成并汇总结果
+     * 处理函数按优先级顺序执行（直接订阅在前，通配符订阅在后），单个处理函数出错默认不会影响其他处理函数，
+     * 错误处理策略为 rethrow 时返回的 Promise 以该错误拒绝，stop-propagation 只在串行模式下生效
+     * @param {string} event 事件名称
+     * @param {...any} args 传递给处理函数的参数
+     * @returns {Promise<Array<{id: number, priority: number, pattern: string|null, status: string, value: *, error: Error|null}>>}
+     *   每个处理函数的执行结果，status为 fulfilled 或 rejected；事件被中间件取消时为空数组
+     */
+    async emitAsync(event, ...args) {
+      if (typeof event !== 'string') return [];
+      
+      const ctx = createMiddlewareContext('emitAsync', event, args);
+      let pending = null;
+      
+      await runMiddlewares(ctx, () => (pending = dispatchAsync(ctx)));
+      
+      // 中间件未返回 next() 的结果时，仍需等待分发完成
+      if (pending) {
+        await pending;
+      }
+      
+      return ctx.results || [];
+    },
+    
+    /**
+     * 注册中间件，在事件触发与处理函数分发之间执行
+     * 中间件签名为 (ctx, next)，ctx 包含 type、event、args、meta、cancel()，
+     * 可修改 ctx.event / ctx.args 改写事件，不调用 next 或调用 ctx.cancel() 可阻止分发。
+     * 内置中间件 metrics、logger、monitor、breakpoint 会先于自定义中间件执行。
+     * @param {Function} middleware 中间件函数
+     * @param {Object} [options] 配置选项
+     * @param {string} [options.name] 中间件名称，用于 unuse
+     * @returns {Function} 移除中间件的函数
+     */
+    use(middleware, options = {}) {
+      if (typeof middleware !== 'function') {
+        throw new TypeError('中间件必须是函数');
+      }
+      
+      const entry = {
+        name: options.name || middleware.name || 'anonymous',
+        handle: middleware
+      };
+      middlewares.push(entry);
+      
+      logger.debug(`已注册中间件: ${entry.name}`);
+      
+      return () => {
+        const index = middlewares.indexOf(entry);
+        if (index !== -1) {
+          middlewares.splice(index, 1);
+        }
+      };
+    },
+    
+    /**
+     * 移除中间件
+     * @param {string|Function} middleware 中间件名称或中间件函数
+     * @returns {boolean} 是否移除成功
+     */
+    unuse(middleware) {
+      const index = middlewares.findIndex(entry =>
+        typeof middleware === 'string' ? entry.name === middleware : entry.handle === middleware
+      );
+      
+      if (index === -1) return false;
+      
+      const [entry] = middlewares.splice(index, 1);
+      logger.debug(`已移除中间件: ${entry.name}`);
+      return true;
+    },
+    
+    /**
+     * 获取已注册的中间件名称（按执行顺序）
+     * @returns {Array<string>} 中间件名称数组
+     */
+    getMiddlewares() {
+      return middlewares.map(entry => entry.name);
+    },
+    
+    /**
+     * 注册订阅拦截器，在处理函数被添加前执行
+     * 拦截器接收 { event, handler, priority, options }，可修改这些字段，返回 false 则拒绝订阅
+     * @param {Function} interceptor 拦截器函数
+     * @returns {Function} 移除拦截器的函数
+     */
+    onSubscribe(interceptor) {
+      if (typeof interceptor !== 'function') {
+        throw new TypeError('拦截器必须是函数');
+      }
+      
+      subscribeInterceptors.push(interceptor);
+      return () => {
+        const index = subscribeInterceptors.indexOf(interceptor);
+        if (index !== -1) {
+          subscribeInterceptors.splice(index, 1);
+        }
+      };
+    },
+    
+    /**
+     * 注册取消订阅拦截器，在处理函数被移除后执行
+     * 拦截器接收 { event, handler }，handler 为取消订阅时传入的处理函数、ID或undefined（全部移除）
+     * @param {Function} interceptor 拦截器函数
+     * @returns {Function} 移除拦截器的函数
+     */
+    onUnsubscribe(interceptor) {
+      if (typeof interceptor !== 'function') {
+        throw new TypeError('拦截器必须是函数');
+      }
+      
+      unsubscribeInterceptors.push(interceptor);
+      return () => {
+        const index = unsubscribeInterceptors.indexOf(interceptor);
+        if (index !== -1) {
+          unsubscribeInterceptors.splice(index, 1);
+        }
+      };
+    },
+    
+    /**
+     * 注册处理函数错误钩子，处理函数（包括通配符和多事件订阅）出错时调用
+     * 钩子接收 (error, { event, handlerId, priority, pattern })，注册钩子后不再输出到控制台
+     * @param {Function} hook 错误钩子
+     * @returns {Function} 移除钩子的函数
+     */
+    onError(hook) {
+      if (typeof hook !== 'function') {
+        throw new TypeError('错误钩子必须是函数');
+      }
+      
+      errorHooks.push(hook);
+      return () => {
+        const index = errorHooks.indexOf(hook);
+        if (index !== -1) {
+          errorHooks.splice(index, 1);
+        }
+      };
+    },
+    
+    /**
+     * 定义事件契约，触发事件时按定义校验参数
+     * @param {string} name 事件名称（不支持通配符）
+     * @param {Object} definition 事件定义
+     * @param {Function|Object} definition.validate 校验函数或 JSON Schema 子集。
+     *   校验函数接收事件参数，返回 false 或错误信息字符串表示校验失败；JSON Schema 校验第一个参数
+     * @param {string} [definition.policy] 校验失败时的处理策略（throw | warn | drop），默认使用 validationPolicy 配置
+     * @param {string} [definition.description] 事件说明
+     * @returns {Function} 移除事件定义的函数
+     */
+    defineEvent(name, definition = {}) {
+      if (typeof name !== 'string' || !name.trim()) {
+        throw new TypeError('事件名称必须是非空字符串');
+      }
+      
+      if (hasWildcard(name)) {
+        throw new Error(`事件定义不支持通配符事件: ${name}`);
+      }
+      
+      const { validate, policy, description } = definition;
+      
+      if (typeof validate !== 'function' && (!validate || typeof validate !== 'object')) {
+        throw new TypeError('validate 必须是校验函数或 JSON Schema 对象');
+      }
+      
+      if (policy !== undefined && !VALIDATION_POLICIES.includes(policy)) {
+        throw new Error(`无效的校验策略: ${policy}`);
+      }
+      
+      if (eventDefinitions.has(name)) {
+        logger.warn(`事件 ${name} 的定义已被覆盖`);
+      }
+      
+      const entry = {
+        validate: typeof validate === 'function' ? validate : null,
+        schema: typeof validate === 'function' ? null : validate,
+        policy,
+        description: typeof description === 'string' ? description : ''
+      };
+      eventDefinitions.set(name, entry);
+      
+      logger.debug(`已定义事件: ${name}`);
+      
+      return () => {
+        if (eventDefinitions.get(name) === entry) {
+          eventDefinitions.delete(name);
+        }
+      };
+    },
+    
+    /**
+     * 将事件设置为粘性事件，记录最近的事件参数供后续订阅者回放
+     * @param {string} event 事件名称（支持通配符 * 和 **）
+     * @param {Object|boolean} [options] 粘性配置，传入 false 取消粘性并清除记录
+     * @param {number} [options.size=1] 保留最近的记录条数
+     * @param {number} [options.ttl=0] 记录有效期（毫秒），0表示永不过期
+     * @returns {boolean} 是否设置成功
+     */
+    setSticky(event, options = {}) {
+      if (typeof event !== 'string' || !event.trim()) {
+        logger.error('事件名称无效');
+        return false;
+      }
+      
+      if (options === false) {
+        stickyConfigs.delete(event);
+        this.clearSticky(event);
+        logger.debug(`已取消粘性事件: ${event}`);
+        return true;
+      }
+      
+      if (hasWildcard(event)) {
+        // 提前校验通配符模式
+        wildcardToRegExp(event);
+      }
+      
+      const config = options && typeof options === 'object' ? options : {};
+      stickyConfigs.set(event, {
+        size: typeof config.size === 'number' && config.size > 0 ? Math.floor(config.size) : 1,
+        ttl: typeof config.ttl === 'number' && config.ttl > 0 ? config.ttl : 0
+      });
+      
+      logger.debug(`已设置粘性事件: ${event}`, stickyConfigs.get(event));
+      return true;
+    },
+    
+    /**
+     * 清除粘性事件记录（保留粘性配置）
+     * @param {string} [event] 事件名称（支持通配符 * 和 **），不提供则清除所有记录
+     */
+    clearSticky(event) {
+      if (event === undefined) {
+        stickyRecords.clear();
+        logger.debug('已清除所有粘性事件记录');
+        return;
+      }
+      
+      if (typeof event !== 'string') return;
+      
+      if (hasWildcard(event)) {
+        const regex = wildcardToRegExp(event);
+        [...stickyRecords.keys()].forEach(eventName => {
+          if (regex.test(eventName)) {
+            stickyRecords.delete(eventName);
+          }
+        });
+      } else {
+        stickyRecords.delete(event);
+      }
+      
+      logger.debug(`已清除粘性事件记录: ${event}`);
+    },
+    
+    /**
+     * 获取粘性事件记录的参数
+     * @param {string} event 事件名称
+     * @returns {Array<Array>} 按触发顺序排列的参数数组，最新的在最后
+     */
+    getSticky(event) {
+      if (typeof event !== 'string') return [];
+      return getStickyRecords(event).map(record => [...record.args]);
+    },
+    
     /**
-     * 订阅事件
-     * @param {string} event 事件名称（支持通配符 *）
-     * @param {Function} handler 事件处理函数
-     * @param {Object|number} [options] 配置选项或优先级
-     * @param {number} [options.priority] 处理函数优先级(0-100，默认50)
+     * 获取事件快照（事件名称 -> 最近一次的事件数据），事件数据没有变化时返回同一个冻结对象
+     * @returns {Object} 快照
+     */
+    getSnapshot() {
+      return readSnapshot();
+    },
+    
+    /**
+     * 获取服务端快照，返回 initialSnapshot（或 hydrate 注入的状态）对应的冻结对象
+     * 服务端的请求级事件总线（ssr 选项）返回实时快照
+     * @returns {Object} 快照
+     */
+    getServerSnapshot() {
+      return isServerBus ? readSnapshot() : serverSnapshot;
+    },
+    
+    /**
+     * 订阅快照变化，snapshotEvents 选择的事件（以及来自服务端快照的事件）触发后调用监听函数
+     * @param {Function} listener 监听函数
      * @returns {Function} 取消订阅函数
      */
-    on(event, handler, options = {}) {
-      if (typeof event !== 'string') {
-        throw new TypeError('事件名称必须是字符串');
+    subscribeSnapshot(listener) {
+      if (typeof listener !== 'function') {
+        throw new TypeError('快照监听函数必须是函数');
       }
       
-      if (typeof handler !== 'function') {
-        throw new TypeError('事件处理函数必须是函数');
-      }
+      snapshotListeners.add(listener);
+      return () => {
+        snapshotListeners.delete(listener);
+      };
+    },
+    
+    /**
+     * 导出可序列化的状态（粘性记录和事件快照），用于服务端渲染后在客户端恢复
+     * @returns {{sticky: Array<{event: string, args: Array}>, snapshot: Object}} 状态
+     */
+    dehydrate() {
+      const records = [];
+      [...stickyRecords.keys()].forEach(event => {
+        getStickyRecords(event).forEach(record => {
+          records.push({ event, record });
+        });
+      });
       
-      if (!event.trim()) {
-        throw new Error('事件名称不能为空');
-      }
+      // 按触发顺序导出，恢复后回放顺序保持一致
+      records.sort((a, b) => a.record.seq - b.record.seq);
       
-      // 处理优先级参数
-      let priority;
-      if (typeof options === 'number') {
-        priority = options;
-      } else if (options && typeof options === 'object') {
-        priority = options.priority;
+      return {
+        sticky: records.map(({ event, record }) => ({ event, args: [...record.args] })),
+        snapshot: Object.fromEntries(snapshotValues)
+      };
+    },
+    
+    /**
+     * 恢复 dehydrate 导出的状态：粘性记录供后续订阅者回放，事件快照同时作为服务端快照
+     * 快照中的事件之后触发时继续更新快照，即使不在 snapshotEvents 中；恢复状态不会触发事件处理函数
+     * @param {Object} state dehydrate 导出的状态
+     */
+    hydrate(state) {
+      if (!state || typeof state !== 'object') {
+        throw new TypeError('注水状态必须是对象');
       }
       
-      // 规范化优先级
-      priority = typeof priority === 'number' ? Math.min(100, Math.max(0, priority)) : internalOptions.defaultPriority;
-      
-      // 检查是否为通配符事件
-      const isWildcard = hasWildcard(event);
+      if (Array.isArray(state.sticky)) {
+        state.sticky.forEach(item => {
+          if (!item || typeof item.event !== 'string' || !Array.isArray(item.args)) {
+            logger.warn('忽略无效的粘性记录', { item });
+            return;
+          }
+          pushStickyRecord(item.event, item.args, getStickyConfig(item.event));
+        });
+      }
       
-      let handlerId;
-      if (isWildcard) {
-        // 为通配符事件创建索引
-        handlerId = addWildcardIndex(event, handler, priority);
-      } else {
-        // 普通事件处理
-        if (!events.has(event)) {
-          events.set(event, []);
-        }
-        
-        // 生成唯一ID
-        const id = ++handlerId;
-        
-        // 添加处理函数对象
-        events.get(event).push({
-          handler,
-          priority,
-          id
+      if (state.snapshot && typeof state.snapshot === 'object') {
+        Object.entries(state.snapshot).forEach(([event, value]) => {
+          snapshotValues.set(event, value);
+          hydratedSnapshotEvents.add(event);
         });
         
-        // 按优先级排序（从高到低）
-        events.get(event).sort((a, b) => b.priority - a.priority);
-        
-        logger.debug(`添加事件处理函数: ${event}`, { priority, id });
+        // 注水时客户端读取的服务端快照需要与服务端渲染时一致
+        serverSnapshot = Object.freeze(Object.fromEntries(snapshotValues));
+        currentSnapshot = serverSnapshot;
+        snapshotDirty = false;
+        notifySnapshotListeners();
       }
       
-      // 保存 eventBus 引用，避免 this 指向问题
-      const self = this;
-      const idToRemove = id || handlerId;
-      return function unsubscribe() {
-        self.off(event, idToRemove);
-      };
+      logger.debug('已恢复事件总线状态', {
+        sticky: Array.isArray(state.sticky) ? state.sticky.length : 0
+      });
     },
-
+    
     /**
-     * 一次性订阅事件，触发后自动取消订阅
-     * @param {string} event 事件名称（支持通配符 *）
-     * @param {Function} handler 事件处理函数
-     * @returns {Function} 取消订阅函数
+     * 注册请求响应者
+     * 同一事件只会有一个响应者被调用：存在多个响应者时选择优先级最高的一个
+     * @param {string} event 事件名称（不支持通配符）
+     * @param {Function} handler 响应函数，接收 (payload, { event, requestId })，返回值（或Promise）作为请求结果
+     * @param {Object|number} [options] 配置选项或优先级
+     * @param {number} [options.priority] 响应者优先级(0-100，默认50)
+     * @returns {Function} 取消注册函数
      */
-    once(event, handler) {
+    respond(event, handler, options = {}) {
       if (typeof event !== 'string') {
         throw new TypeError('事件名称必须是字符串');
       }
       
       if (typeof handler !== 'function') {
-        throw new TypeError('事件处理函数必须是函数');
+        throw new TypeError('响应函数必须是函数');
       }
       
-      // 保存 eventBus 引用，避免 this 指向问题
-      const self = this;
-      const onceHandler = (...args) => {
-        handler(...args);
-        self.off(event, onceHandler);
-      };
-      return this.on(event, onceHandler);
-    },
-
-    /**
-     * 取消事件订阅
-     * @param {string} event 事件名称（支持通配符 *）
-     * @param {Function|number} handler 事件处理函数或处理函数ID
-     */
-    off(event, handler) {
-      if (typeof event !== 'string') return;
-      
-      // 检查是否为通配符事件
-      const isWildcard = hasWildcard(event);
+      if (!event.trim()) {
+        throw new Error('事件名称不能为空');
+      }
       
-      if (isWildcard) {
-        // 从通配符索引中移除
-        removeWildcardIndex(event, handler);
-        return;
+      if (hasWildcard(event)) {
+        throw new Error(`响应者不支持通配符事件: ${event}`);
       }
       
-      if (!events.has(event)) return;
+      // 处理优先级参数
+      let priority = typeof options === 'number' ? options : options?.priority;
+      priority = typeof priority === 'number' ? Math.min(100, Math.max(0, priority)) : internalOptions.defaultPriority;
       
-      const eventHandlers = events.get(event);
+      if (!responders.has(event)) {
+        responders.set(event, []);
+      }
       
-      // 如果没有提供handler，则删除该事件的所有处理函数
-      if (handler === undefined) {
-        events.delete(event);
-        logger.debug(`已移除事件 ${event} 的所有处理函数`);
-        return;
+      const eventResponders = responders.get(event);
+      if (eventResponders.some(r => r.priority === priority)) {
+        logger.warn(`事件 ${event} 已存在相同优先级的响应者，请求将无法确定响应者`, { priority });
       }
       
-      // 处理不同类型的handler参数
-      let removed = false;
+      const id = ++handlerId;
+      eventResponders.push({ handler, priority, id });
+      eventResponders.sort((a, b) => b.priority - a.priority);
+      
+      logger.debug(`添加响应者: ${event}`, { priority, id });
       
-      if (typeof handler === 'number') {
-        // 按ID移除
-        const initialLength = eventHandlers.length;
-        events.set(event, eventHandlers.filter(h => h.id !== handler));
-        removed = events.get(event).length < initialLength;
+      return function unrespond() {
+        if (!responders.has(event)) return;
         
-        if (removed) {
-          logger.debug(`已移除事件 ${event} 的处理函数，ID: ${handler}`);
-        }
-      } else if (typeof handler === 'function') {
-        // 按函数引用移除
-        const initialLength = eventHandlers.length;
-        events.set(event, eventHandlers.filter(h => h.handler !== handler));
-        removed = events.get(event).length < initialLength;
-        
-        if (removed) {
-          logger.debug(`已移除事件 ${event} 的处理函数（按函数引用）`);
+        const remaining = responders.get(event).filter(r => r.id !== id);
+        if (remaining.length > 0) {
+          responders.set(event, remaining);
+        } else {
+          responders.delete(event);
         }
-      }
-      
-      // 如果事件没有订阅者了，则删除该事件
-      if (events.get(event).length === 0) {
-        events.delete(event);
-        logger.debug(`事件 ${event} 已无订阅者，已移除`);
-      }
+        
+        logger.debug(`已移除事件 ${event} 的响应者，ID: ${id}`);
+      };
     },
-
+    
     /**
-     * 触发事件
+     * 发起请求并等待响应者返回结果
      * @param {string} event 事件名称
-     * @param {...any} args 传递给处理函数的参数
+     * @param {*} [payload] 请求数据
+     * @param {Object} [options] 配置选项
+     * @param {number} [options.timeout] 超时时间（毫秒），默认使用 requestTimeout 配置，0表示不超时
+     * @returns {Promise<*>} 响应结果；无响应者、响应者不唯一、被中间件取消、超时或响应者出错时拒绝
      */
-    emit(event, ...args) {
-      if (typeof event !== 'string') return;
-      
-      metrics.emitCount++;
-      
-      // 定期清理过期缓存
-      if (metrics.emitCount % 100 === 0) {
-        cleanupExpiredCache();
-      }
-      
-      // 事件调试记录
-      if (internalOptions.logLevel >= LOG_LEVELS.DEBUG) {
-        const now = Date.now();
-        const timeSinceLastEvent = debugState.lastEventTime ? now - debugState.lastEventTime : 0;
-        debugState.lastEventTime = now;
-        
-        logger.debug(`事件触发: ${event}`, {
-          args: internalOptions.logEventData ? args : '省略',
-          timeSinceLastEvent
-        });
-      }
-      
-      // 事件监控
-      if (debugState.isMonitoring) {
-        // 更新事件计数
-        debugState.monitorData.eventCounts[event] = (debugState.monitorData.eventCounts[event] || 0) + 1;
-        
-        // 添加到时间线
-        if (debugState.monitorData.timeline.length >= internalOptions.maxLogEntries) {
-          debugState.monitorData.timeline.shift();
+    request(event, payload, options = {}) {
+      return new Promise((resolve, reject) => {
+        if (typeof event !== 'string' || !event.trim()) {
+          reject(new TypeError('事件名称必须是非空字符串'));
+          return;
         }
         
-        debugState.monitorData.timeline.push({
-          type: 'emit',
-          event,
-          args: internalOptions.logEventData ? [...args] : null,
-          timestamp: Date.now()
-        });
+        metrics.requestCount++;
+        
+        const ctx = createMiddlewareContext('request', event, [payload]);
+        let delivered = false;
         
-        // 触发可视化更新
-        if (internalOptions.visualizer) {
+        // 经过中间件后，使用（可能被改写的）事件名称和数据调用响应者
+        const deliver = () => {
+          delivered = true;
+          const targetEvent = ctx.event;
+          
+          if (!checkEventDefinition(targetEvent, ctx.args)) {
+            reject(createRequestError('CANCELLED', `请求 ${targetEvent} 的数据未通过校验，已被丢弃`, targetEvent));
+            return;
+          }
+          
+          const candidates = responders.get(targetEvent);
+          if (!candidates || candidates.length === 0) {
+            reject(createRequestError('NO_RESPONDER', `事件 ${targetEvent} 没有响应者`, targetEvent));
+            return;
+          }
+          
+          if (candidates.length > 1 && candidates[0].priority === candidates[1].priority) {
+            reject(createRequestError('AMBIGUOUS_RESPONDER', `事件 ${targetEvent} 存在多个相同优先级的响应者`, targetEvent));
+            return;
+          }
+          
+          const responder = candidates[0];
+          const currentRequestId = ++requestId;
+          const timeout = typeof options.timeout === 'number' ? options.timeout : internalOptions.requestTimeout;
+          
+          let settled = false;
+          let timer = null;
+          
+          const settle = (callback, value) => {
+            if (settled) return;
+            settled = true;
+            clearTimeout(timer);
+            callback(value);
+          };
+          
+          if (timeout > 0) {
+            timer = setTimeout(() => {
+              metrics.requestTimeoutCount++;
+              logger.warn(`请求超时: ${targetEvent}`, { requestId: currentRequestId, timeout });
+              settle(reject, createRequestError('TIMEOUT', `请求 ${targetEvent} 超时 (${timeout}ms)`, targetEvent));
+            }, timeout);
+          }
+          
           try {
-            internalOptions.visualizer({
-              type: 'EVENT',
-              event,
-              args
-            }, debugState.monitorData);
+            Promise.resolve(responder.handler(ctx.args[0], { event: targetEvent, requestId: currentRequestId })).then(
+              value => settle(resolve, value),
+              error => settle(reject, error)
+            );
           } catch (error) {
-            logger.error('可视化调试错误', { error });
+            logger.error(`响应者执行出错: ${targetEvent}`, { error, requestId: currentRequestId });
+            settle(reject, error);
           }
-        }
-      }
-      
-      // 断点处理
-      if (debugState.breakpoints.has(event)) {
-        const breakpointConfig = debugState.breakpoints.get(event);
-        let shouldBreak = true;
+        };
         
-        // 检查条件函数
-        if (typeof breakpointConfig.condition === 'function') {
-          try {
-            shouldBreak = breakpointConfig.condition(event, ...args);
-          } catch (error) {
-            logger.error('断点条件执行错误', { error, event });
-            shouldBreak = false;
+        const finish = () => {
+          if (!delivered) {
+            reject(createRequestError('CANCELLED', `请求 ${event} 已被中间件取消`, event));
           }
+        };
+        
+        let result;
+        try {
+          result = runMiddlewares(ctx, deliver);
+        } catch (error) {
+          reject(error);
+          return;
         }
         
-        if (shouldBreak) {
-          logger.warn(`命中事件断点: ${event}`, { args });
-          
-          if (typeof breakpointConfig.callback === 'function') {
-            try {
-              breakpointConfig.callback(event, args);
-            } catch (error) {
-              logger.error('断点回调执行错误', { error, event });
-            }
-          }
+        if (result && typeof result.then === 'function') {
+          result.then(finish, reject);
+        } else {
+          finish();
         }
-      }
+      });
+    },
+    
+    /**
+     * 检查事件名称是否匹配指定的事件名称或通配符模式
+     * @param {string} pattern 事件名称或通配符模式
+     * @param {string} event 事件名称
+     * @returns {Array<string>|null} 匹配时返回通配符捕获的参数（精确匹配时为空数组），不匹配时返回null
+     */
+    match(pattern, event) {
+      if (typeof pattern !== 'string' || typeof event !== 'string') return null;
       
-      // 执行直接匹配的处理函数
-      const handlersArray = events.get(event);
-      if (handlersArray && handlersArray.length > 0) {
-        // 创建处理函数的快照，避免在回调执行过程中修改集合导致的问题
-        // 由于处理函数已按优先级排序，直接遍历即可
-        [...handlersArray].forEach(handlerObj => {
-          try {
-            // 是否统一参数格式
-            if (internalOptions.unifyParams) {
-              handlerObj.handler(event, ...args);
-            } else {
-              handlerObj.handler(...args);
-            }
-          } catch (error) {
-            console.error(`事件处理函数执行出错: ${error.message}`, error);
-            logger.error(`优先级${handlerObj.priority}的处理函数执行出错`, { error, event });
-            // 错误不会阻止其他处理函数执行
-          }
-        });
+      if (!hasWildcard(pattern)) {
+        return pattern === event ? [] : null;
       }
       
-      // 查找匹配的通配符事件
-      const wildcardMatches = findMatchingWildcards(event);
-      if (wildcardMatches.length > 0) {
-        metrics.wildcardMatchCount += wildcardMatches.length;
-        
-        // 遍历所有匹配的通配符及其处理函数
-        wildcardMatches.forEach(wildcardData => {
-          // 处理函数已按优先级排序，直接遍历
-          for (const handlerObj of wildcardData.handlers) {
-            try {
-              // 通配符模式是Map的键，保存在遍历时的pattern变量中
-              const pattern = Array.from(wildcardEvents.keys()).find(
-                key => wildcardEvents.get(key) === wildcardData
-              ) || '';
-              
-              // 提取通配符参数
-              const wildcardParams = extractWildcardParams(pattern, event);
-              
-              // 附加事件名作为第一个参数，帮助通配符处理函数区分具体触发的事件
-              // 然后是通配符参数（如果有），最后是传递的参数
-              handlerObj.handler(event, ...wildcardParams, ...args);
-            } catch (error) {
-              console.error(`通配符事件处理函数执行出错: ${error.message}`, error);
-              // 错误不会阻止其他处理函数执行
-            }
-          }
-        });
-      }
+      const matches = wildcardToRegExp(pattern).exec(event);
+      return matches ? Array.from(matches).slice(1) : null;
+    },
+    
+    /**
+     * 创建命名空间，返回自动为事件名称添加前缀的作用域事件总线
+     * 例如 namespace('cart').emit('add') 会触发 cart.add，命名空间可以嵌套并整体销毁
+     * @param {string} name 命名空间名称
+     * @returns {Object} 命名空间事件总线
+     */
+    namespace(name) {
+      validateNamespaceName(name);
+      return createNamespace(name);
     },
     
     /**
      * 清除所有事件订阅
      */
     clear() {
+      events.forEach(handlers => handlers.forEach(releaseHandler));
+      wildcardEvents.forEach(wildcardData => wildcardData.handlers.forEach(releaseHandler));
       events.clear();
       wildcardEvents.clear();
+      responders.clear();
+      wildcardTrie.clear();
       regexCache.clear();
-      matchCache.clear();
     },
     
     /**
@@ -795,18 +3143,18 @@ export const createEventBus = (options = {}) => {
       if (hasWildcard(event)) {
         // 如果是通配符事件，返回该通配符的处理函数数量
         if (wildcardEvents.has(event)) {
-          count = wildcardEvents.get(event).handlers.size;
+          count = wildcardEvents.get(event).handlers.length;
         }
       } else {
         // 如果是普通事件，返回该事件的处理函数数量
         if (events.has(event)) {
-          count = events.get(event).size;
+          count = events.get(event).length;
         }
         
         // 同时统计匹配该事件的通配符处理函数数量
         const wildcardMatches = findMatchingWildcards(event);
         wildcardMatches.forEach(wildcardData => {
-          count += wildcardData.handlers.size;
+          count += wildcardData.handlers.length;
         });
       }
       
@@ -835,11 +3183,17 @@ export const createEventBus = (options = {}) => {
     
     /**
      * 同时订阅多个事件
-     * @param {Array<string>} eventNames 事件名称数组（支持通配符 *）
+     * @param {Array<string>} eventNames 事件名称数组（支持通配符 * 和 **）
      * @param {Function} handler 事件处理函数
      * @param {Object} [options] 配置选项
      * @param {boolean} [options.once=false] 是否为一次性订阅
      * @param {boolean} [options.includeEventName=true] 是否在回调中包含事件名作为首个参数
+     * @param {boolean} [options.replay=false] 是否立即回放已记录的粘性事件
+     * @param {AbortSignal} [options.signal] 中止信号，中止时取消所有订阅
+     * @param {string} [options.errorPolicy='swallow'] 处理函数出错时的策略，同 on
+     * @param {boolean} [options.withContext=false] 是否在最后一个参数传入事件上下文，同 on
+     * @param {Function} [options.filter] 过滤函数，同 on，参数不包含 onMany 附加的事件名
+     * @param {Function} [options.map] 参数转换函数，同 on
      * @returns {Function} 组合的取消订阅函数
      */
     onMany(eventNames, handler, options = {}) {
@@ -851,6 +3205,12 @@ export const createEventBus = (options = {}) => {
       if (typeof handler !== 'function') {
         throw new TypeError('事件处理函数必须是函数');
       }
+      
+      // 信号已中止时不再订阅
+      const signal = getSignal(options);
+      if (signal && signal.aborted) {
+        return () => {};
+      }
 
       // 空数组快速返回
       if (eventNames.length === 0) {
@@ -907,6 +3267,7 @@ export const createEventBus = (options = {}) => {
           const adaptedHandler = (...args) => {
             if (isUnsubscribed) return; // 防止重入
             
+            // 处理函数的错误交给分发流程统一处理
             try {
               // 根据includeEventName选项决定是否包含事件名
               if (includeEventName) {
@@ -916,14 +3277,8 @@ export const createEventBus = (options = {}) => {
                 // 保持与普通事件一致的参数格式
                 handler(...args);
               }
-              
-              // 如果是一次性订阅，在任何事件触发后都取消所有订阅
-              if (isOnce) {
-                unsubscribeAll();
-              }
-            } catch (error) {
-              console.error(`多事件处理函数执行出错: ${error.message}`, error);
-              // 错误不会阻止一次性订阅的取消逻辑
+            } finally {
+              // 如果是一次性订阅，在任何事件触发后都取消所有订阅（出错时也会取消）
               if (isOnce) {
                 unsubscribeAll();
               }
@@ -932,7 +3287,13 @@ export const createEventBus = (options = {}) => {
           
           // 使用on方法创建订阅，不直接使用once方法
           // 这样可以确保在触发任一事件后取消所有订阅
-          const unsubscribe = this.on(eventName, adaptedHandler);
+          const unsubscribe = this.on(eventName, adaptedHandler, {
+            replay: options.replay === true,
+            errorPolicy: options.errorPolicy,
+            withContext: options.withContext,
+            filter: options.filter,
+            map: options.map
+          });
           unsubscribeFunctions.push(unsubscribe);
         });
       } catch (error) {
@@ -941,15 +3302,16 @@ export const createEventBus = (options = {}) => {
         throw new Error(`多事件订阅失败: ${error.message}`);
       }
       
-      return unsubscribeAll;
+      return bindSignal(signal, unsubscribeAll);
     },
     
     /**
      * 同时一次性订阅多个事件，任一事件触发后自动取消所有订阅
-     * @param {Array<string>} eventNames 事件名称数组（支持通配符 *）
+     * @param {Array<string>} eventNames 事件名称数组（支持通配符 * 和 **）
      * @param {Function} handler 事件处理函数
      * @param {Object} [options] 配置选项
      * @param {boolean} [options.includeEventName=true] 是否在回调中包含事件名作为首个参数
+     * @param {AbortSignal} [options.signal] 中止信号，中止时取消所有订阅
      * @returns {Function} 组合的取消订阅函数
      */
     onceMany(eventNames, handler, options = {}) {
@@ -959,20 +3321,103 @@ export const createEventBus = (options = {}) => {
       });
     },
     
+    /**
+     * 将事件转换为 Observable（兼容 Symbol.observable，可直接传给 RxJS 的 from()）
+     * 每个 Observable 订阅对应一次 on 订阅，unsubscribe() 时按处理函数ID取消
+     * @param {string} event 事件名称（支持通配符 * 和 **）
+     * @param {Object} [options] 配置选项
+     * @param {number} [options.priority] 处理函数优先级
+     * @param {boolean} [options.replay=false] 是否立即回放已记录的粘性事件
+     * @param {Function} [options.select] 从处理函数参数计算推送值，默认为事件数据
+     * @returns {Object} Observable
+     */
+    toObservable(event, options = {}) {
+      return createEventObservable((...args) => this.on(...args), event, options);
+    },
+    
+    /**
+     * 将事件转换为异步迭代器，用于 for await...of
+     * 消费者处理不及时的事件暂存在缓冲区中，缓冲区满时按 overflow 策略处理
+     * @param {string} event 事件名称（支持通配符 * 和 **）
+     * @param {Object} [options] 配置选项
+     * @param {AbortSignal} [options.signal] 中止信号，中止后结束迭代并丢弃缓冲的事件
+     * @param {number} [options.bufferSize=1000] 缓冲区大小
+     * @param {string} [options.overflow='drop-oldest'] 溢出策略：drop-oldest | drop-newest | throw
+     * @param {number} [options.priority] 处理函数优先级
+     * @param {boolean} [options.replay=false] 是否立即回放已记录的粘性事件
+     * @param {Function} [options.select] 从处理函数参数计算迭代值，默认为事件数据
+     * @returns {Object} 异步迭代器
+     */
+    stream(event, options = {}) {
+      return createEventStream((...args) => this.on(...args), event, options);
+    },
+    
+    /**
+     * 将外部 Observable 的每个值作为事件数据触发事件
+     * @param {Object} source Observable 或实现了 Symbol.observable 的对象
+     * @param {string} event 事件名称
+     * @returns {Function} 取消订阅函数
+     */
+    fromObservable(source, event) {
+      if (typeof event !== 'string' || !event.trim()) {
+        throw new TypeError('事件名称必须是非空字符串');
+      }
+      
+      const observable = source && typeof source[OBSERVABLE_SYMBOL] === 'function'
+        ? source[OBSERVABLE_SYMBOL]()
+        : source;
+      
+      if (!observable || typeof observable.subscribe !== 'function') {
+        throw new TypeError('fromObservable 需要传入 Observable');
+      }
+      
+      const subscription = observable.subscribe({
+        next: (value) => {
+          try {
+            this.emit(event, value);
+          } catch (error) {
+            logger.error(`转发 Observable 值出错: ${event}`, { error });
+          }
+        },
+        error: (error) => {
+          logger.error(`Observable 出错: ${event}`, { error });
+        },
+        complete: () => {
+          logger.debug(`Observable 已完成: ${event}`);
+        }
+      });
+      
+      let active = true;
+      return function unsubscribe() {
+        if (!active) return;
+        active = false;
+        
+        if (typeof subscription === 'function') {
+          subscription();
+        } else if (subscription && typeof subscription.unsubscribe === 'function') {
+          subscription.unsubscribe();
+        }
+      };
+    },
+    
     /**
      * 获取性能指标
      * @returns {Object} 性能指标对象
      */
     getMetrics() {
+      const cacheStats = wildcardTrie.cacheStats();
+      const cacheLookups = cacheStats.hits + cacheStats.misses;
+      
       return {
         ...metrics,
+        cacheHitCount: cacheStats.hits,
+        cacheMissCount: cacheStats.misses,
+        cacheHitRate: cacheLookups > 0 ? cacheStats.hits / cacheLookups : 0,
+        matchCacheSize: cacheStats.size,
         regexCacheSize: regexCache.size,
-        matchCacheSize: matchCache.size,
+        trieNodeCount: wildcardTrie.nodeCount(),
         eventCount: events.size,
         wildcardEventCount: wildcardEvents.size,
-        cacheHitRate: metrics.emitCount > 0 
-          ? metrics.cacheHitCount / (metrics.cacheHitCount + metrics.cacheMissCount)
-          : 0,
         logEntries: logHistory.length,
         debugState: {
           isMonitoring: debugState.isMonitoring,
@@ -990,6 +3435,7 @@ export const createEventBus = (options = {}) => {
       Object.keys(metrics).forEach(key => {
         metrics[key] = 0;
       });
+      wildcardTrie.resetCacheStats();
     },
     
     /**
@@ -1010,6 +3456,35 @@ export const createEventBus = (options = {}) => {
         internalOptions.unifyParams = !!newOptions.unifyParams;
       }
       
+      if (VALIDATION_POLICIES.includes(newOptions.validationPolicy)) {
+        internalOptions.validationPolicy = newOptions.validationPolicy;
+      }
+      
+      if (newOptions.asyncMode !== undefined) {
+        internalOptions.asyncMode = newOptions.asyncMode === 'parallel' ? 'parallel' : 'sequential';
+      }
+      
+      if (newOptions.handlerOrder !== undefined) {
+        internalOptions.handlerOrder = newOptions.handlerOrder === 'merged' ? 'merged' : 'grouped';
+      }
+      
+      // 只影响之后触发的事件，已记录的快照保持不变
+      if (newOptions.snapshotEvents !== undefined) {
+        internalOptions.snapshotEvents = toPatternList(newOptions.snapshotEvents);
+      }
+      
+      if (newOptions.delimiter !== undefined && newOptions.delimiter !== internalOptions.delimiter) {
+        if (typeof newOptions.delimiter !== 'string' || newOptions.delimiter === '' || newOptions.delimiter.includes('*')) {
+          logger.warn('分隔符必须是不包含 * 的非空字符串', { delimiter: newOptions.delimiter });
+        } else {
+          internalOptions.delimiter = newOptions.delimiter;
+          
+          // 分隔符变化后需要重新编译所有通配符模式
+          regexCache.clear();
+          wildcardTrie.setDelimiter(internalOptions.delimiter);
+        }
+      }
+      
       // 日志配置
       if (newOptions.logLevel !== undefined) {
         const level = typeof newOptions.logLevel === 'string' 
@@ -1089,11 +3564,7 @@ export const createEventBus = (options = {}) => {
           // 查找匹配的处理函数
           for (let i = 0; i < handlers.length; i++) {
             const handlerObj = handlers[i];
-            const match = 
-              (typeof handler === 'function' && handlerObj.handler === handler) ||
-              (typeof handler === 'number' && handlerObj.id === handler);
-            
-            if (match) {
+            if (matchesHandler(handlerObj, handler)) {
               handlerObj.priority = priority;
               updated = true;
               break;
@@ -1102,7 +3573,7 @@ export const createEventBus = (options = {}) => {
           
           // 重新排序处理函数
           if (updated) {
-            wildcardData.handlers.sort((a, b) => b.priority - a.priority);
+            wildcardData.handlers.sort(compareHandlers);
           }
         }
       } else {
@@ -1113,11 +3584,7 @@ export const createEventBus = (options = {}) => {
           // 查找匹配的处理函数
           for (let i = 0; i < handlers.length; i++) {
             const handlerObj = handlers[i];
-            const match = 
-              (typeof handler === 'function' && handlerObj.handler === handler) ||
-              (typeof handler === 'number' && handlerObj.id === handler);
-            
-            if (match) {
+            if (matchesHandler(handlerObj, handler)) {
               handlerObj.priority = priority;
               updated = true;
               break;
@@ -1126,7 +3593,22 @@ export const createEventBus = (options = {}) => {
           
           // 重新排序处理函数
           if (updated) {
-            handlers.sort((a, b) => b.priority - a.priority);
+            handlers.sort(compareHandlers);
+          }
+        }
+        
+        // 未找到普通处理函数时，尝试更新响应者的优先级
+        if (!updated && responders.has(event)) {
+          const eventResponders = responders.get(event);
+          const responderObj = eventResponders.find(r =>
+            (typeof handler === 'function' && r.handler === handler) ||
+            (typeof handler === 'number' && r.id === handler)
+          );
+          
+          if (responderObj) {
+            responderObj.priority = priority;
+            eventResponders.sort((a, b) => b.priority - a.priority);
+            updated = true;
           }
         }
       }
@@ -1142,8 +3624,10 @@ export const createEventBus = (options = {}) => {
     
     /**
      * 获取事件处理函数的优先级信息
-     * @param {string} event 事件名称
-     * @returns {Array|null} 优先级信息数组或null
+     * 传入具体事件名称时，按触发时的实际执行顺序返回所有匹配的处理函数（包括通配符处理函数）；
+     * 传入通配符模式时，返回该模式下的处理函数
+     * @param {string} event 事件名称或通配符模式
+     * @returns {Array<{id: number, priority: number, pattern: string|null}>|null} 优先级信息数组，没有处理函数时返回null
      */
     getPriorities(event) {
       if (typeof event !== 'string' || !event.trim()) {
@@ -1160,16 +3644,19 @@ export const createEventBus = (options = {}) => {
         
         return wildcardEvents.get(event).handlers.map(h => ({
           id: h.id,
-          priority: h.priority
+          priority: h.priority,
+          pattern: event
         }));
       } else {
-        if (!events.has(event)) {
+        const entries = collectHandlers(event, false);
+        if (entries.length === 0) {
           return null;
         }
         
-        return events.get(event).map(h => ({
-          id: h.id,
-          priority: h.priority
+        return entries.map(({ handlerObj, pattern }) => ({
+          id: handlerObj.id,
+          priority: handlerObj.priority,
+          pattern
         }));
       }
     },
@@ -1304,7 +3791,8 @@ export const createEventBus = (options = {}) => {
             regularEvents,
             wildcardEvents: wildcardEvts,
             eventCount: regularEvents.length,
-            wildcardEventCount: wildcardEvts.length
+            wildcardEventCount: wildcardEvts.length,
+            definedEvents: [...eventDefinitions.entries()].map(([name, definition]) => describeDefinition(name, definition))
           };
         }
         
@@ -1313,7 +3801,8 @@ export const createEventBus = (options = {}) => {
           event,
           exists: false,
           isWildcard: hasWildcard(event),
-          subscriberCount: this.count(event)
+          subscriberCount: eventBus.count(event),
+          definition: eventDefinitions.has(event) ? describeDefinition(event, eventDefinitions.get(event)) : null
         };
         
         if (result.isWildcard) {
@@ -0,0 +1,206 @@
+// src/dom.js
+import { eventBus as globalEventBus } from './core';
+import { createAdapterAPI, getPayload, subscribeEventsOption } from './adapter';
+
+// 转发方向
+const DIRECTIONS = ['in', 'out', 'both'];
+
+/**
+ * 将 map 选项规范化为转发规则
+ * @private
+ * @param {Object} map DOM事件类型 -> 总线事件名称或 { event, direction, priority }
+ * @returns {Array<Object>} 转发规则 { domType, event, direction, priority }
+ */
+const normalizeMap = (map) => {
+  if (!map || typeof map !== 'object') {
+    throw new TypeError('map 必须是对象');
+  }
+  
+  return Object.keys(map).map(domType => {
+    const value = map[domType];
+    const rule = typeof value === 'string' ? { event: value } : { ...value };
+    
+    if (typeof rule.event !== 'string' || !rule.event.trim()) {
+      throw new TypeError(`DOM事件 "${domType}" 对应的总线事件名称无效`);
+    }
+    
+    const isWildcard = rule.event.includes('*');
+    // 通配符模式无法作为 emit 的事件名称，只能从总线转发到DOM
+    const direction = rule.direction || (isWildcard ? 'out' : 'both');
+    
+    if (!DIRECTIONS.includes(direction)) {
+      throw new TypeError(`无效的转发方向: ${direction}，可选值为 ${DIRECTIONS.join(' | ')}`);
+    }
+    
+    if (isWildcard && direction !== 'out') {
+      throw new TypeError(`通配符模式 "${rule.event}" 只能从总线转发到DOM（direction: 'out'）`);
+    }
+    
+    return { domType, event: rule.event, direction, priority: rule.priority };
+  });
+};
+
+/**
+ * 连接DOM元素和事件总线，按 map 在DOM CustomEvent 和总线事件之间双向转发
+ * - DOM -> 总线：监听元素上的DOM事件，以 event.detail 作为参数触发总线事件
+ * - 总线 -> DOM：订阅总线事件（支持通配符和优先级），在元素上派发 CustomEvent，
+ *   detail 为事件数据；通配符订阅时 detail 为 { event, payload }
+ * 自身转发产生的事件不会被再次转发，避免循环
+ * @param {EventTarget} el DOM元素
+ * @param {Object} [bus] 事件总线，默认为全局事件总线
+ * @param {Object} options 配置选项
+ * @param {Object} options.map DOM事件类型 -> 总线事件名称或 { event, direction, priority }
+ * @param {boolean} [options.bubbles=true] 派发的DOM事件是否冒泡
+ * @param {boolean} [options.composed=true] 派发的DOM事件是否穿过 Shadow DOM 边界
+ * @returns {Function} 断开连接函数
+ */
+export const connectElement = (el, bus = globalEventBus, options = {}) => {
+  if (!el || typeof el.addEventListener !== 'function' || typeof el.dispatchEvent !== 'function') {
+    throw new TypeError('connectElement 需要传入DOM元素');
+  }
+  
+  const eventBus = bus || globalEventBus;
+  const { bubbles = true, composed = true } = options;
+  const rules = normalizeMap(options.map);
+  const CustomEventCtor = el.ownerDocument?.defaultView?.CustomEvent || globalThis.CustomEvent;
+  
+  // 由总线转发到DOM的事件
+  const dispatched = new WeakSet();
+  // 正在由DOM转发到总线的事件名称
+  const inbound = new Set();
+  const disposers = [];
+  
+  rules.forEach(({ domType, event, direction, priority }) => {
+    if (direction !== 'out') {
+      const listener = (domEvent) => {
+        if (dispatched.has(domEvent)) return;
+        
+        inbound.add(event);
+        try {
+          eventBus.emit(event, domEvent.detail);
+        } catch (error) {
+          console.error(`[Trame.js] 转发DOM事件 "${domType}" 出错:`, error);
+        } finally {
+          inbound.delete(event);
+        }
+      };
+      
+      el.addEventListener(domType, listener);
+      disposers.push(() => el.removeEventListener(domType, listener));
+    }
+    
+    if (direction !== 'in') {
+      const isWildcard = event.includes('*');
+      const handler = (...args) => {
+        const eventName = isWildcard ? args[0] : event;
+        if (inbound.has(eventName)) return;
+        
+        const payload = getPayload(eventBus, event, args);
+        const domEvent = new CustomEventCtor(domType, {
+          detail: isWildcard ? { event: eventName, payload } : payload,
+          bubbles,
+          composed
+        });
+        
+        dispatched.add(domEvent);
+        el.dispatchEvent(domEvent);
+      };
+      
+      disposers.push(eventBus.on(event, handler, { priority }));
+    }
+  });
+  
+  let connected = true;
+  return function disconnect() {
+    if (!connected) return;
+    connected = false;
+    
+    disposers.forEach(dispose => {
+      try { dispose(); } catch (e) { /* 忽略清理错误 */ }
+    });
+    disposers.length = 0;
+  };
+};
+
+// 自定义元素 -> { bus, api, unsubscribes }
+const elementStates = new WeakMap();
+
+/**
+ * 获取自定义元素的状态
+ * @private
+ */
+const getElementState = (el) => {
+  if (!elementStates.has(el)) {
+    elementStates.set(el, { bus: null, api: null, unsubscribes: null });
+  }
+  return elementStates.get(el);
+};
+
+/**
+ * 自定义元素 mixin，订阅随 connectedCallback 建立、disconnectedCallback 清理
+ * - static trameEvents：事件名称（支持通配符） -> 方法名、函数、{ handler, priority, replay } 或它们的数组
+ * - static trameMap：传给 connectElement 的 map，在元素和总线之间转发DOM事件
+ * - static trameBus / 实例属性 eventBus：使用的事件总线，默认为全局事件总线
+ * - this.trame：与 useVueEventBus 相同的API，订阅在元素断开时清理
+ * @param {Function} [Base=HTMLElement] 基类
+ * @returns {Function} 自定义元素类
+ */
+export const TrameElementMixin = (Base = HTMLElement) => class extends Base {
+  get eventBus() {
+    return getElementState(this).bus || this.constructor.trameBus || globalEventBus;
+  }
+  
+  set eventBus(bus) {
+    const state = getElementState(this);
+    if (this.isConnected) {
+      console.warn('[Trame.js] 元素已连接，新的事件总线将在下次连接时生效');
+    } else if (state.api) {
+      state.api.cleanup();
+      state.api = null;
+    }
+    state.bus = bus;
+  }
+  
+  get trame() {
+    const state = getElementState(this);
+    if (!state.api) {
+      state.api = createAdapterAPI(this.eventBus);
+    }
+    return state.api;
+  }
+  
+  connectedCallback() {
+    if (super.connectedCallback) super.connectedCallback();
+    
+    const { trameEvents, trameMap } = this.constructor;
+    const unsubscribes = trameEvents && typeof trameEvents === 'object'
+      ? subscribeEventsOption(this.eventBus, trameEvents, this, 'trameEvents')
+      : [];
+    
+    if (trameMap) {
+      try {
+        unsubscribes.push(connectElement(this, this.eventBus, { map: trameMap }));
+      } catch (e) {
+        console.warn(`[Trame.js] ${e.message || 'connectElement调用失败'}`);
+      }
+    }
+    
+    getElementState(this).unsubscribes = unsubscribes;
+  }
+  
+  disconnectedCallback() {
+    const state = getElementState(this);
+    
+    (state.unsubscribes || []).forEach(unsub => {
+      try { unsub(); } catch (e) { /* 忽略清理错误 */ }
+    });
+    state.unsubscribes = null;
+    
+    if (state.api) {
+      state.api.cleanup();
+      state.api = null;
+    }
+    
+    if (super.disconnectedCallback) super.disconnectedCallback();
+  }
+};
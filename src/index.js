@@ -1,9 +1,13 @@
 // Trame.js - 轻量级跨框架组件通信库
 // 主入口文件
+// Vue 适配器直接导入 vue，只通过 trame/vue 提供，避免未安装 vue 的项目无法加载主入口
 
 import { createEventBus, eventBus } from './core';
-import { useVueEventBus, createVuePlugin, createSSRSafeEventBus } from './vue';
-import { useReactEventBus } from './react';
+import { useReactEventBus, TrameProvider, TrameContext, useEvent, useEventState, useEmit, useEventSnapshot } from './react';
+import { createRequestScopedBus, serializeBusState, hydrateBus } from './ssr';
+import { createBroadcastTransport } from './broadcast';
+import { createPostMessageBridge } from './bridge';
+import { connectElement, TrameElementMixin } from './dom';
 
 // 导出所有API
 export {
@@ -12,10 +16,26 @@ export {
   eventBus,
   
   // 框架适配器
-  useVueEventBus,
   useReactEventBus,
-  createVuePlugin,
-  createSSRSafeEventBus
+  TrameProvider,
+  TrameContext,
+  useEvent,
+  useEventState,
+  useEmit,
+  useEventSnapshot,
+  
+  // 服务端渲染
+  createRequestScopedBus,
+  serializeBusState,
+  hydrateBus,
+  
+  // 跨上下文通信
+  createBroadcastTransport,
+  createPostMessageBridge,
+  
+  // DOM 与自定义元素
+  connectElement,
+  TrameElementMixin
 };
 
 // 从eventBus导出实用方法，方便直接使用
@@ -23,12 +43,19 @@ export const on = eventBus.on.bind(eventBus);
 export const once = eventBus.once.bind(eventBus);
 export const off = eventBus.off.bind(eventBus);
 export const emit = eventBus.emit.bind(eventBus);
+export const emitAsync = eventBus.emitAsync.bind(eventBus);
+export const request = eventBus.request.bind(eventBus);
+export const respond = eventBus.respond.bind(eventBus);
 export const onMany = eventBus.onMany.bind(eventBus);
 export const onceMany = eventBus.onceMany.bind(eventBus);
 export const setPriority = eventBus.setPriority.bind(eventBus);
 export const getMetrics = eventBus.getMetrics.bind(eventBus);
 export const resetMetrics = eventBus.resetMetrics.bind(eventBus);
 export const setOptions = eventBus.setOptions.bind(eventBus);
+export const use = eventBus.use.bind(eventBus);
+export const defineEvent = eventBus.defineEvent.bind(eventBus);
+export const setSticky = eventBus.setSticky.bind(eventBus);
+export const clearSticky = eventBus.clearSticky.bind(eventBus);
 export const debug = eventBus.debug;
 
 // 默认导出已创建的事件总线实例
@@ -1,31 +1,101 @@
-import { useEffect, useRef, useCallback } from 'react';
-import { eventBus } from './core';
+import * as React from 'react';
+import { createContext, createElement, useContext, useEffect, useLayoutEffect, useMemo, useRef, useCallback, useState } from 'react';
+import { eventBus as globalEventBus, createEventBus } from './core';
+import { getPayload } from './adapter';
+
+/**
+ * 事件总线上下文，未提供 TrameProvider 时使用全局事件总线
+ */
+export const TrameContext = createContext(null);
+
+/**
+ * 事件总线提供者，子组件中的 useReactEventBus 会使用最近的提供者
+ * 优先级：bus > fork > 上层提供者的事件总线（或全局事件总线），提供 scope 时在此基础上创建命名空间
+ * @param {Object} props 组件属性
+ * @param {Object} [props.bus] 使用指定的事件总线
+ * @param {string} [props.scope] 命名空间名称，子组件的事件名称会自动加上该前缀，提供者卸载或 scope 变化时命名空间会被销毁
+ * @param {boolean|Object} [props.fork] 创建独立的事件总线，传入对象时作为 createEventBus 的配置选项（仅在首次渲染时读取）
+ * @param {*} props.children 子元素
+ * @returns {Object} React元素
+ */
+export const TrameProvider = ({ bus, scope, fork, children }) => {
+  const parentBus = useContext(TrameContext) || globalEventBus;
+  
+  // 独立事件总线在提供者的生命周期内只创建一次
+  const [forkedBus] = useState(() => (fork ? createEventBus(fork === true ? {} : fork) : null));
+  
+  const baseBus = bus || forkedBus || parentBus;
+  const value = useMemo(() => (scope ? baseBus.namespace(scope) : baseBus), [baseBus, scope]);
+  
+  // 等待销毁的命名空间
+  const pendingDisposeRef = useRef(null);
+  
+  // 卸载或 scope 变化时销毁命名空间，移除通过它创建的订阅、响应者和事件定义
+  useEffect(() => {
+    if (value === baseBus) return undefined;
+    
+    // StrictMode 会在卸载后立即重新执行副作用，此时子组件已经在使用该命名空间，取消销毁
+    if (pendingDisposeRef.current === value) {
+      pendingDisposeRef.current = null;
+    }
+    
+    return () => {
+      pendingDisposeRef.current = value;
+      Promise.resolve().then(() => {
+        if (pendingDisposeRef.current === value) {
+          pendingDisposeRef.current = null;
+          value.dispose();
+        }
+      });
+    };
+  }, [value, baseBus]);
+  
+  return createElement(TrameContext.Provider, { value }, children);
+};
+
+/**
+ * 获取当前组件使用的事件总线
+ * @private
+ * @param {Object} [customEventBus] 自定义事件总线
+ * @returns {Object} 事件总线
+ */
+const useResolvedBus = (customEventBus) => {
+  const contextBus = useContext(TrameContext);
+  return customEventBus || contextBus || globalEventBus;
+};
+
+// 服务端渲染时 useLayoutEffect 会产生警告，改用 useEffect
+const useIsomorphicLayoutEffect = typeof window !== 'undefined' ? useLayoutEffect : useEffect;
 
 /**
  * React事件总线Hook
  * 自动管理组件生命周期内的事件订阅
+ * @param {Object} [customEventBus] 自定义事件总线，不提供则使用最近的 TrameProvider 或全局事件总线
  * @returns {Object} 事件总线方法
  */
-export const useReactEventBus = () => {
+export const useReactEventBus = (customEventBus) => {
+  const eventBus = useResolvedBus(customEventBus);
+  
   // 使用useRef存储所有订阅，确保在组件重渲染时保持引用
   const subscriptionsRef = useRef(new Set());
   
-  // 组件卸载时自动清理所有订阅，防止内存泄漏
+  // 组件卸载或事件总线变化时自动清理所有订阅，防止内存泄漏
   useEffect(() => {
     // 返回清理函数，在组件卸载时执行
     return () => {
       subscriptionsRef.current.forEach(unsubscribe => unsubscribe());
       subscriptionsRef.current.clear();
     };
-  }, []);
+  }, [eventBus]);
   
   /**
    * 订阅事件，自动管理生命周期
    * @param {string} event 事件名称
    * @param {Function} handler 事件处理函数
+   * @param {Object|number} [options] 配置选项或优先级
    * @returns {Function} 取消订阅函数
    */
-  const on = useCallback((event, handler) => {
+  const on = useCallback((event, handler, options) => {
     if (!event || typeof event !== 'string') {
       console.error('事件名称必须是非空字符串');
       return () => {};
@@ -38,7 +108,7 @@ export const useReactEventBus = () => {
     
     try {
       // 订阅事件并获取取消订阅函数
-      const unsubscribe = eventBus.on(event, handler);
+      const unsubscribe = eventBus.on(event, handler, options);
       
       // 将取消订阅函数存储到集合中
       subscriptionsRef.current.add(unsubscribe);
@@ -52,20 +122,27 @@ export const useReactEventBus = () => {
       console.error('订阅事件出错:', error);
       return () => {};
     }
-  }, []);
+  }, [eventBus]);
   
   /**
    * 订阅一次性事件，触发后自动取消订阅
+   * 不提供处理函数时返回 eventBus.once 的 Promise，以事件参数数组兑现
    * @param {string} event 事件名称
-   * @param {Function} handler 事件处理函数
-   * @returns {Function} 取消订阅函数
+   * @param {Function|Object} [handler] 事件处理函数，或 Promise 形式的配置选项 { signal, timeout, ... }
+   * @param {Object|number} [options] 配置选项或优先级
+   * @returns {Function|Promise<Array>} 取消订阅函数，Promise 形式返回事件参数
    */
-  const once = useCallback((event, handler) => {
+  const once = useCallback((event, handler, options) => {
     if (!event || typeof event !== 'string') {
       console.error('事件名称必须是非空字符串');
       return () => {};
     }
     
+    if (handler === undefined || (handler !== null && typeof handler === 'object')) {
+      // Promise 形式由调用方通过 signal 或 timeout 控制
+      return eventBus.once(event, handler);
+    }
+    
     if (typeof handler !== 'function') {
       console.error('事件处理函数必须是函数');
       return () => {};
@@ -73,7 +150,7 @@ export const useReactEventBus = () => {
     
     try {
       // 订阅一次性事件并获取取消订阅函数
-      const unsubscribe = eventBus.once(event, handler);
+      const unsubscribe = eventBus.once(event, handler, options);
       
       // 将取消订阅函数存储到集合中
       subscriptionsRef.current.add(unsubscribe);
@@ -87,7 +164,7 @@ export const useReactEventBus = () => {
       console.error('订阅一次性事件出错:', error);
       return () => {};
     }
-  }, []);
+  }, [eventBus]);
   
   /**
    * 触发事件
@@ -105,7 +182,87 @@ export const useReactEventBus = () => {
     } catch (error) {
       console.error('触发事件出错:', error);
     }
-  }, []);
+  }, [eventBus]);
+  
+  /**
+   * 异步触发事件，等待所有处理函数完成
+   * @param {string} event 事件名称
+   * @param {...any} args 传递给处理函数的参数
+   * @returns {Promise<Array>} 每个处理函数的执行结果
+   */
+  const emitAsync = useCallback((event, ...args) => {
+    if (!event || typeof event !== 'string') {
+      console.error('事件名称必须是非空字符串');
+      return Promise.resolve([]);
+    }
+    
+    return eventBus.emitAsync(event, ...args);
+  }, [eventBus]);
+  
+  /**
+   * 注册请求响应者，组件卸载时自动取消注册
+   * @param {string} event 事件名称
+   * @param {Function} handler 响应函数
+   * @param {Object|number} [options] 配置选项或优先级
+   * @returns {Function} 取消注册函数
+   */
+  const respond = useCallback((event, handler, options) => {
+    if (!event || typeof event !== 'string') {
+      console.error('事件名称必须是非空字符串');
+      return () => {};
+    }
+    
+    if (typeof handler !== 'function') {
+      console.error('响应函数必须是函数');
+      return () => {};
+    }
+    
+    try {
+      // 注册响应者并获取取消注册函数
+      const unrespond = eventBus.respond(event, handler, options);
+      
+      // 将取消注册函数存储到集合中
+      subscriptionsRef.current.add(unrespond);
+      
+      // 返回一个新的取消注册函数，用于手动取消时同时从集合中移除
+      return () => {
+        unrespond();
+        subscriptionsRef.current.delete(unrespond);
+      };
+    } catch (error) {
+      console.error('注册响应者出错:', error);
+      return () => {};
+    }
+  }, [eventBus]);
+  
+  /**
+   * 发起请求并等待响应
+   * @param {string} event 事件名称
+   * @param {*} payload 请求数据
+   * @param {Object} [options] 配置选项
+   * @returns {Promise<*>} 响应结果
+   */
+  const request = useCallback((event, payload, options) => {
+    return eventBus.request(event, payload, options);
+  }, [eventBus]);
+  
+  /**
+   * 创建命名空间，组件卸载时自动销毁
+   * @param {string} name 命名空间名称
+   * @returns {Object|null} 命名空间事件总线
+   */
+  const namespace = useCallback((name) => {
+    try {
+      const scope = eventBus.namespace(name);
+      
+      // 组件卸载时销毁命名空间及其所有订阅
+      subscriptionsRef.current.add(scope.dispose);
+      return scope;
+    } catch (error) {
+      console.error('创建命名空间出错:', error);
+      return null;
+    }
+  }, [eventBus]);
   
   /**
    * 手动取消事件订阅
@@ -118,7 +275,7 @@ export const useReactEventBus = () => {
     } catch (error) {
       console.error('取消事件订阅出错:', error);
     }
-  }, []);
+  }, [eventBus]);
   
   /**
    * 获取当前组件订阅的事件数量
@@ -136,7 +293,7 @@ export const useReactEventBus = () => {
       console.error('设置优先级出错:', error);
       return false;
     }
-  }, []);
+  }, [eventBus]);
   
   const getPriorities = useCallback((event) => {
     try {
@@ -145,7 +302,7 @@ export const useReactEventBus = () => {
       console.error('获取优先级出错:', error);
       return null;
     }
-  }, []);
+  }, [eventBus]);
   
   const getMetrics = useCallback(() => {
     try {
@@ -154,7 +311,7 @@ export const useReactEventBus = () => {
       console.error('获取指标出错:', error);
       return {};
     }
-  }, []);
+  }, [eventBus]);
   
   const resetMetrics = useCallback(() => {
     try {
@@ -162,7 +319,7 @@ export const useReactEventBus = () => {
     } catch (error) {
       console.error('重置指标出错:', error);
     }
-  }, []);
+  }, [eventBus]);
   
   const setOptions = useCallback((options) => {
     try {
@@ -170,7 +327,7 @@ export const useReactEventBus = () => {
     } catch (error) {
       console.error('设置选项出错:', error);
     }
-  }, []);
+  }, [eventBus]);
   
   const has = useCallback((event) => {
     try {
@@ -179,7 +336,7 @@ export const useReactEventBus = () => {
       console.error('检查事件出错:', error);
       return false;
     }
-  }, []);
+  }, [eventBus]);
   
   const count = useCallback((event) => {
     try {
@@ -188,7 +345,33 @@ export const useReactEventBus = () => {
       console.error('统计事件出错:', error);
       return 0;
     }
-  }, []);
+  }, [eventBus]);
+  
+  const setSticky = useCallback((event, options) => {
+    try {
+      return eventBus.setSticky(event, options);
+    } catch (error) {
+      console.error('设置粘性事件出错:', error);
+      return false;
+    }
+  }, [eventBus]);
+  
+  const clearSticky = useCallback((event) => {
+    try {
+      eventBus.clearSticky(event);
+    } catch (error) {
+      console.error('清除粘性事件出错:', error);
+    }
+  }, [eventBus]);
+  
+  const getSticky = useCallback((event) => {
+    try {
+      return eventBus.getSticky(event);
+    } catch (error) {
+      console.error('获取粘性事件出错:', error);
+      return [];
+    }
+  }, [eventBus]);
   
   const getEventNames = useCallback(() => {
     try {
@@ -197,7 +380,7 @@ export const useReactEventBus = () => {
       console.error('获取事件名称出错:', error);
       return [];
     }
-  }, []);
+  }, [eventBus]);
   
   /**
    * 同时订阅多个事件
@@ -233,7 +416,7 @@ export const useReactEventBus = () => {
       console.error('订阅多个事件出错:', error);
       return () => {};
     }
-  }, []);
+  }, [eventBus]);
   
   /**
    * 同时订阅多个一次性事件，任一事件触发后自动取消所有订阅
@@ -269,7 +452,7 @@ export const useReactEventBus = () => {
       console.error('订阅多个一次性事件出错:', error);
       return () => {};
     }
-  }, []);
+  }, [eventBus]);
   
   // 返回所有方法
   return {
@@ -277,6 +460,9 @@ export const useReactEventBus = () => {
     once,
     off,
     emit,
+    emitAsync,
+    request,
+    respond,
     onMany,
     onceMany,
     setPriority,
@@ -286,10 +472,204 @@ export const useReactEventBus = () => {
     setOptions,
     has,
     count,
+    setSticky,
+    clearSticky,
+    getSticky,
     getEventNames,
+    namespace,
     debug: eventBus.debug,
     countSubscriptions
   };
 };
 
+/**
+ * 规范化 useEvent 的第三个参数
+ * @private
+ * @param {Array|Object|number} [options] 依赖数组、配置选项或优先级
+ * @returns {Object} { priority, replay, deps, rate }，rate 为节流、防抖和批处理选项
+ */
+const normalizeEventOptions = (options) => {
+  if (Array.isArray(options)) {
+    return { priority: undefined, replay: false, deps: options, rate: {}, filter: undefined, map: undefined };
+  }
+  
+  if (typeof options === 'number') {
+    return { priority: options, replay: false, deps: [], rate: {}, filter: undefined, map: undefined };
+  }
+  
+  const { priority, replay = false, deps = [], throttle, debounce, leading, trailing, batch, filter, map } = options || {};
+  return { priority, replay, deps, rate: { throttle, debounce, leading, trailing, batch }, filter, map };
+};
+
+/**
+ * 将依赖数组转换为版本号，依赖与上一次渲染浅比较不同时版本号加一
+ * 依赖数组的长度可能在渲染之间变化，不能直接展开到 useEffect 的依赖中
+ * @private
+ * @param {Array} deps 依赖数组
+ * @returns {number} 版本号
+ */
+const useDepsVersion = (deps) => {
+  const ref = useRef({ deps, version: 0 });
+  const prevDeps = ref.current.deps;
+  
+  if (prevDeps.length !== deps.length || deps.some((dep, index) => !Object.is(dep, prevDeps[index]))) {
+    ref.current = { deps, version: ref.current.version + 1 };
+  }
+  
+  return ref.current.version;
+};
+
+/**
+ * 声明式订阅事件，组件卸载时自动取消订阅
+ * 处理函数、filter 和 map 始终使用最新的闭包，更新它们不会重新订阅；事件名称、优先级、节流等选项或 deps 变化时重新订阅
+ * @param {string} event 事件名称（支持通配符 * 和 **）
+ * @param {Function} handler 事件处理函数
+ * @param {Array|Object|number} [options] 依赖数组，或配置选项
+ *   { priority, replay, deps, throttle, debounce, leading, trailing, batch, filter, map }，或优先级
+ */
+export const useEvent = (event, handler, options) => {
+  const eventBus = useResolvedBus();
+  const { priority, replay, deps, rate, filter, map } = normalizeEventOptions(options);
+  const { throttle, debounce, leading, trailing, batch } = rate;
+  const handlerRef = useRef(handler);
+  const selectRef = useRef({ filter, map });
+  const hasFilter = typeof filter === 'function';
+  const hasMap = typeof map === 'function';
+  const depsVersion = useDepsVersion(Array.isArray(deps) ? deps : []);
+  
+  // 在提交阶段更新处理函数，确保事件触发时调用的是最新的处理函数
+  useIsomorphicLayoutEffect(() => {
+    handlerRef.current = handler;
+    selectRef.current = { filter, map };
+  });
+  
+  useEffect(() => {
+    if (!event || typeof event !== 'string') {
+      console.error('事件名称必须是非空字符串');
+      return undefined;
+    }
+    
+    try {
+      return eventBus.on(event, (...args) => handlerRef.current(...args), {
+        priority, replay, throttle, debounce, leading, trailing, batch,
+        filter: hasFilter ? (...args) => selectRef.current.filter(...args) : undefined,
+        map: hasMap ? (...args) => selectRef.current.map(...args) : undefined
+      });
+    } catch (error) {
+      console.error('订阅事件出错:', error);
+      return undefined;
+    }
+  }, [eventBus, event, priority, replay, throttle, debounce, leading, trailing, batch?.size, batch?.wait, hasFilter, hasMap, depsVersion]);
+};
+
+/**
+ * 将最近一次事件数据作为组件状态，事件触发时重新渲染
+ * @param {string} event 事件名称（支持通配符 * 和 **）
+ * @param {*} initialState 初始状态
+ * @param {Function} [reducer] 状态计算函数 (prevState, ...args) => nextState，args 为处理函数收到的参数
+ * @param {Object|number} [options] 配置选项 { priority, replay } 或优先级
+ * @returns {*} 当前状态
+ */
+export const useEventState = (event, initialState, reducer, options) => {
+  const eventBus = useResolvedBus();
+  const [state, setState] = useState(initialState);
+  
+  useEvent(event, (...args) => {
+    if (typeof reducer === 'function') {
+      setState(prevState => reducer(prevState, ...args));
+    } else {
+      setState(() => getPayload(eventBus, event, args));
+    }
+  }, options);
+  
+  return state;
+};
+
+/**
+ * 返回触发指定事件的函数，事件名称和事件总线不变时函数引用保持不变
+ * @param {string} event 事件名称
+ * @returns {Function} (...args) => boolean，返回是否有处理函数调用了 preventDefault()
+ */
+export const useEmit = (event) => {
+  const eventBus = useResolvedBus();
+  
+  return useCallback((...args) => {
+    try {
+      return eventBus.emit(event, ...args);
+    } catch (error) {
+      console.error('触发事件出错:', error);
+      return false;
+    }
+  }, [eventBus, event]);
+};
+
+/**
+ * React 18 以下版本没有 useSyncExternalStore 时的简化实现
+ * @private
+ */
+const useSyncExternalStoreShim = (subscribe, getSnapshot) => {
+  const [, forceUpdate] = useState(0);
+  const value = getSnapshot();
+  const getSnapshotRef = useRef(getSnapshot);
+  getSnapshotRef.current = getSnapshot;
+  
+  useEffect(() => {
+    let lastValue = getSnapshotRef.current();
+    const check = () => {
+      const nextValue = getSnapshotRef.current();
+      if (!Object.is(nextValue, lastValue)) {
+        lastValue = nextValue;
+        forceUpdate(count => count + 1);
+      }
+    };
+    
+    // 渲染后到订阅前可能已有事件触发
+    if (!Object.is(lastValue, value)) {
+      forceUpdate(count => count + 1);
+    }
+    return subscribe(check);
+  }, [subscribe]);
+  
+  return value;
+};
+
+// useSyncExternalStore 在 React 18 才加入，通过命名空间读取，避免在低版本中按名称导入不存在的导出
+const useStore = typeof React.useSyncExternalStore === 'function' ? React.useSyncExternalStore : useSyncExternalStoreShim;
+
+// 未提供选择函数时返回整个快照
+const selectAll = snapshot => snapshot;
+
+/**
+ * 从事件快照中选择数据，基于 useSyncExternalStore，并发渲染下不会出现状态撕裂
+ * 服务端渲染和注水时读取 getServerSnapshot（即 initialSnapshot），避免注水不一致
+ * @param {Function} [selector] 选择函数 (snapshot) => value，snapshot 为事件名称到最近一次事件数据的映射
+ * @param {Object} [customEventBus] 自定义事件总线，不提供则使用最近的 TrameProvider 或全局事件总线
+ * @returns {*} 选择的数据
+ */
+export const useEventSnapshot = (selector = selectAll, customEventBus) => {
+  const eventBus = useResolvedBus(customEventBus);
+  
+  // 快照和选择函数都不变时复用上一次的结果，避免选择函数返回新对象导致重复渲染
+  const cacheRef = useRef({ client: null, server: null });
+  
+  const select = (key, snapshot) => {
+    const cached = cacheRef.current[key];
+    if (cached && cached.snapshot === snapshot && cached.selector === selector) {
+      return cached.value;
+    }
+    
+    const value = selector(snapshot);
+    cacheRef.current[key] = { snapshot, selector, value };
+    return value;
+  };
+  
+  const subscribe = useCallback(listener => eventBus.subscribeSnapshot(listener), [eventBus]);
+  
+  return useStore(
+    subscribe,
+    () => select('client', eventBus.getSnapshot()),
+    () => select('server', eventBus.getServerSnapshot())
+  );
+};
+
 export default useReactEventBus;
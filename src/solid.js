@@ -0,0 +1,54 @@
+// src/solid.js
+import { createSignal, onCleanup, getOwner } from 'solid-js';
+import { eventBus as globalEventBus } from './core';
+import { createAdapterAPI, getPayload } from './adapter';
+
+/**
+ * Solid适配器 - 在组件或响应式作用域中调用，作用域销毁时自动清理订阅
+ * @param {Object} [customEventBus] 自定义事件总线
+ * @returns {Object} 事件总线API，与 useVueEventBus 相同
+ */
+export const useSolidEventBus = (customEventBus) => {
+  const api = createAdapterAPI(customEventBus || globalEventBus);
+  
+  if (getOwner()) {
+    onCleanup(api.cleanup);
+  } else {
+    console.warn('[Trame.js] 无法绑定到组件生命周期，请手动调用cleanup()');
+  }
+  
+  return api;
+};
+
+/**
+ * 创建信号，值为最近一次事件数据，每次事件触发都会通知依赖（即使数据引用相同）
+ * @param {string} event 事件名称（支持通配符 * 和 **）
+ * @param {*} initialValue 初始值
+ * @param {Object} [options] 配置选项
+ * @param {number} [options.priority] 处理函数优先级
+ * @param {boolean} [options.replay=false] 是否立即回放已记录的粘性事件
+ * @param {Object} [options.eventBus] 自定义事件总线
+ * @returns {Function} 信号读取函数
+ */
+export const createEventSignal = (event, initialValue, options = {}) => {
+  const eventBus = options.eventBus || globalEventBus;
+  const [value, setValue] = createSignal(initialValue, { equals: false });
+  
+  try {
+    const unsubscribe = eventBus.on(event, (...args) => {
+      const payload = getPayload(eventBus, event, args);
+      // 事件数据可能是函数，使用更新函数避免被当作 setter 调用
+      setValue(() => payload);
+    }, { priority: options.priority, replay: options.replay === true });
+    
+    if (getOwner()) {
+      onCleanup(unsubscribe);
+    } else {
+      console.warn('[Trame.js] createEventSignal 不在响应式作用域中调用，订阅不会被自动清理');
+    }
+  } catch (e) {
+    console.warn(`[Trame.js] ${e.message || 'createEventSignal订阅失败'}`);
+  }
+  
+  return value;
+};
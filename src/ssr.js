@@ -0,0 +1,106 @@
+// src/ssr.js
+import { createEventBus, eventBus as globalEventBus } from './core';
+
+/**
+ * 检测是否运行在服务端（每次调用时检测，避免模块加载时机影响结果）
+ * @returns {boolean} 是否为服务端
+ */
+export const isServer = () => typeof window === 'undefined';
+
+/**
+ * 创建请求级事件总线，每个服务端渲染请求使用独立的实例，避免请求之间共享状态
+ * 默认将所有事件设置为粘性事件并记录到快照，渲染期间触发的事件可以通过 serializeBusState 写入HTML
+ * @param {Object} [options] createEventBus 的配置选项
+ * @param {string|string[]|false} [options.sticky='**'] 需要记录的事件（支持通配符），false 表示不记录
+ * @param {string|string[]} [options.snapshotEvents] 记录到事件快照的事件，默认与 sticky 相同
+ * @returns {Object} 事件总线实例
+ */
+export const createRequestScopedBus = (options = {}) => {
+  const { sticky = '**', ...busOptions } = options;
+  const snapshotEvents = busOptions.snapshotEvents ?? (sticky === false ? [] : sticky);
+  const bus = createEventBus({ ...busOptions, snapshotEvents, ssr: true });
+  
+  if (sticky !== false) {
+    [].concat(sticky).forEach(pattern => bus.setSticky(pattern));
+  }
+  
+  return bus;
+};
+
+/**
+ * 检查值能否无损地转换为 JSON：只允许字符串、有限数字、布尔值、null、数组和普通对象
+ * BigInt 和循环引用会使 JSON.stringify 抛错，函数、undefined、Date、Map 等会被丢弃或改变类型
+ * @private
+ * @param {*} value 待检查的值
+ * @param {Set} [ancestors] 当前路径上的对象，用于检测循环引用
+ * @returns {boolean} 是否可以安全序列化
+ */
+const isJSONSafe = (value, ancestors = new Set()) => {
+  if (value === null || typeof value === 'string' || typeof value === 'boolean') return true;
+  if (typeof value === 'number') return Number.isFinite(value);
+  if (typeof value !== 'object' || ancestors.has(value)) return false;
+  
+  const proto = Object.getPrototypeOf(value);
+  if (!Array.isArray(value) && proto !== Object.prototype && proto !== null) return false;
+  
+  ancestors.add(value);
+  const safe = Object.values(value).every(item => isJSONSafe(item, ancestors));
+  ancestors.delete(value);
+  return safe;
+};
+
+/**
+ * 将事件总线状态序列化为可以直接嵌入 <script> 的JSON字符串
+ * 只包含事件总线选中记录的粘性事件和快照，无法无损序列化的记录会被跳过并输出警告
+ * @param {Object} bus 事件总线实例
+ * @returns {string} JSON字符串（已转义 <、> 和行分隔符）
+ */
+export const serializeBusState = (bus) => {
+  if (!bus || typeof bus.dehydrate !== 'function') {
+    throw new TypeError('serializeBusState 需要传入事件总线实例');
+  }
+  
+  const state = bus.dehydrate();
+  const skipped = new Set();
+  
+  const sticky = state.sticky.filter(record => {
+    if (isJSONSafe(record.args)) return true;
+    skipped.add(record.event);
+    return false;
+  });
+  
+  const snapshot = {};
+  Object.keys(state.snapshot).forEach(event => {
+    if (isJSONSafe(state.snapshot[event])) {
+      snapshot[event] = state.snapshot[event];
+    } else {
+      skipped.add(event);
+    }
+  });
+  
+  if (skipped.size > 0) {
+    console.warn(`[Trame.js] 以下事件的数据无法序列化为 JSON，已跳过: ${[...skipped].join(', ')}`);
+  }
+  
+  return JSON.stringify({ sticky, snapshot })
+    .replace(/</g, '\\u003c')
+    .replace(/>/g, '\\u003e')
+    .replace(/\u2028/g, '\\u2028')
+    .replace(/\u2029/g, '\\u2029');
+};
+
+/**
+ * 在客户端恢复服务端渲染时的事件总线状态（粘性记录和事件快照）
+ * 应在挂载应用、订阅事件之前调用；快照中的事件之后触发时继续更新，不需要额外设置 snapshotEvents
+ * @param {Object|string} state dehydrate 导出的状态或 serializeBusState 生成的字符串
+ * @param {Object} [bus] 事件总线实例，默认为全局事件总线
+ * @returns {Object} 事件总线实例
+ */
+export const hydrateBus = (state, bus = globalEventBus) => {
+  if (state === undefined || state === null) {
+    return bus;
+  }
+  
+  bus.hydrate(typeof state === 'string' ? JSON.parse(state) : state);
+  return bus;
+};
@@ -0,0 +1,49 @@
+// src/svelte.js
+import { onDestroy } from 'svelte';
+import { readable } from 'svelte/store';
+import { eventBus as globalEventBus } from './core';
+import { createAdapterAPI, getPayload } from './adapter';
+
+/**
+ * Svelte适配器 - 在组件初始化时调用，组件销毁时自动清理订阅
+ * @param {Object} [customEventBus] 自定义事件总线
+ * @returns {Object} 事件总线API，与 useVueEventBus 相同
+ */
+export const useSvelteEventBus = (customEventBus) => {
+  const api = createAdapterAPI(customEventBus || globalEventBus);
+  
+  try {
+    onDestroy(api.cleanup);
+  } catch (e) {
+    // 不在组件初始化期间调用时无法绑定生命周期
+    console.warn('[Trame.js] 无法绑定到组件生命周期，请手动调用cleanup()');
+  }
+  
+  return api;
+};
+
+/**
+ * 创建可读 store，值为最近一次事件数据
+ * 有订阅者时才订阅事件，最后一个订阅者取消时自动取消订阅，组件中使用 $store 时随组件销毁清理
+ * @param {string} event 事件名称（支持通配符 * 和 **）
+ * @param {*} initialValue 初始值
+ * @param {Object} [options] 配置选项
+ * @param {number} [options.priority] 处理函数优先级
+ * @param {boolean} [options.replay=false] 是否立即回放已记录的粘性事件
+ * @param {Object} [options.eventBus] 自定义事件总线
+ * @returns {Object} Svelte 可读 store
+ */
+export const eventStore = (event, initialValue, options = {}) => {
+  const eventBus = options.eventBus || globalEventBus;
+  
+  return readable(initialValue, (set) => {
+    try {
+      return eventBus.on(event, (...args) => {
+        set(getPayload(eventBus, event, args));
+      }, { priority: options.priority, replay: options.replay === true });
+    } catch (e) {
+      console.warn(`[Trame.js] ${e.message || 'eventStore订阅失败'}`);
+      return () => {};
+    }
+  });
+};
@@ -0,0 +1,323 @@
+// src/trie.js
+
+/**
+ * 创建层级节点
+ * @private
+ * @returns {Object} 节点
+ */
+const createNode = () => ({
+  // 精确匹配的层级，Map<string, Node>
+  children: new Map(),
+  // 单层级通配符 *
+  single: null,
+  // 多层级通配符 **
+  globstar: null,
+  // 包含通配符的层级（如 user-*），Map<string, {regex, node}>
+  partials: new Map(),
+  // 在此节点结束的模式，Map<string, {value, seq}>
+  values: new Map()
+});
+
+/**
+ * 转义正则表达式中的特殊字符
+ * @private
+ * @param {string} str 原始字符串
+ * @returns {string} 转义后的字符串
+ */
+const escapeRegExp = (str) => str.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+
+/**
+ * 检查节点是否为空（可以从父节点中移除）
+ * @private
+ * @param {Object} node 节点
+ * @returns {boolean} 是否为空
+ */
+const isEmptyNode = (node) => (
+  node.values.size === 0 &&
+  node.children.size === 0 &&
+  node.partials.size === 0 &&
+  node.single === null &&
+  node.globstar === null
+);
+
+/**
+ * 创建通配符模式的层级前缀树
+ * 按分隔符将模式拆分为层级，查找事件时只需沿事件名称的层级向下遍历，
+ * 查找复杂度与层级数量相关，与注册的模式数量无关
+ * @param {Object} [options] 配置选项
+ * @param {string} [options.delimiter='.'] 层级分隔符
+ * @param {number} [options.cacheSize=0] 匹配结果缓存的最大条目数，0表示不缓存。
+ *   缓存按最近使用淘汰，模式集合变化时整体清空
+ * @returns {Object} 前缀树实例
+ */
+export const createWildcardTrie = (options = {}) => {
+  let delimiter = options.delimiter || '.';
+  let root = createNode();
+  let nodeCount = 1;
+  // 已插入的模式，用于重建和按插入顺序返回结果，Map<string, {value, seq}>
+  const entries = new Map();
+  let seq = 0;
+  // 匹配结果缓存，Map<string, Array>，Map 的插入顺序即最近使用顺序
+  const cacheSize = Math.max(0, Math.floor(options.cacheSize) || 0);
+  const cache = new Map();
+  const cacheStats = { hits: 0, misses: 0 };
+  
+  /**
+   * 获取或创建层级对应的子节点
+   * @private
+   */
+  const getChild = (node, segment) => {
+    if (segment === '**') {
+      if (!node.globstar) {
+        node.globstar = createNode();
+        nodeCount++;
+      }
+      return node.globstar;
+    }
+    
+    if (segment === '*') {
+      if (!node.single) {
+        node.single = createNode();
+        nodeCount++;
+      }
+      return node.single;
+    }
+    
+    if (segment.includes('*')) {
+      if (!node.partials.has(segment)) {
+        // 层级内不会出现分隔符，* 匹配任意非空字符
+        const regex = new RegExp(`^${segment.split('*').map(escapeRegExp).join('.+')}$`);
+        node.partials.set(segment, { regex, node: createNode() });
+        nodeCount++;
+      }
+      return node.partials.get(segment).node;
+    }
+    
+    if (!node.children.has(segment)) {
+      node.children.set(segment, createNode());
+      nodeCount++;
+    }
+    return node.children.get(segment);
+  };
+  
+  /**
+   * 将模式写入树中
+   * @private
+   */
+  const insertEntry = (pattern, entry) => {
+    let node = root;
+    pattern.split(delimiter).forEach(segment => {
+      node = getChild(node, segment);
+    });
+    node.values.set(pattern, entry);
+  };
+  
+  /**
+   * 从树中删除模式，并清理空节点
+   * @private
+   */
+  const removeEntry = (node, segments, index, pattern) => {
+    if (index === segments.length) {
+      return node.values.delete(pattern);
+    }
+    
+    const segment = segments[index];
+    let child;
+    if (segment === '**') {
+      child = node.globstar;
+    } else if (segment === '*') {
+      child = node.single;
+    } else if (segment.includes('*')) {
+      child = node.partials.has(segment) ? node.partials.get(segment).node : null;
+    } else {
+      child = node.children.get(segment);
+    }
+    
+    if (!child || !removeEntry(child, segments, index + 1, pattern)) {
+      return false;
+    }
+    
+    if (isEmptyNode(child)) {
+      if (segment === '**') {
+        node.globstar = null;
+      } else if (segment === '*') {
+        node.single = null;
+      } else if (segment.includes('*')) {
+        node.partials.delete(segment);
+      } else {
+        node.children.delete(segment);
+      }
+      nodeCount--;
+    }
+    
+    return true;
+  };
+  
+  /**
+   * 沿事件名称的层级遍历，收集所有匹配的模式
+   * @private
+   */
+  const walk = (node, segments, index, found) => {
+    if (index === segments.length) {
+      node.values.forEach(entry => found.push(entry));
+      return;
+    }
+    
+    const segment = segments[index];
+    
+    const child = node.children.get(segment);
+    if (child) {
+      walk(child, segments, index + 1, found);
+    }
+    
+    // * 只匹配非空层级
+    if (node.single && segment !== '') {
+      walk(node.single, segments, index + 1, found);
+    }
+    
+    if (node.partials.size > 0) {
+      node.partials.forEach(partial => {
+        if (partial.regex.test(segment)) {
+          walk(partial.node, segments, index + 1, found);
+        }
+      });
+    }
+    
+    // ** 匹配一个或多个层级
+    if (node.globstar) {
+      for (let end = index + 1; end <= segments.length; end++) {
+        if (end === index + 1 && segment === '') continue;
+        walk(node.globstar, segments, end, found);
+      }
+    }
+  };
+  
+  /**
+   * 查找匹配的模式并按添加顺序返回其值
+   * @private
+   */
+  const collect = (event) => {
+    const found = [];
+    walk(root, event.split(delimiter), 0, found);
+    
+    if (found.length === 0) return [];
+    if (found.length === 1) return [found[0].value];
+    
+    // ** 可能通过不同的层级划分多次到达同一个模式，需要去重
+    return [...new Set(found)]
+      .sort((a, b) => a.seq - b.seq)
+      .map(entry => entry.value);
+  };
+  
+  return {
+    /**
+     * 添加模式
+     * @param {string} pattern 通配符模式
+     * @param {*} value 与模式关联的值
+     */
+    insert(pattern, value) {
+      const entry = entries.has(pattern)
+        ? { value, seq: entries.get(pattern).seq }
+        : { value, seq: ++seq };
+      
+      entries.set(pattern, entry);
+      insertEntry(pattern, entry);
+      cache.clear();
+    },
+    
+    /**
+     * 移除模式
+     * @param {string} pattern 通配符模式
+     * @returns {boolean} 是否移除成功
+     */
+    remove(pattern) {
+      if (!entries.delete(pattern)) return false;
+      cache.clear();
+      return removeEntry(root, pattern.split(delimiter), 0, pattern);
+    },
+    
+    /**
+     * 查找与事件名称匹配的所有模式的值，按模式的添加顺序返回
+     * 开启缓存时返回的数组可能被多次查找共享，调用方不应修改
+     * @param {string} event 事件名称
+     * @returns {Array} 匹配的值
+     */
+    match(event) {
+      if (entries.size === 0) return [];
+      if (cacheSize === 0) return collect(event);
+      
+      if (cache.has(event)) {
+        const cached = cache.get(event);
+        // 重新插入，标记为最近使用
+        cache.delete(event);
+        cache.set(event, cached);
+        cacheStats.hits++;
+        return cached;
+      }
+      
+      cacheStats.misses++;
+      const result = collect(event);
+      cache.set(event, result);
+      if (cache.size > cacheSize) {
+        cache.delete(cache.keys().next().value);
+      }
+      return result;
+    },
+    
+    /**
+     * 修改层级分隔符并重建前缀树
+     * @param {string} newDelimiter 新的分隔符
+     */
+    setDelimiter(newDelimiter) {
+      delimiter = newDelimiter;
+      root = createNode();
+      nodeCount = 1;
+      cache.clear();
+      entries.forEach((entry, pattern) => insertEntry(pattern, entry));
+    },
+    
+    /**
+     * 清空所有模式
+     */
+    clear() {
+      entries.clear();
+      root = createNode();
+      nodeCount = 1;
+      cache.clear();
+    },
+    
+    /**
+     * 已添加的模式数量
+     * @returns {number}
+     */
+    size() {
+      return entries.size;
+    },
+    
+    /**
+     * 前缀树的节点数量（包括根节点）
+     * @returns {number}
+     */
+    nodeCount() {
+      return nodeCount;
+    },
+    
+    /**
+     * 匹配缓存的统计信息
+     * @returns {{size: number, hits: number, misses: number}}
+     */
+    cacheStats() {
+      return { size: cache.size, ...cacheStats };
+    },
+    
+    /**
+     * 重置匹配缓存的命中统计（不清空缓存）
+     */
+    resetCacheStats() {
+      cacheStats.hits = 0;
+      cacheStats.misses = 0;
+    }
+  };
+};
+
+export default createWildcardTrie;
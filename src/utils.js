@@ -0,0 +1,55 @@
+// src/utils.js
+// 跨上下文通信模块共用的工具函数
+
+/**
+ * 生成随机ID
+ * @returns {string} 随机ID
+ */
+export const createId = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+
+/**
+ * 检查值是否可以被结构化克隆（BroadcastChannel 和 postMessage 使用结构化克隆传递数据）
+ * @param {*} value 待检查的值
+ * @returns {boolean} 是否可以克隆
+ */
+export const isStructuredCloneable = (value) => {
+  if (typeof structuredClone === 'function') {
+    try {
+      structuredClone(value);
+      return true;
+    } catch (e) {
+      return false;
+    }
+  }
+  
+  // 不支持 structuredClone 的环境使用简化检查
+  const seen = new WeakSet();
+  const check = (item) => {
+    const type = typeof item;
+    if (type === 'function' || type === 'symbol') return false;
+    if (item === null || type !== 'object') return true;
+    if (seen.has(item)) return true;
+    seen.add(item);
+    
+    if (item instanceof Date || item instanceof RegExp || ArrayBuffer.isView(item) || item instanceof ArrayBuffer) {
+      return true;
+    }
+    
+    if (item instanceof Map) {
+      return [...item.entries()].every(([key, val]) => check(key) && check(val));
+    }
+    
+    if (item instanceof Set) {
+      return [...item.values()].every(check);
+    }
+    
+    const proto = Object.getPrototypeOf(item);
+    if (!Array.isArray(item) && proto !== Object.prototype && proto !== null) {
+      return false;
+    }
+    
+    return Object.keys(item).every(key => check(item[key]));
+  };
+  
+  return check(value);
+};
@@ -1,54 +1,87 @@
 // src/vue.js
+import { version, ref, computed, getCurrentInstance, getCurrentScope, onScopeDispose, onUnmounted, inject } from 'vue';
 import { eventBus as globalEventBus } from './core';
+import { isServer, createRequestScopedBus } from './ssr';
+import { createAdapterAPI, getPayload, subscribeEventsOption } from './adapter';
 
-// 检测环境
-const isSSR = typeof window === 'undefined';
-let vueInstance = null;
+// 以上组合式 API 在 Vue 3 和 Vue 2.7 中都可用，Vue 2.7 的组件仍通过 hook:beforeDestroy 清理
+const IS_VUE3 = typeof version === 'string' && version.startsWith('3');
+
+let globalBusWarned = false;
+let ssrSafeWarned = false;
 
 /**
- * 安全地加载Vue API，支持多种环境
+ * 提供事件总线的注入键，createVuePlugin 会自动提供，也可以手动 app.provide(TRAME_BUS_KEY, bus)
  */
-const loadVueAPI = () => {
-  // 已初始化则直接返回
-  if (vueInstance) return vueInstance;
-  
-  // SSR环境降级处理
-  if (isSSR) {
-    return (vueInstance = {
-      isVue3: false,
-      onUnmounted: () => {},
-      getCurrentInstance: () => null,
-      isCompositionAPI: false
-    });
+export const TRAME_BUS_KEY = Symbol('trame.bus');
+
+/**
+ * 将清理函数绑定到组件生命周期
+ * @private
+ * @param {Object} instance 组件实例
+ * @param {Function} cleanup 清理函数
+ * @returns {boolean} 是否绑定成功
+ */
+const bindToInstance = (instance, cleanup) => {
+  if (IS_VUE3) {
+    // Vue 3 方式
+    onUnmounted(cleanup);
+  } else if (instance.proxy?.$once) {
+    // Vue 2 对象形式
+    instance.proxy.$once('hook:beforeDestroy', cleanup);
+  } else if (instance.$once) {
+    // Vue 2 直接形式
+    instance.$once('hook:beforeDestroy', cleanup);
+  } else {
+    return false;
   }
   
-  try {
-    // 尝试同步加载Vue (通常打包时会解析)
-    const Vue = require('vue');
-    const isVue3 = Vue.version?.startsWith('3');
-    
-    // 检测Composition API
-    const hasCompositionAPI = !!(
-      Vue.onUnmounted || 
-      Vue.getCurrentInstance ||
-      Vue.default?.onUnmounted
-    );
-    
-    return (vueInstance = {
-      isVue3,
-      isCompositionAPI: hasCompositionAPI,
-      onUnmounted: Vue.onUnmounted || Vue.default?.onUnmounted || function(){},
-      getCurrentInstance: Vue.getCurrentInstance || Vue.default?.getCurrentInstance || function(){return null;}
-    });
-  } catch (e) {
-    // 降级为非响应式版本
-    return (vueInstance = {
-      isVue3: false,
-      isCompositionAPI: false,
-      onUnmounted: () => {},
-      getCurrentInstance: () => null
-    });
+  return true;
+};
+
+/**
+ * 将清理函数绑定到当前的 effectScope，不在作用域中时退回到组件生命周期
+ * @private
+ * @param {Function} cleanup 清理函数
+ * @returns {boolean} 是否绑定成功
+ */
+const bindToCurrentScope = (cleanup) => {
+  if (getCurrentScope()) {
+    onScopeDispose(cleanup);
+    return true;
   }
+  
+  const instance = getCurrentInstance();
+  return instance ? bindToInstance(instance, cleanup) : false;
+};
+
+/**
+ * 获取事件总线：自定义事件总线 > 组件中注入的事件总线 > 全局事件总线
+ * @private
+ * @param {Object} [customEventBus] 自定义事件总线
+ * @returns {Object} 事件总线
+ */
+const resolveBus = (customEventBus) => {
+  if (customEventBus) return customEventBus;
+  
+  const injected = getCurrentInstance() ? inject(TRAME_BUS_KEY, null) : null;
+  return injected || globalEventBus;
+};
+
+/**
+ * 服务端使用全局事件总线订阅时，订阅无法随请求结束清理，会在请求之间泄漏
+ * @private
+ * @param {Object} eventBus 事件总线
+ * @returns {boolean} 是否应跳过订阅
+ */
+const shouldSkipSubscription = (eventBus) => {
+  if (eventBus !== globalEventBus || !isServer()) return false;
+  
+  if (!globalBusWarned) {
+    globalBusWarned = true;
+    console.warn('[Trame.js] 服务端渲染时已忽略全局事件总线上的订阅，请使用 createRequestScopedBus() 创建请求级事件总线');
+  }
+  return true;
 };
 
 /**
@@ -57,83 +90,221 @@ const loadVueAPI = () => {
  * @returns {Object} 事件总线API
  */
 export const useVueEventBus = (customEventBus) => {
-  const subscriptions = new Set();
-  const eventBus = customEventBus || globalEventBus;
-  
-  // 同步加载Vue API
-  const { getCurrentInstance, onUnmounted, isVue3, isCompositionAPI } = loadVueAPI();
+  const eventBus = resolveBus(customEventBus);
+  const api = createAdapterAPI(eventBus, { shouldSkipSubscription });
   
   // 立即获取组件实例
-  const instance = getCurrentInstance?.();
+  const instance = getCurrentInstance();
+  
+  // 尝试绑定生命周期
+  if (instance && !bindToInstance(instance, api.cleanup)) {
+    // 无法自动清理
+    console.warn('[Trame.js] 无法绑定到组件生命周期，请手动调用cleanup()');
+  }
+  
+  return api;
+};
+
+/**
+ * 监听事件，在 effectScope 或组件 setup 中调用时随作用域销毁自动取消订阅
+ * @param {string} event 事件名称（支持通配符 * 和 **）
+ * @param {Function} callback 回调函数，参数与事件处理函数相同
+ * @param {Object} [options] 配置选项
+ * @param {boolean} [options.immediate=false] 是否立即用已记录的粘性事件调用回调
+ * @param {number} [options.priority] 处理函数优先级
+ * @param {number} [options.throttle] 节流间隔（毫秒），throttle、debounce、leading、trailing、batch 同 on
+ * @param {number} [options.debounce] 防抖等待时间（毫秒）
+ * @param {Function} [options.filter] 过滤函数，参数与回调相同，返回假值时不调用回调
+ * @param {Function} [options.map] 参数转换函数，返回新的参数数组，同 on
+ * @param {Object} [options.eventBus] 自定义事件总线，默认为组件中注入的事件总线或全局事件总线
+ * @returns {Function} 停止监听函数，同时清除节流和防抖的定时器
+ */
+export const watchEvent = (event, callback, options = {}) => {
+  const eventBus = resolveBus(options.eventBus);
+  
+  // 服务端不在全局事件总线上订阅，避免请求之间共享的订阅无法清理
+  if (shouldSkipSubscription(eventBus)) return () => {};
+  
+  let unsubscribe;
+  
+  try {
+    unsubscribe = eventBus.on(event, callback, {
+      priority: options.priority,
+      replay: options.immediate === true,
+      throttle: options.throttle,
+      debounce: options.debounce,
+      leading: options.leading,
+      trailing: options.trailing,
+      batch: options.batch,
+      filter: options.filter,
+      map: options.map
+    });
+  } catch (e) {
+    console.warn(`[Trame.js] ${e.message || 'watchEvent调用失败'}`);
+    return () => {};
+  }
+  
+  let stopped = false;
+  const stop = () => {
+    if (stopped) return;
+    stopped = true;
+    try { unsubscribe(); } catch (e) { /* 忽略错误 */ }
+  };
+  
+  bindToCurrentScope(stop);
+  
+  return stop;
+};
+
+/**
+ * 返回随事件更新的 ref，值为最近一次事件数据
+ * @param {string} event 事件名称（支持通配符 * 和 **）
+ * @param {*} initialValue 初始值
+ * @param {Object} [options] 配置选项，同 watchEvent；设置 map 时值为转换后的第一个参数
+ * @returns {Object} ref
+ */
+export const useEventRef = (event, initialValue, options = {}) => {
+  const eventBus = resolveBus(options.eventBus);
+  const state = ref(initialValue);
   
-  // 清理函数
-  const cleanup = () => {
-    subscriptions.forEach(unsub => {
+  watchEvent(event, (...args) => {
+    state.value = options.map ? args[0] : getPayload(eventBus, event, args);
+  }, { ...options, eventBus });
+  
+  return state;
+};
+
+/**
+ * 返回根据最近一次事件数据计算的只读 ref
+ * @param {string} event 事件名称（支持通配符 * 和 **）
+ * @param {Function} getter 计算函数 (payload) => value
+ * @param {*} [initialValue] 事件触发前传给计算函数的数据
+ * @param {Object} [options] 配置选项，同 watchEvent
+ * @returns {Object} computed ref
+ */
+export const useEventComputed = (event, getter, initialValue, options = {}) => {
+  const source = useEventRef(event, initialValue, options);
+  
+  return computed(() => getter(source.value));
+};
+
+/**
+ * events 选项的合并策略，mixin 和 extends 中同名事件的处理函数都会保留
+ * @private
+ */
+const mergeEventsOption = (parentVal, childVal) => {
+  if (!parentVal) return childVal;
+  if (!childVal) return parentVal;
+  
+  const merged = { ...parentVal };
+  Object.keys(childVal).forEach(event => {
+    merged[event] = event in merged
+      ? [].concat(merged[event], childVal[event])
+      : childVal[event];
+  });
+  return merged;
+};
+
+/**
+ * 创建全局 mixin，根据组件的 events 选项自动订阅，组件销毁时取消订阅
+ * @private
+ * @param {Object} eventBus 事件总线
+ * @param {boolean} isVue3 是否为Vue 3
+ * @returns {Object} mixin
+ */
+const createEventsMixin = (eventBus, isVue3) => {
+  // 组件实例 -> 取消订阅函数数组
+  const componentSubscriptions = new WeakMap();
+  
+  const subscribe = function() {
+    const events = this.$options.events;
+    if (!events || typeof events !== 'object') return;
+    
+    // created 在服务端渲染时也会执行，但卸载钩子不会，全局事件总线上的订阅会在请求之间累积
+    if (shouldSkipSubscription(eventBus)) return;
+    
+    const unsubscribes = subscribeEventsOption(eventBus, events, this, 'events');
+    componentSubscriptions.set(this, unsubscribes);
+  };
+  
+  const unsubscribe = function() {
+    const unsubscribes = componentSubscriptions.get(this);
+    if (!unsubscribes) return;
+    
+    unsubscribes.forEach(unsub => {
       try { unsub(); } catch (e) { /* 忽略清理错误 */ }
     });
-    subscriptions.clear();
+    componentSubscriptions.delete(this);
   };
   
-  // 尝试绑定生命周期
-  if (instance) {
-    if (isVue3 && onUnmounted) {
-      // Vue 3 方式
-      onUnmounted(cleanup);
-    } else if (instance.proxy?.$once) {
-      // Vue 2 对象形式
-      instance.proxy.$once('hook:beforeDestroy', cleanup);
-    } else if (instance.$once) {
-      // Vue 2 直接形式
-      instance.$once('hook:beforeDestroy', cleanup);
-    } else {
-      // 无法自动清理
-      console.warn('[Trame.js] 无法绑定到组件生命周期，请手动调用cleanup()');
-    }
-  }
+  return isVue3
+    ? { created: subscribe, beforeUnmount: unsubscribe }
+    : { created: subscribe, beforeDestroy: unsubscribe };
+};
+
+/**
+ * 创建 v-emit 指令，DOM 事件触发时向事件总线发送事件
+ * 用法：v-emit:click="['cart.add', item]" 或 v-emit="'menu.toggle'"，参数默认为 click
+ * 支持 .prevent 和 .stop 修饰符
+ * @private
+ * @param {Object} eventBus 事件总线
+ * @param {boolean} isVue3 是否为Vue 3
+ * @returns {Object} 指令定义
+ */
+const createEmitDirective = (eventBus, isVue3) => {
+  // 元素 -> { domEvent, listener, value }
+  const bindings = new WeakMap();
   
-  // 安全包装核心方法
-  const safeCall = (method, defaultValue, withSubscription = false) => {
-    return (...args) => {
+  const bind = (el, binding) => {
+    const state = { domEvent: binding.arg || 'click', value: binding.value };
+    
+    state.listener = (domEvent) => {
+      if (binding.modifiers?.prevent) domEvent.preventDefault();
+      if (binding.modifiers?.stop) domEvent.stopPropagation();
+      
+      const value = state.value;
+      const [event, ...args] = Array.isArray(value) ? value : [value];
+      
+      if (typeof event !== 'string') {
+        console.warn('[Trame.js] v-emit 的值必须是事件名称或 [事件名称, ...参数]');
+        return;
+      }
+      
       try {
-        const result = eventBus[method](...args);
-        
-        if (withSubscription && typeof result === 'function') {
-          subscriptions.add(result);
-          return () => {
-            try { result(); } catch (e) { /* 忽略错误 */ }
-            subscriptions.delete(result);
-          };
-        }
-        
-        return result;
+        eventBus.emit(event, ...args);
       } catch (e) {
-        console.warn(`[Trame.js] ${e.message || method + '调用失败'}`);
-        return defaultValue;
+        console.warn(`[Trame.js] ${e.message || 'emit调用失败'}`);
       }
     };
+    
+    el.addEventListener(state.domEvent, state.listener);
+    bindings.set(el, state);
   };
   
-  return {
-    on: safeCall('on', () => {}, true),
-    once: safeCall('once', () => {}, true),
-    off: safeCall('off', undefined),
-    emit: safeCall('emit', undefined),
-    // 新增功能
-    onMany: safeCall('onMany', () => {}, true),
-    onceMany: safeCall('onceMany', () => {}, true),
-    setPriority: safeCall('setPriority', false),
-    getPriorities: safeCall('getPriorities', null),
-    getMetrics: safeCall('getMetrics', {}),
-    resetMetrics: safeCall('resetMetrics', undefined),
-    setOptions: safeCall('setOptions', undefined),
-    has: safeCall('has', false),
-    count: safeCall('count', 0),
-    getEventNames: safeCall('getEventNames', []),
-    // 调试API直接引用
-    debug: eventBus.debug,
-    // 清理函数
-    cleanup
+  const unbind = (el) => {
+    const state = bindings.get(el);
+    if (!state) return;
+    
+    el.removeEventListener(state.domEvent, state.listener);
+    bindings.delete(el);
   };
+  
+  const update = (el, binding) => {
+    const state = bindings.get(el);
+    
+    // 动态参数变化时重新绑定 DOM 事件
+    if (!state || state.domEvent !== (binding.arg || 'click')) {
+      unbind(el);
+      bind(el, binding);
+      return;
+    }
+    
+    state.value = binding.value;
+  };
+  
+  return isVue3
+    ? { mounted: bind, updated: update, unmounted: unbind }
+    : { bind, componentUpdated: update, unbind };
 };
 
 /**
@@ -156,6 +327,8 @@ export const createVuePlugin = (options = {}) => {
       if (isVue3) {
         // Vue 3
         app.provide && app.provide('eventBus', bus);
+        // 提供原始事件总线，组合函数通过注入获取（服务端每个请求的应用使用独立的事件总线）
+        app.provide && app.provide(TRAME_BUS_KEY, customBus);
         if (app.config?.globalProperties) {
           app.config.globalProperties.$eventBus = bus;
         }
@@ -163,29 +336,29 @@ export const createVuePlugin = (options = {}) => {
         // Vue 2
         app.prototype.$eventBus = bus;
       }
+      
+      // 组件级 events 选项：events: { 'cart.*': 'onCartChange' }
+      if (app.config?.optionMergeStrategies) {
+        app.config.optionMergeStrategies.events = mergeEventsOption;
+      }
+      app.mixin && app.mixin(createEventsMixin(customBus, isVue3));
+      
+      // 模板指令：v-emit:click="['cart.add', item]"
+      app.directive && app.directive('emit', createEmitDirective(customBus, isVue3));
     }
   };
 };
 
-// SSR安全版本
+/**
+ * SSR安全版本
+ * @deprecated 请使用 createRequestScopedBus() 为每个请求创建事件总线，并通过 createVuePlugin({ eventBus }) 提供给应用
+ * @returns {Object} 基于请求级事件总线的Vue适配器
+ */
 export const createSSRSafeEventBus = () => {
-  const noop = () => () => {};
-  return { 
-    on: noop, 
-    once: noop, 
-    off: () => {}, 
-    emit: () => {}, 
-    onMany: noop,
-    onceMany: noop,
-    setPriority: () => false,
-    getPriorities: () => null,
-    getMetrics: () => ({}),
-    resetMetrics: () => {},
-    setOptions: () => {},
-    has: () => false,
-    count: () => 0,
-    getEventNames: () => [],
-    debug: {},
-    cleanup: () => {} 
-  };
+  if (!ssrSafeWarned) {
+    ssrSafeWarned = true;
+    console.warn('[Trame.js] createSSRSafeEventBus 已废弃，请使用 createRequestScopedBus()');
+  }
+  
+  return useVueEventBus(createRequestScopedBus());
 };
\ No newline at end of file
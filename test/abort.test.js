@@ -0,0 +1,111 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { createEventBus } from '../src/core';
+
+describe('AbortSignal 与 Promise 形式的 once', () => {
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+  
+  it('一个 AbortController 可以取消一组订阅', () => {
+    const bus = createEventBus();
+    const controller = new AbortController();
+    const handler = vi.fn();
+    const { signal } = controller;
+    
+    bus.on('cart.add', handler, { signal });
+    bus.on('user.*', handler, { signal });
+    bus.once('cart.remove', handler, { signal });
+    bus.onMany(['a', 'b'], handler, { signal });
+    bus.onceMany(['c', 'd'], handler, { signal });
+    
+    controller.abort();
+    ['cart.add', 'user.login', 'cart.remove', 'a', 'b', 'c', 'd'].forEach(event => bus.emit(event));
+    
+    expect(handler).not.toHaveBeenCalled();
+    expect(bus.getEventNames()).toEqual([]);
+  });
+  
+  it('已中止的 signal 不会建立订阅', () => {
+    const bus = createEventBus();
+    const signal = AbortSignal.abort();
+    
+    const unsubscribe = bus.on('cart.add', () => {}, { signal });
+    
+    expect(typeof unsubscribe).toBe('function');
+    expect(bus.has('cart.add')).toBe(false);
+  });
+  
+  it('手动取消订阅后中止 signal 不会出错', () => {
+    const bus = createEventBus();
+    const controller = new AbortController();
+    const handler = vi.fn();
+    
+    const unsubscribe = bus.on('cart.add', handler, { signal: controller.signal });
+    bus.on('cart.add', handler);
+    unsubscribe();
+    controller.abort();
+    
+    bus.emit('cart.add');
+    expect(handler).toHaveBeenCalledTimes(1);
+  });
+  
+  it('命名空间订阅支持 signal', () => {
+    const bus = createEventBus();
+    const controller = new AbortController();
+    const cart = bus.namespace('cart');
+    
+    cart.on('add', () => {}, { signal: controller.signal });
+    expect(bus.count('cart.add')).toBe(1);
+    
+    controller.abort();
+    expect(bus.count('cart.add')).toBe(0);
+  });
+  
+  it('signal 不是 AbortSignal 时抛出错误', () => {
+    const bus = createEventBus();
+    expect(() => bus.on('a', () => {}, { signal: {} })).toThrow(TypeError);
+  });
+  
+  it('once 不传处理函数时返回以事件参数兑现的 Promise', async () => {
+    const bus = createEventBus();
+    const pending = bus.once('user.login');
+    
+    bus.emit('user.login', { id: 1 }, 'extra');
+    
+    await expect(pending).resolves.toEqual([{ id: 1 }, 'extra']);
+    expect(bus.has('user.login')).toBe(false);
+  });
+  
+  it('Promise 形式的 once 中止时以中止原因拒绝', async () => {
+    const bus = createEventBus();
+    const controller = new AbortController();
+    const pending = bus.once('user.login', { signal: controller.signal });
+    
+    controller.abort(new Error('cancelled'));
+    
+    await expect(pending).rejects.toThrow('cancelled');
+    expect(bus.has('user.login')).toBe(false);
+    await expect(bus.once('user.login', { signal: AbortSignal.abort() })).rejects.toBeDefined();
+  });
+  
+  it('Promise 形式的 once 超时以 TIMEOUT 错误拒绝', async () => {
+    vi.useFakeTimers();
+    const bus = createEventBus();
+    const pending = bus.once('user.login', { timeout: 100 });
+    const assertion = expect(pending).rejects.toMatchObject({ code: 'TIMEOUT' });
+    
+    vi.advanceTimersByTime(100);
+    
+    await assertion;
+    expect(bus.has('user.login')).toBe(false);
+  });
+  
+  it('Promise 形式的 once 支持 replay 粘性事件', async () => {
+    const bus = createEventBus();
+    bus.setSticky('config.ready');
+    bus.emit('config.ready', { debug: true });
+    
+    await expect(bus.once('config.ready', { replay: true })).resolves.toEqual([{ debug: true }]);
+    expect(bus.has('config.ready')).toBe(false);
+  });
+});
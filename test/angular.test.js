@@ -0,0 +1,41 @@
+import '@angular/compiler';
+import { describe, it, expect, vi } from 'vitest';
+import { Injector, runInInjectionContext, ɵINJECTOR_SCOPE as INJECTOR_SCOPE } from '@angular/core';
+import { createEventBus } from '../src/core';
+import { TrameService, injectEventBus, provideTrame } from '../src/angular';
+
+describe('Angular 适配器', () => {
+  it('TrameService 在 providers 中声明后可以注入，注入器销毁时清理订阅', () => {
+    const bus = createEventBus();
+    const handler = vi.fn();
+    const injector = Injector.create({ providers: [provideTrame(bus), TrameService] });
+    
+    const service = injector.get(TrameService);
+    service.on('cart.add', handler);
+    bus.emit('cart.add', 'sku-1');
+    
+    expect(handler).toHaveBeenCalledWith('sku-1');
+    
+    injector.destroy();
+    expect(bus.has('cart.add')).toBe(false);
+  });
+  
+  it('TrameService 不在根注入器中提供', () => {
+    // 与 bootstrapApplication 创建的根注入器相同，providedIn: 'root' 的服务会在这里创建
+    const injector = Injector.create({ providers: [{ provide: INJECTOR_SCOPE, useValue: 'root' }] });
+    
+    expect(() => injector.get(TrameService)).toThrow(/No provider for TrameService/);
+  });
+  
+  it('injectEventBus 在注入上下文中使用注入的事件总线', () => {
+    const bus = createEventBus();
+    const injector = Injector.create({ providers: [provideTrame(bus)] });
+    
+    const events = runInInjectionContext(injector, () => injectEventBus());
+    events.on('user.login', () => {});
+    expect(bus.count('user.login')).toBe(1);
+    
+    injector.destroy();
+    expect(bus.count('user.login')).toBe(0);
+  });
+});
@@ -0,0 +1,301 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { createEventBus } from '../src/core';
+import { createPostMessageBridge } from '../src/bridge';
+
+const flush = () => new Promise(resolve => setTimeout(resolve, 20));
+
+/**
+ * 模拟 MessagePort：消息经过结构化克隆后异步到达另一端
+ */
+const createPort = () => {
+  const listeners = new Set();
+  const port = {
+    other: null,
+    closed: false,
+    postMessage: vi.fn((data) => {
+      const { other } = port;
+      if (port.closed || !other) return;
+      
+      const cloned = structuredClone(data);
+      setTimeout(() => {
+        if (!other.closed) other.listeners.forEach(listener => listener({ data: cloned }));
+      }, 0);
+    }),
+    listeners,
+    start: vi.fn(),
+    close: vi.fn(() => {
+      port.closed = true;
+    }),
+    addEventListener: (type, listener) => listeners.add(listener),
+    removeEventListener: (type, listener) => listeners.delete(listener)
+  };
+  return port;
+};
+
+/**
+ * 模拟 MessageChannel
+ */
+class FakeMessageChannel {
+  constructor() {
+    this.port1 = createPort();
+    this.port2 = createPort();
+    this.port1.other = this.port2;
+    this.port2.other = this.port1;
+  }
+}
+
+/**
+ * 模拟一对可以互相 postMessage 的窗口
+ */
+const createWindowPair = (originA, originB) => {
+  const createWindow = (origin) => {
+    const listeners = new Set();
+    return {
+      origin,
+      listeners,
+      addEventListener: (type, listener) => listeners.add(listener),
+      removeEventListener: (type, listener) => listeners.delete(listener)
+    };
+  };
+  
+  const a = createWindow(originA);
+  const b = createWindow(originB);
+  const link = (receiver, sender) => {
+    receiver.postMessage = vi.fn((data, targetOrigin) => {
+      if (targetOrigin !== '*' && targetOrigin !== receiver.origin) return;
+      
+      const cloned = structuredClone(data);
+      setTimeout(() => {
+        receiver.listeners.forEach(listener => listener({ data: cloned, origin: sender.origin, source: sender }));
+      }, 0);
+    });
+  };
+  link(a, b);
+  link(b, a);
+  
+  return [a, b];
+};
+
+describe('createPostMessageBridge', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+  
+  it('两端完成握手后双向转发事件', async () => {
+    const { port1, port2 } = new FakeMessageChannel();
+    const hostBus = createEventBus();
+    const childBus = createEventBus();
+    const host = createPostMessageBridge(hostBus, { target: port1 });
+    const child = createPostMessageBridge(childBus, { target: port2 });
+    
+    await Promise.all([host.ready, child.ready]);
+    expect(host.isConnected()).toBe(true);
+    expect(port1.start).toHaveBeenCalled();
+    
+    const childHandler = vi.fn();
+    const hostHandler = vi.fn();
+    childBus.on('cart.add', childHandler);
+    hostBus.on('cart.clear', hostHandler);
+    
+    hostBus.emit('cart.add', { id: 1 });
+    childBus.emit('cart.clear');
+    await flush();
+    
+    expect(childHandler).toHaveBeenCalledWith({ id: 1 });
+    expect(hostHandler).toHaveBeenCalledTimes(1);
+    
+    host.close();
+    child.close();
+  });
+  
+  it('握手完成前触发的事件在连接后发送', async () => {
+    const { port1, port2 } = new FakeMessageChannel();
+    const hostBus = createEventBus();
+    const childBus = createEventBus();
+    const handler = vi.fn();
+    childBus.on('early', handler);
+    
+    const host = createPostMessageBridge(hostBus, { target: port1 });
+    hostBus.emit('early', 1);
+    const child = createPostMessageBridge(childBus, { target: port2 });
+    
+    await host.ready;
+    await flush();
+    
+    expect(handler).toHaveBeenCalledWith(1);
+    
+    host.close();
+    child.close();
+  });
+  
+  it('按 allow / deny 规则过滤转发的事件，deny 优先', async () => {
+    const { port1, port2 } = new FakeMessageChannel();
+    const hostBus = createEventBus();
+    const childBus = createEventBus();
+    const host = createPostMessageBridge(hostBus, { target: port1, allow: ['auth.*', 'cart.*'], deny: ['auth.token'] });
+    const child = createPostMessageBridge(childBus, { target: port2 });
+    await host.ready;
+    
+    const received = [];
+    childBus.on('**', (event) => received.push(event));
+    
+    hostBus.emit('auth.login');
+    hostBus.emit('auth.token');
+    hostBus.emit('user.update');
+    await flush();
+    
+    expect(received).toEqual(['auth.login']);
+    
+    host.close();
+    child.close();
+  });
+  
+  it('在桥接之前注册了异步中间件时不会把事件回传给对端', async () => {
+    const { port1, port2 } = new FakeMessageChannel();
+    const buses = [createEventBus(), createEventBus()];
+    const handlers = buses.map(() => vi.fn());
+    
+    const bridges = [port1, port2].map((target, index) => {
+      buses[index].use(async (ctx, next) => {
+        await Promise.resolve();
+        return next();
+      });
+      buses[index].on('cart.add', handlers[index]);
+      return createPostMessageBridge(buses[index], { target });
+    });
+    await Promise.all(bridges.map(bridge => bridge.ready));
+    
+    const sentEvents = () => [port1, port2]
+      .flatMap(port => port.postMessage.mock.calls)
+      .filter(([data]) => data.type === 'event').length;
+    
+    buses[0].emit('cart.add', 1);
+    await flush();
+    await flush();
+    
+    expect(handlers[0]).toHaveBeenCalledTimes(1);
+    expect(handlers[1]).toHaveBeenCalledTimes(1);
+    expect(sentEvents()).toBe(1);
+    
+    bridges.forEach(bridge => bridge.close());
+  });
+  
+  it('宿主页面在多个子应用之间中转事件', async () => {
+    const first = new FakeMessageChannel();
+    const second = new FakeMessageChannel();
+    const hostBus = createEventBus();
+    const childBuses = [createEventBus(), createEventBus()];
+    const bridges = [
+      createPostMessageBridge(hostBus, { target: first.port1 }),
+      createPostMessageBridge(hostBus, { target: second.port1 }),
+      createPostMessageBridge(childBuses[0], { target: first.port2 }),
+      createPostMessageBridge(childBuses[1], { target: second.port2 })
+    ];
+    await Promise.all(bridges.map(bridge => bridge.ready));
+    
+    const handlers = childBuses.map(bus => {
+      const handler = vi.fn();
+      bus.on('theme.change', handler);
+      return handler;
+    });
+    
+    childBuses[0].emit('theme.change', 'dark');
+    await flush();
+    await flush();
+    
+    expect(handlers[0]).toHaveBeenCalledTimes(1);
+    expect(handlers[1]).toHaveBeenCalledWith('dark');
+    expect(handlers[1]).toHaveBeenCalledTimes(1);
+    
+    bridges.forEach(bridge => bridge.close());
+  });
+  
+  it('收到的事件在 ctx.meta.bridge 中带有来源信息', async () => {
+    const [hostWindow, childWindow] = createWindowPair('https://host.example.com', 'https://child.example.com');
+    const hostBus = createEventBus();
+    const childBus = createEventBus();
+    const host = createPostMessageBridge(hostBus, {
+      target: childWindow,
+      targetOrigin: 'https://child.example.com',
+      listenTo: hostWindow
+    });
+    const child = createPostMessageBridge(childBus, {
+      target: hostWindow,
+      targetOrigin: 'https://host.example.com',
+      listenTo: childWindow
+    });
+    await Promise.all([host.ready, child.ready]);
+    
+    const metas = [];
+    childBus.use((ctx, next) => {
+      metas.push(ctx.meta.bridge);
+      return next();
+    });
+    
+    hostBus.emit('ping');
+    await flush();
+    
+    expect(metas).toEqual([{
+      channel: 'trame',
+      bridgeId: child.bridgeId,
+      peerId: host.bridgeId,
+      origin: 'https://host.example.com'
+    }]);
+    
+    host.close();
+    child.close();
+  });
+  
+  it('拒绝来自未授权来源的消息', async () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const [hostWindow, childWindow] = createWindowPair('https://host.example.com', 'https://child.example.com');
+    const hostBus = createEventBus();
+    const host = createPostMessageBridge(hostBus, {
+      target: childWindow,
+      targetOrigin: 'https://child.example.com',
+      listenTo: hostWindow
+    });
+    
+    hostWindow.listeners.forEach(listener => listener({
+      data: { __trame_bridge__: 1, channel: 'trame', bridgeId: 'evil', type: 'hello' },
+      origin: 'https://evil.example.com',
+      source: childWindow
+    }));
+    
+    expect(host.isConnected()).toBe(false);
+    expect(warn).toHaveBeenCalledWith(expect.stringContaining('https://evil.example.com'));
+    
+    host.close();
+    await expect(host.ready).rejects.toThrow('桥接已关闭');
+  });
+  
+  it('目标为窗口时必须指定 targetOrigin', () => {
+    const [hostWindow, childWindow] = createWindowPair('https://host.example.com', 'https://child.example.com');
+    
+    expect(() => createPostMessageBridge(createEventBus(), { target: childWindow, listenTo: hostWindow }))
+      .toThrow('targetOrigin');
+  });
+  
+  it('关闭后通知对端并停止转发', async () => {
+    const { port1, port2 } = new FakeMessageChannel();
+    const hostBus = createEventBus();
+    const childBus = createEventBus();
+    const host = createPostMessageBridge(hostBus, { target: port1 });
+    const child = createPostMessageBridge(childBus, { target: port2 });
+    await Promise.all([host.ready, child.ready]);
+    
+    const handler = vi.fn();
+    hostBus.on('ping', handler);
+    
+    host.close();
+    await flush();
+    childBus.emit('ping');
+    await flush();
+    
+    expect(child.isConnected()).toBe(false);
+    expect(handler).not.toHaveBeenCalled();
+    expect(hostBus.getMiddlewares()).not.toContain('bridge:trame');
+    
+    child.close();
+  });
+});
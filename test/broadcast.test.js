@@ -0,0 +1,190 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { createEventBus } from '../src/core';
+import { createBroadcastTransport } from '../src/broadcast';
+
+const flush = () => new Promise(resolve => setTimeout(resolve, 20));
+
+/**
+ * 模拟 BroadcastChannel：同名频道的其他端口异步收到结构化克隆后的消息
+ */
+const createChannelHub = () => {
+  const ports = new Set();
+  
+  const channelFactory = (name) => {
+    const listeners = new Set();
+    const port = {
+      name,
+      listeners,
+      postMessage: vi.fn((data) => {
+        const cloned = structuredClone(data);
+        ports.forEach(other => {
+          if (other === port || other.name !== name) return;
+          setTimeout(() => other.listeners.forEach(listener => listener({ data: cloned })), 0);
+        });
+      }),
+      addEventListener(type, listener) {
+        listeners.add(listener);
+      },
+      close: vi.fn(() => {
+        ports.delete(port);
+      })
+    };
+    ports.add(port);
+    return port;
+  };
+  
+  return { channelFactory, ports };
+};
+
+/**
+ * 模拟 localStorage 和 storage 事件：写入时通知其他标签页
+ */
+const createStorageHub = () => {
+  const tabs = new Set();
+  
+  const createTab = () => {
+    const listeners = new Set();
+    const tab = {
+      listeners,
+      storage: {
+        setItem(key, value) {
+          tabs.forEach(other => {
+            if (other !== tab) other.listeners.forEach(listener => listener({ key, newValue: value }));
+          });
+        },
+        removeItem(key) {
+          tabs.forEach(other => {
+            if (other !== tab) other.listeners.forEach(listener => listener({ key, newValue: null }));
+          });
+        }
+      },
+      storageTarget: {
+        addEventListener: (type, listener) => listeners.add(listener),
+        removeEventListener: (type, listener) => listeners.delete(listener)
+      }
+    };
+    tabs.add(tab);
+    return tab;
+  };
+  
+  return { createTab };
+};
+
+describe('createBroadcastTransport', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+  
+  it('将匹配的事件同步到其他标签页，并在 ctx.meta.transport 中带上来源信息', async () => {
+    const { channelFactory } = createChannelHub();
+    const busA = createEventBus();
+    const busB = createEventBus();
+    const a = createBroadcastTransport({ bus: busA, events: ['cart.*'], channelFactory, tabId: 'tab-a' });
+    const b = createBroadcastTransport({ bus: busB, events: ['cart.*'], channelFactory, tabId: 'tab-b' });
+    
+    const handler = vi.fn();
+    const metas = [];
+    busB.on('cart.add', handler);
+    busB.use((ctx, next) => {
+      metas.push(ctx.meta.transport);
+      return next();
+    });
+    
+    busA.emit('cart.add', { id: 1 });
+    busA.emit('user.login', { id: 2 });
+    await flush();
+    
+    expect(a.mode).toBe('broadcast');
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(handler).toHaveBeenCalledWith({ id: 1 });
+    expect(metas).toEqual([expect.objectContaining({ channel: 'trame', origin: 'tab-a' })]);
+    
+    a.close();
+    b.close();
+  });
+  
+  it('在传输之前注册了异步中间件时不会在标签页之间来回转发', async () => {
+    const { channelFactory, ports } = createChannelHub();
+    const buses = [createEventBus(), createEventBus()];
+    const handlers = buses.map(() => vi.fn());
+    
+    const transports = buses.map((bus, index) => {
+      bus.use(async (ctx, next) => {
+        await Promise.resolve();
+        return next();
+      });
+      bus.on('cart.add', handlers[index]);
+      return createBroadcastTransport({ bus, events: 'cart.*', channelFactory });
+    });
+    
+    buses[0].emit('cart.add', 1);
+    await flush();
+    await flush();
+    
+    expect(handlers[0]).toHaveBeenCalledTimes(1);
+    expect(handlers[1]).toHaveBeenCalledTimes(1);
+    const posted = [...ports].reduce((count, port) => count + port.postMessage.mock.calls.length, 0);
+    expect(posted).toBe(1);
+    
+    transports.forEach(transport => transport.close());
+  });
+  
+  it('参数无法结构化克隆时跳过同步并警告', async () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const { channelFactory, ports } = createChannelHub();
+    const bus = createEventBus();
+    const transport = createBroadcastTransport({ bus, events: 'cart.*', channelFactory });
+    
+    bus.emit('cart.add', () => {});
+    
+    expect([...ports][0].postMessage).not.toHaveBeenCalled();
+    expect(warn).toHaveBeenCalledWith(expect.stringContaining('无法序列化'));
+    
+    transport.close();
+  });
+  
+  it('不支持 BroadcastChannel 时降级为 storage 事件', async () => {
+    const { createTab } = createStorageHub();
+    const tabA = createTab();
+    const tabB = createTab();
+    const busA = createEventBus();
+    const busB = createEventBus();
+    const a = createBroadcastTransport({ bus: busA, events: 'theme.*', transport: 'storage', ...tabA });
+    const b = createBroadcastTransport({ bus: busB, events: 'theme.*', transport: 'storage', ...tabB });
+    
+    const handlerA = vi.fn();
+    const handlerB = vi.fn();
+    busA.on('theme.change', handlerA);
+    busB.on('theme.change', handlerB);
+    
+    busA.emit('theme.change', 'dark');
+    
+    expect(a.mode).toBe('storage');
+    expect(handlerA).toHaveBeenCalledTimes(1);
+    expect(handlerB).toHaveBeenCalledWith('dark');
+    expect(handlerB).toHaveBeenCalledTimes(1);
+    
+    a.close();
+    b.close();
+  });
+  
+  it('关闭后停止收发事件', async () => {
+    const { channelFactory } = createChannelHub();
+    const busA = createEventBus();
+    const busB = createEventBus();
+    const a = createBroadcastTransport({ bus: busA, events: '**', channelFactory });
+    const b = createBroadcastTransport({ bus: busB, events: '**', channelFactory });
+    const handler = vi.fn();
+    busB.on('ping', handler);
+    
+    b.close();
+    busA.emit('ping');
+    await flush();
+    
+    expect(handler).not.toHaveBeenCalled();
+    expect(b.isClosed()).toBe(true);
+    expect(busB.getMiddlewares()).not.toContain('broadcast:trame');
+    
+    a.close();
+  });
+});
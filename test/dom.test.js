@@ -0,0 +1,111 @@
+// @vitest-environment jsdom
+import { describe, it, expect, vi } from 'vitest';
+import { createEventBus } from '../src/core';
+import { connectElement, TrameElementMixin } from '../src/dom';
+
+describe('DOM 适配器', () => {
+  it('DOM 事件转发到总线，总线事件转发为 CustomEvent', () => {
+    const bus = createEventBus();
+    const el = document.createElement('div');
+    const disconnect = connectElement(el, bus, { map: { 'add-to-cart': 'cart.add' } });
+    
+    const busHandler = vi.fn();
+    bus.on('cart.add', busHandler);
+    el.dispatchEvent(new CustomEvent('add-to-cart', { detail: { sku: 'a' } }));
+    expect(busHandler).toHaveBeenCalledWith({ sku: 'a' });
+    
+    const domHandler = vi.fn();
+    el.addEventListener('add-to-cart', (e) => domHandler(e.detail));
+    bus.emit('cart.add', { sku: 'b' });
+    expect(domHandler).toHaveBeenCalledWith({ sku: 'b' });
+    
+    disconnect();
+    expect(bus.count('cart.add')).toBe(1);
+  });
+  
+  it('自身转发的事件不会被再次转发', () => {
+    const bus = createEventBus();
+    const el = document.createElement('div');
+    connectElement(el, bus, { map: { 'add-to-cart': 'cart.add' } });
+    
+    const busHandler = vi.fn();
+    const domHandler = vi.fn();
+    bus.on('cart.add', busHandler);
+    el.addEventListener('add-to-cart', domHandler);
+    
+    bus.emit('cart.add', 1);
+    el.dispatchEvent(new CustomEvent('add-to-cart', { detail: 2 }));
+    
+    // DOM 派发的事件本身会被 domHandler 收到，但不会被转发回 DOM
+    expect(busHandler).toHaveBeenCalledTimes(2);
+    expect(domHandler).toHaveBeenCalledTimes(2);
+  });
+  
+  it('通配符只能从总线转发到 DOM，detail 包含事件名称', () => {
+    const bus = createEventBus();
+    const el = document.createElement('div');
+    connectElement(el, bus, { map: { 'user-event': 'user.*' } });
+    
+    const details = [];
+    el.addEventListener('user-event', (e) => details.push(e.detail));
+    bus.emit('user.login', { id: 1 });
+    
+    expect(details).toEqual([{ event: 'user.login', payload: { id: 1 } }]);
+    expect(() => connectElement(el, bus, {
+      map: { 'user-event': { event: 'user.*', direction: 'in' } }
+    })).toThrow(TypeError);
+  });
+  
+  it('按优先级顺序派发 DOM 事件', () => {
+    const bus = createEventBus();
+    const el = document.createElement('div');
+    const order = [];
+    
+    bus.on('cart.add', () => order.push('bus'), { priority: 5 });
+    connectElement(el, bus, { map: { 'add-to-cart': { event: 'cart.add', direction: 'out', priority: 10 } } });
+    el.addEventListener('add-to-cart', () => order.push('dom'));
+    
+    bus.emit('cart.add');
+    expect(order).toEqual(['dom', 'bus']);
+  });
+  
+  it('map 或元素无效时抛出错误', () => {
+    const el = document.createElement('div');
+    expect(() => connectElement(null, createEventBus(), { map: {} })).toThrow(TypeError);
+    expect(() => connectElement(el, createEventBus(), {})).toThrow(TypeError);
+    expect(() => connectElement(el, createEventBus(), { map: { a: { event: 'x', direction: 'up' } } })).toThrow(TypeError);
+  });
+  
+  it('TrameElementMixin 随连接和断开订阅与清理', () => {
+    const bus = createEventBus();
+    const received = [];
+    
+    class CartBadge extends TrameElementMixin(HTMLElement) {
+      static trameBus = bus;
+      static trameEvents = { 'cart.*': 'onCart' };
+      static trameMap = { 'badge-click': 'badge.click' };
+      
+      onCart(event, action, payload) {
+        received.push([event, action, payload]);
+      }
+    }
+    customElements.define('cart-badge', CartBadge);
+    
+    const el = document.createElement('cart-badge');
+    document.body.appendChild(el);
+    el.trame.on('theme.change', () => {});
+    
+    bus.emit('cart.add', 'sku-1');
+    expect(received).toEqual([['cart.add', 'add', 'sku-1']]);
+    
+    const clickHandler = vi.fn();
+    bus.on('badge.click', clickHandler);
+    el.dispatchEvent(new CustomEvent('badge-click', { detail: 'x' }));
+    expect(clickHandler).toHaveBeenCalledWith('x');
+    
+    el.remove();
+    expect(bus.count('cart.*')).toBe(0);
+    expect(bus.count('theme.change')).toBe(0);
+    expect(bus.count('badge.click')).toBe(1);
+  });
+});
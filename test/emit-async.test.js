@@ -0,0 +1,103 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { createEventBus } from '../src/core';
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('emitAsync', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+  
+  it('按优先级串行执行处理函数并返回每个处理函数的结果', async () => {
+    const bus = createEventBus();
+    const order = [];
+    
+    bus.on('save', async () => {
+      await delay(5);
+      order.push('low');
+      return 'low';
+    }, { priority: 10 });
+    bus.on('save', async () => {
+      await delay(10);
+      order.push('high');
+      return 'high';
+    }, { priority: 90 });
+    
+    const results = await bus.emitAsync('save');
+    
+    expect(order).toEqual(['high', 'low']);
+    expect(results.map(r => r.value)).toEqual(['high', 'low']);
+    expect(results[0]).toMatchObject({ priority: 90, pattern: null, status: 'fulfilled', error: null });
+    expect(typeof results[0].id).toBe('number');
+  });
+  
+  it('并行模式同时启动所有处理函数', async () => {
+    const bus = createEventBus({ asyncMode: 'parallel' });
+    const started = [];
+    
+    bus.on('load', async () => {
+      started.push('a');
+      await delay(10);
+      return 'a';
+    });
+    bus.on('load', async () => {
+      started.push('b');
+      return 'b';
+    });
+    
+    const pending = bus.emitAsync('load');
+    expect(started).toEqual(['a', 'b']);
+    
+    const results = await pending;
+    expect(results.map(r => r.value)).toEqual(['a', 'b']);
+  });
+  
+  it('处理函数出错时记录错误并继续执行其他处理函数', async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    const bus = createEventBus();
+    const error = new Error('保存失败');
+    
+    bus.on('save', () => { throw error; }, { priority: 90 });
+    bus.on('save', () => 'ok');
+    
+    const results = await bus.emitAsync('save');
+    
+    expect(results[0]).toMatchObject({ status: 'rejected', error, value: undefined });
+    expect(results[1]).toMatchObject({ status: 'fulfilled', value: 'ok' });
+  });
+  
+  it('包含通配符处理函数的结果', async () => {
+    const bus = createEventBus();
+    
+    bus.on('user.save', () => 'direct');
+    bus.on('user.*', (event, action) => `${event}:${action}`);
+    
+    const results = await bus.emitAsync('user.save');
+    
+    expect(results.map(r => [r.pattern, r.value])).toEqual([
+      [null, 'direct'],
+      ['user.*', 'user.save:save']
+    ]);
+  });
+  
+  it('没有处理函数时返回空数组', async () => {
+    const bus = createEventBus();
+    
+    await expect(bus.emitAsync('nothing')).resolves.toEqual([]);
+  });
+  
+  it('在调试时间线中记录异步触发', async () => {
+    const bus = createEventBus();
+    bus.on('save', () => {
+      throw new Error('失败');
+    });
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    
+    bus.debug.startMonitoring();
+    await bus.emitAsync('save');
+    const { timeline } = bus.debug.stopMonitoring();
+    
+    expect(timeline.map(entry => entry.type)).toEqual(['emitAsync', 'emitAsyncSettled']);
+    expect(timeline[1]).toMatchObject({ event: 'save', mode: 'sequential', handlerCount: 1, errorCount: 1 });
+  });
+});
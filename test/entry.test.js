@@ -0,0 +1,22 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+
+describe('主入口', () => {
+  afterEach(() => {
+    vi.doUnmock('vue');
+    vi.resetModules();
+  });
+  
+  it('未安装 vue 时也可以加载，Vue 适配器只从 trame/vue 导出', async () => {
+    vi.resetModules();
+    vi.doMock('vue', () => {
+      throw new Error("Cannot find module 'vue'");
+    });
+    
+    const trame = await import('../src/index');
+    
+    expect(typeof trame.createEventBus).toBe('function');
+    expect(typeof trame.useReactEventBus).toBe('function');
+    expect(trame).not.toHaveProperty('useVueEventBus');
+    await expect(import('../src/vue')).rejects.toThrow();
+  });
+});
@@ -0,0 +1,123 @@
+import { describe, it, expect, vi } from 'vitest';
+import { createEventBus } from '../src/core';
+
+describe('错误处理', () => {
+  const boom = () => {
+    throw new Error('boom');
+  };
+  
+  it('onError 钩子收到直接、通配符和多事件订阅处理函数的错误', () => {
+    const bus = createEventBus({ logLevel: 0 });
+    const hook = vi.fn();
+    bus.onError(hook);
+    
+    bus.on('order.submit', boom, { priority: 90 });
+    bus.on('order.*', boom);
+    bus.onMany(['order.submit', 'order.cancel'], boom);
+    bus.emit('order.submit');
+    
+    expect(hook).toHaveBeenCalledTimes(3);
+    const [{ id }] = bus.getPriorities('order.submit');
+    expect(hook.mock.calls[0][1]).toEqual({ event: 'order.submit', handlerId: id, priority: 90, pattern: null });
+    expect(hook.mock.calls.map(([, info]) => info.pattern)).toContain('order.*');
+    hook.mock.calls.forEach(([error, info]) => {
+      expect(error.message).toBe('boom');
+      expect(info.event).toBe('order.submit');
+    });
+  });
+  
+  it('没有钩子时输出到控制台，注册钩子后不再输出', () => {
+    const bus = createEventBus({ logLevel: 0 });
+    const consoleError = vi.spyOn(console, 'error').mockImplementation(() => {});
+    bus.on('a', boom);
+    
+    bus.emit('a');
+    expect(consoleError).toHaveBeenCalledTimes(1);
+    
+    const removeHook = bus.onError(() => {});
+    bus.emit('a');
+    expect(consoleError).toHaveBeenCalledTimes(1);
+    
+    removeHook();
+    bus.emit('a');
+    expect(consoleError).toHaveBeenCalledTimes(2);
+    consoleError.mockRestore();
+  });
+  
+  it('错误计入 handlerErrorCount', () => {
+    const bus = createEventBus({ logLevel: 0 });
+    bus.onError(() => {});
+    bus.on('a', boom);
+    bus.on('*', boom);
+    
+    bus.emit('a');
+    expect(bus.getMetrics().handlerErrorCount).toBe(2);
+  });
+  
+  it('swallow 策略继续执行其他处理函数', () => {
+    const bus = createEventBus({ logLevel: 0 });
+    const next = vi.fn();
+    bus.onError(() => {});
+    bus.on('a', boom, { priority: 100 });
+    bus.on('a', next);
+    
+    expect(() => bus.emit('a')).not.toThrow();
+    expect(next).toHaveBeenCalled();
+  });
+  
+  it('rethrow 策略停止分发并由 emit 抛出错误', async () => {
+    const bus = createEventBus({ logLevel: 0 });
+    const hook = vi.fn();
+    const next = vi.fn();
+    bus.onError(hook);
+    bus.on('a', boom, { priority: 100, errorPolicy: 'rethrow' });
+    bus.on('a', next);
+    
+    expect(() => bus.emit('a')).toThrow('boom');
+    await expect(bus.emitAsync('a')).rejects.toThrow('boom');
+    expect(next).not.toHaveBeenCalled();
+    expect(hook).toHaveBeenCalledTimes(2);
+  });
+  
+  it('stop-propagation 策略不再执行后续处理函数', async () => {
+    const bus = createEventBus({ logLevel: 0 });
+    const next = vi.fn();
+    bus.onError(() => {});
+    bus.on('a', boom, { priority: 100, errorPolicy: 'stop-propagation' });
+    bus.on('a', next);
+    
+    expect(() => bus.emit('a')).not.toThrow();
+    const results = await bus.emitAsync('a');
+    
+    expect(next).not.toHaveBeenCalled();
+    expect(results).toHaveLength(1);
+    expect(results[0].status).toBe('rejected');
+  });
+  
+  it('onMany 的 errorPolicy 作用于每个事件', () => {
+    const bus = createEventBus({ logLevel: 0 });
+    bus.onError(() => {});
+    bus.onMany(['a', 'b'], boom, { errorPolicy: 'rethrow' });
+    
+    expect(() => bus.emit('a')).toThrow('boom');
+    expect(() => bus.emit('b')).toThrow('boom');
+  });
+  
+  it('错误钩子出错不影响分发，无效策略抛出错误', () => {
+    const bus = createEventBus({ logLevel: 0 });
+    const consoleError = vi.spyOn(console, 'error').mockImplementation(() => {});
+    const next = vi.fn();
+    bus.onError(() => {
+      throw new Error('hook');
+    });
+    bus.on('a', boom, { priority: 100 });
+    bus.on('a', next);
+    
+    bus.emit('a');
+    expect(next).toHaveBeenCalled();
+    expect(consoleError).toHaveBeenCalledWith(expect.stringContaining('错误钩子执行出错'), expect.any(Error));
+    expect(() => bus.on('a', () => {}, { errorPolicy: 'ignore' })).toThrow(TypeError);
+    expect(() => bus.onError(null)).toThrow(TypeError);
+    consoleError.mockRestore();
+  });
+});
@@ -0,0 +1,100 @@
+import { describe, it, expect, vi } from 'vitest';
+import { createEventBus } from '../src/core';
+
+describe('filter 与 map', () => {
+  it('filter 返回假值时跳过本次分发', () => {
+    const bus = createEventBus();
+    const handler = vi.fn();
+    bus.on('user.update', handler, { filter: (payload) => payload.userId === 1 });
+    
+    bus.emit('user.update', { userId: 2 });
+    bus.emit('user.update', { userId: 1 });
+    
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(handler).toHaveBeenCalledWith({ userId: 1 });
+  });
+  
+  it('通配符订阅的 filter 和 map 收到事件名和捕获的段', () => {
+    const bus = createEventBus();
+    const handler = vi.fn();
+    
+    bus.on('order.*', handler, {
+      filter: (eventName, status) => status !== 'draft',
+      map: (eventName, status, order) => [order.id, status]
+    });
+    
+    bus.emit('order.draft', { id: 1 });
+    bus.emit('order.paid', { id: 2 });
+    
+    expect(handler.mock.calls).toEqual([[2, 'paid']]);
+  });
+  
+  it('map 返回非数组时作为唯一参数', () => {
+    const bus = createEventBus();
+    const handler = vi.fn();
+    bus.on('cart.add', handler, { map: (item) => item.sku });
+    
+    bus.emit('cart.add', { sku: 'a' });
+    expect(handler).toHaveBeenCalledWith('a');
+  });
+  
+  it('被过滤的分发不会触发 once，也不计入 emitAsync 结果', async () => {
+    const bus = createEventBus();
+    const handler = vi.fn();
+    bus.once('order.paid', handler, { filter: (order) => order.userId === 1 });
+    bus.on('order.paid', () => 'ok', { filter: () => false });
+    
+    bus.emit('order.paid', { userId: 2 });
+    expect(bus.count('order.paid')).toBe(2);
+    
+    const results = await bus.emitAsync('order.paid', { userId: 1 });
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(results).toHaveLength(1);
+    expect(bus.count('order.paid')).toBe(1);
+  });
+  
+  it('Promise 形式的 once 以转换后的参数兑现', async () => {
+    const bus = createEventBus();
+    const pending = bus.once('order.paid', {
+      filter: (order) => order.userId === 1,
+      map: (order) => [order.id]
+    });
+    
+    bus.emit('order.paid', { id: 'a', userId: 2 });
+    bus.emit('order.paid', { id: 'b', userId: 1 });
+    
+    await expect(pending).resolves.toEqual(['b']);
+  });
+  
+  it('monitorData.handlerCounts 分别记录调用和过滤次数', () => {
+    const bus = createEventBus();
+    bus.on('user.update', () => {}, { filter: (payload) => payload.userId === 1 });
+    bus.on('user.*', () => {});
+    const [direct, wildcard] = bus.getPriorities('user.update');
+    
+    bus.debug.startMonitoring();
+    bus.emit('user.update', { userId: 1 });
+    bus.emit('user.update', { userId: 2 });
+    const report = bus.debug.stopMonitoring();
+    
+    expect(report.handlerCounts).toEqual({
+      [direct.id]: { event: 'user.update', invoked: 1, filtered: 1 },
+      [wildcard.id]: { event: 'user.*', invoked: 2, filtered: 0 }
+    });
+  });
+  
+  it('filter 出错按处理函数的错误处理，filter 和 map 必须是函数', () => {
+    const bus = createEventBus({ logLevel: 0 });
+    const hook = vi.fn();
+    const next = vi.fn();
+    bus.onError(hook);
+    bus.on('a', () => {}, { priority: 100, filter: () => { throw new Error('filter'); } });
+    bus.on('a', next);
+    
+    bus.emit('a');
+    expect(hook).toHaveBeenCalledWith(expect.objectContaining({ message: 'filter' }), expect.objectContaining({ event: 'a' }));
+    expect(next).toHaveBeenCalled();
+    expect(() => bus.on('a', () => {}, { filter: true })).toThrow(TypeError);
+    expect(() => bus.on('a', () => {}, { map: 'x' })).toThrow(TypeError);
+  });
+});
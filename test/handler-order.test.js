@@ -0,0 +1,89 @@
+import { describe, it, expect } from 'vitest';
+import { createEventBus } from '../src/core';
+
+describe('merged 处理函数顺序', () => {
+  const record = (bus, order, event, label, priority) => {
+    bus.on(event, () => order.push(label), priority);
+  };
+  
+  it('直接订阅和所有匹配的通配符处理函数统一按优先级排列', () => {
+    const bus = createEventBus({ handlerOrder: 'merged' });
+    const order = [];
+    
+    record(bus, order, 'user.login', 'direct-lowest', 0);
+    record(bus, order, 'user.*', 'wildcard-highest', 100);
+    record(bus, order, '**', 'any-high', 75);
+    record(bus, order, 'user.login', 'direct-normal', 50);
+    
+    bus.emit('user.login');
+    expect(order).toEqual(['wildcard-highest', 'any-high', 'direct-normal', 'direct-lowest']);
+  });
+  
+  it('优先级相同时按订阅顺序执行', () => {
+    const bus = createEventBus({ handlerOrder: 'merged' });
+    const order = [];
+    
+    record(bus, order, 'user.*', 'first', 50);
+    record(bus, order, 'user.login', 'second', 50);
+    record(bus, order, '**', 'third', 50);
+    record(bus, order, 'user.login', 'fourth', 50);
+    
+    bus.emit('user.login');
+    expect(order).toEqual(['first', 'second', 'third', 'fourth']);
+  });
+  
+  it('只有通配符处理函数时也跨模式排序', () => {
+    const bus = createEventBus({ handlerOrder: 'merged' });
+    const order = [];
+    
+    record(bus, order, '**', 'any', 10);
+    record(bus, order, 'user.*', 'user', 90);
+    
+    bus.emit('user.login');
+    expect(order).toEqual(['user', 'any']);
+  });
+  
+  it('getPriorities 返回具体事件的实际执行顺序', () => {
+    const bus = createEventBus({ handlerOrder: 'merged' });
+    const order = [];
+    
+    record(bus, order, 'user.login', 'direct', 0);
+    record(bus, order, 'user.*', 'wildcard', 100);
+    
+    expect(bus.getPriorities('user.login')).toEqual([
+      { id: 2, priority: 100, pattern: 'user.*' },
+      { id: 1, priority: 0, pattern: null }
+    ]);
+  });
+  
+  it('setPriority 和 setOptions 修改后使用新的顺序', () => {
+    const bus = createEventBus();
+    const order = [];
+    
+    record(bus, order, 'user.login', 'direct', 0);
+    record(bus, order, 'user.*', 'wildcard', 100);
+    
+    bus.emit('user.login');
+    expect(order).toEqual(['direct', 'wildcard']);
+    
+    order.length = 0;
+    bus.setOptions({ handlerOrder: 'merged' });
+    bus.emit('user.login');
+    expect(order).toEqual(['wildcard', 'direct']);
+    
+    order.length = 0;
+    bus.setPriority('user.*', 2, 0);
+    bus.emit('user.login');
+    expect(order).toEqual(['direct', 'wildcard']);
+  });
+  
+  it('emitAsync 使用相同的顺序', async () => {
+    const bus = createEventBus({ handlerOrder: 'merged' });
+    
+    bus.on('save', () => 'direct', 0);
+    bus.on('*', () => 'wildcard', 100);
+    
+    const results = await bus.emitAsync('save');
+    expect(results.map(result => result.value)).toEqual(['wildcard', 'direct']);
+  });
+});
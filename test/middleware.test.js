@@ -0,0 +1,146 @@
+import { describe, it, expect, vi } from 'vitest';
+import { createEventBus } from '../src/core';
+
+describe('中间件', () => {
+  it('内置中间件先于自定义中间件执行', () => {
+    const bus = createEventBus();
+    bus.use(function audit(ctx, next) { return next(); });
+    
+    expect(bus.getMiddlewares()).toEqual(['metrics', 'logger', 'monitor', 'breakpoint', 'audit']);
+  });
+  
+  it('按洋葱模型执行并可以改写事件名称和参数', () => {
+    const bus = createEventBus();
+    const order = [];
+    const handler = vi.fn();
+    bus.on('renamed', handler);
+    
+    bus.use((ctx, next) => {
+      order.push('a:before');
+      ctx.event = 'renamed';
+      ctx.args = [...ctx.args, 'extra'];
+      const result = next();
+      order.push('a:after');
+      return result;
+    });
+    bus.use((ctx, next) => {
+      order.push('b');
+      return next();
+    });
+    
+    bus.emit('original', 1);
+    
+    expect(order).toEqual(['a:before', 'b', 'a:after']);
+    expect(handler).toHaveBeenCalledWith(1, 'extra');
+  });
+  
+  it('未调用 next 或调用 ctx.cancel() 时不分发事件', () => {
+    const bus = createEventBus();
+    const handler = vi.fn();
+    bus.on('blocked', handler);
+    bus.on('cancelled', handler);
+    
+    bus.use((ctx, next) => (ctx.event === 'blocked' ? undefined : next()));
+    bus.use((ctx, next) => {
+      if (ctx.event === 'cancelled') ctx.cancel();
+      return next();
+    });
+    
+    bus.emit('blocked');
+    bus.emit('cancelled');
+    
+    expect(handler).not.toHaveBeenCalled();
+  });
+  
+  it('异步中间件等待完成后再分发 emitAsync', async () => {
+    const bus = createEventBus();
+    bus.on('save', () => 'saved');
+    bus.use(async (ctx, next) => {
+      await Promise.resolve();
+      ctx.meta.checked = true;
+      return next();
+    });
+    
+    const results = await bus.emitAsync('save');
+    
+    expect(results.map(r => r.value)).toEqual(['saved']);
+  });
+  
+  it('next() 被多次调用时抛出错误', () => {
+    const bus = createEventBus();
+    bus.use((ctx, next) => {
+      next();
+      return next();
+    });
+    
+    expect(() => bus.emit('twice')).toThrow('中间件中的 next() 被多次调用');
+  });
+  
+  it('可以按名称或函数移除中间件', () => {
+    const bus = createEventBus();
+    const handler = vi.fn();
+    const block = () => undefined;
+    bus.on('x', handler);
+    
+    bus.use(block, { name: 'block' });
+    bus.emit('x');
+    expect(handler).not.toHaveBeenCalled();
+    
+    expect(bus.unuse('block')).toBe(true);
+    bus.emit('x');
+    expect(handler).toHaveBeenCalledTimes(1);
+    
+    bus.use(block);
+    expect(bus.unuse(block)).toBe(true);
+    expect(bus.unuse(block)).toBe(false);
+  });
+  
+  it('request 同样经过中间件', async () => {
+    const bus = createEventBus();
+    bus.respond('user.fetch', (payload) => payload);
+    bus.use((ctx, next) => {
+      ctx.args = [{ ...ctx.args[0], traced: true }];
+      return next();
+    });
+    
+    await expect(bus.request('user.fetch', { id: 1 })).resolves.toEqual({ id: 1, traced: true });
+  });
+});
+
+describe('订阅拦截器', () => {
+  it('可以修改订阅信息或拒绝订阅', () => {
+    const bus = createEventBus();
+    const handler = vi.fn();
+    
+    bus.onSubscribe((subscription) => {
+      if (subscription.event === 'forbidden') return false;
+      subscription.priority = 90;
+      return undefined;
+    });
+    
+    bus.on('forbidden', handler);
+    bus.on('allowed', handler);
+    
+    expect(bus.has('forbidden')).toBe(false);
+    expect(bus.getPriorities('allowed')).toEqual([{ id: expect.any(Number), priority: 90, pattern: null }]);
+  });
+  
+  it('取消订阅后通知取消订阅拦截器', () => {
+    const bus = createEventBus();
+    const interceptor = vi.fn();
+    const handler = () => {};
+    bus.onUnsubscribe(interceptor);
+    
+    bus.on('x', handler);
+    bus.off('x', handler);
+    
+    expect(interceptor).toHaveBeenCalledWith({ event: 'x', handler });
+  });
+  
+  it('拦截器必须是函数', () => {
+    const bus = createEventBus();
+    
+    expect(() => bus.onSubscribe(null)).toThrow(TypeError);
+    expect(() => bus.onUnsubscribe(null)).toThrow(TypeError);
+  });
+});
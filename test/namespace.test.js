@@ -0,0 +1,137 @@
+import { describe, it, expect, vi } from 'vitest';
+import { createEventBus } from '../src/core';
+
+describe('多段通配符', () => {
+  it('* 只匹配一段，** 匹配一段或多段', () => {
+    const bus = createEventBus();
+    
+    expect(bus.match('user.*', 'user.profile.updated')).toBeNull();
+    expect(bus.match('user.**', 'user.profile.updated')).toEqual(['profile.updated']);
+    expect(bus.match('user.**', 'user')).toBeNull();
+    expect(bus.match('a.**.z', 'a.b.c.z')).toEqual(['b.c']);
+    expect(bus.match('a.**.z', 'a.z')).toBeNull();
+    expect(bus.match('a.**.*', 'a.b.c')).toEqual(['b', 'c']);
+  });
+  
+  it('** 订阅收到整个子树的事件', () => {
+    const bus = createEventBus();
+    const handler = vi.fn();
+    bus.on('user.**', handler);
+    
+    bus.emit('user.login', 1);
+    bus.emit('user.profile.updated', 2);
+    bus.emit('cart.add', 3);
+    
+    expect(handler.mock.calls).toEqual([
+      ['user.login', 'login', 1],
+      ['user.profile.updated', 'profile.updated', 2]
+    ]);
+  });
+  
+  it('支持自定义分隔符', () => {
+    const bus = createEventBus({ delimiter: ':' });
+    const handler = vi.fn();
+    bus.on('user:*', handler);
+    
+    bus.emit('user:login', 1);
+    bus.emit('user:profile:updated', 2);
+    
+    expect(handler.mock.calls).toEqual([['user:login', 'login', 1]]);
+    expect(bus.match('user:**', 'user:profile:updated')).toEqual(['profile:updated']);
+  });
+});
+
+describe('命名空间', () => {
+  it('为事件名称添加前缀，处理函数收到去掉前缀的名称', () => {
+    const bus = createEventBus();
+    const cart = bus.namespace('cart');
+    const direct = vi.fn();
+    const wildcard = vi.fn();
+    const outside = vi.fn();
+    cart.on('add', direct);
+    cart.on('**', wildcard);
+    bus.on('cart.add', outside);
+    
+    cart.emit('add', 'sku-1');
+    bus.emit('cart.items.set', 'sku-2');
+    
+    expect(direct).toHaveBeenCalledWith('sku-1');
+    expect(outside).toHaveBeenCalledWith('sku-1');
+    expect(wildcard.mock.calls).toEqual([
+      ['add', 'add', 'sku-1'],
+      ['items.set', 'items.set', 'sku-2']
+    ]);
+    expect(cart.count('add')).toBe(3);
+    expect(cart.getEventNames()).toEqual(['add', '**']);
+  });
+  
+  it('销毁时移除自身与子命名空间的订阅，销毁后不能再订阅', async () => {
+    const bus = createEventBus();
+    const cart = bus.namespace('cart');
+    const items = cart.namespace('items');
+    bus.on('cart.add', () => {});
+    cart.on('add', () => {});
+    items.on('set', () => {});
+    items.respond('get', () => []);
+    
+    cart.dispose();
+    
+    expect(items.isDisposed()).toBe(true);
+    expect(bus.count('cart.add')).toBe(1);
+    expect(bus.has('cart.items.set')).toBe(false);
+    await expect(bus.request('cart.items.get')).rejects.toMatchObject({ code: 'NO_RESPONDER' });
+    expect(() => cart.on('add', () => {})).toThrow('命名空间 "cart" 已销毁');
+  });
+  
+  it('子命名空间可以单独销毁', () => {
+    const bus = createEventBus();
+    const cart = bus.namespace('cart');
+    const items = cart.namespace('items');
+    const handler = vi.fn();
+    cart.on('add', handler);
+    items.on('set', () => {});
+    
+    items.dispose();
+    cart.emit('add');
+    
+    expect(bus.has('cart.items.set')).toBe(false);
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(cart.isDisposed()).toBe(false);
+  });
+  
+  it('拒绝包含通配符或以分隔符开头结尾的名称', () => {
+    const bus = createEventBus();
+    
+    expect(() => bus.namespace('')).toThrow(TypeError);
+    expect(() => bus.namespace('cart.*')).toThrow('不能包含通配符');
+    expect(() => bus.namespace('.cart')).toThrow('不能包含通配符');
+    expect(() => bus.namespace('cart.')).toThrow('不能包含通配符');
+  });
+  
+  it('使用创建时的分隔符作为前缀', () => {
+    const bus = createEventBus({ delimiter: '/' });
+    const handler = vi.fn();
+    bus.namespace('ui').on('open', handler);
+    
+    bus.emit('ui/open', 1);
+    
+    expect(handler).toHaveBeenCalledWith(1);
+  });
+  
+  it('解构出的 once、onceMany 不依赖 this', async () => {
+    const bus = createEventBus();
+    const { once, onceMany } = bus.namespace('cart');
+    const handler = vi.fn();
+    
+    once('add', handler);
+    onceMany(['add', 'remove'], handler);
+    const pending = once('remove');
+    
+    bus.emit('cart.add', 1);
+    bus.emit('cart.add', 2);
+    bus.emit('cart.remove', 3);
+    
+    expect(handler.mock.calls).toEqual([[1], ['add', 1]]);
+    await expect(pending).resolves.toEqual([3]);
+  });
+});
@@ -0,0 +1,63 @@
+import { describe, it, expect, vi } from 'vitest';
+import { createEventBus } from '../src/core';
+
+describe('处理函数顺序与传播控制', () => {
+  it('grouped 模式下直接订阅在前，通配符按模式首次订阅的顺序逐个执行', () => {
+    const bus = createEventBus();
+    const order = [];
+    
+    bus.on('**', () => order.push('**:90'), 90);
+    bus.on('user.*', () => order.push('user.*:10'), 10);
+    bus.on('user.**', () => order.push('user.**:100'), 100);
+    bus.on('user.login', () => order.push('direct:0'), 0);
+    bus.on('user.*', () => order.push('user.*:60'), 60);
+    
+    bus.emit('user.login');
+    
+    // 不同模式之间不按优先级合并排序
+    expect(order).toEqual(['direct:0', '**:90', 'user.*:60', 'user.*:10', 'user.**:100']);
+    expect(bus.getPriorities('user.login').map(({ priority, pattern }) => `${pattern || 'direct'}:${priority}`))
+      .toEqual(order);
+  });
+  
+  it('stopPropagation 阻止后续处理函数执行，包括通配符处理函数', () => {
+    const bus = createEventBus({ delimiter: ':' });
+    const later = vi.fn();
+    
+    bus.on('route:leave', (to, ctx) => ctx.stopPropagation(), { priority: 100, withContext: true });
+    bus.on('route:leave', later);
+    bus.on('route:*', later);
+    
+    bus.emit('route:leave', '/home');
+    expect(later).not.toHaveBeenCalled();
+  });
+  
+  it('preventDefault 让 emit 返回 true，所有处理函数共享同一个上下文', () => {
+    const bus = createEventBus();
+    const seen = [];
+    
+    bus.on('form.close', (ctx) => {
+      ctx.preventDefault();
+      seen.push(ctx);
+    }, { priority: 100, withContext: true });
+    bus.on('form.*', (event, action, ctx) => seen.push(ctx), { withContext: true });
+    
+    expect(bus.emit('form.close')).toBe(true);
+    expect(bus.emit('form.open')).toBe(false);
+    expect(seen[0]).toBe(seen[1]);
+    expect(seen[1].defaultPrevented).toBe(true);
+    expect(seen[1].event).toBe('form.close');
+  });
+  
+  it('emitAsync 串行模式下 stopPropagation 生效', async () => {
+    const bus = createEventBus();
+    const later = vi.fn();
+    
+    bus.on('save', async (ctx) => ctx.stopPropagation(), { priority: 100, withContext: true });
+    bus.on('save', later);
+    
+    const results = await bus.emitAsync('save');
+    expect(results).toHaveLength(1);
+    expect(later).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,180 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { createEventBus } from '../src/core';
+import { createAdapterAPI } from '../src/adapter';
+
+describe('节流、防抖与批处理', () => {
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+  
+  it('throttle 默认在开始和结束时执行', () => {
+    vi.useFakeTimers();
+    const bus = createEventBus();
+    const handler = vi.fn();
+    bus.on('scroll:y', handler, { throttle: 100 });
+    
+    bus.emit('scroll:y', 1);
+    bus.emit('scroll:y', 2);
+    bus.emit('scroll:y', 3);
+    expect(handler.mock.calls).toEqual([[1]]);
+    
+    vi.advanceTimersByTime(100);
+    expect(handler.mock.calls).toEqual([[1], [3]]);
+    
+    // 结束时的调用开始新的节流窗口
+    bus.emit('scroll:y', 4);
+    vi.advanceTimersByTime(100);
+    expect(handler.mock.calls).toEqual([[1], [3], [4]]);
+  });
+  
+  it('debounce 在停止触发后用最后一次的参数执行', () => {
+    vi.useFakeTimers();
+    const bus = createEventBus();
+    const handler = vi.fn();
+    bus.on('resize', handler, { debounce: 200 });
+    
+    bus.emit('resize', 1);
+    vi.advanceTimersByTime(150);
+    bus.emit('resize', 2);
+    vi.advanceTimersByTime(150);
+    expect(handler).not.toHaveBeenCalled();
+    
+    vi.advanceTimersByTime(50);
+    expect(handler.mock.calls).toEqual([[2]]);
+  });
+  
+  it('debounce 设置 leading 时在开始时执行', () => {
+    vi.useFakeTimers();
+    const bus = createEventBus();
+    const handler = vi.fn();
+    bus.on('resize', handler, { debounce: 200, leading: true, trailing: false });
+    
+    bus.emit('resize', 1);
+    bus.emit('resize', 2);
+    vi.advanceTimersByTime(200);
+    
+    expect(handler.mock.calls).toEqual([[1]]);
+  });
+  
+  it('batch 达到 size 时立即执行，否则在 wait 后执行', () => {
+    vi.useFakeTimers();
+    const bus = createEventBus();
+    const handler = vi.fn();
+    bus.on('log.*', handler, { batch: { size: 2, wait: 1000 } });
+    
+    bus.emit('log.info', 'a');
+    bus.emit('log.error', 'b');
+    expect(handler).toHaveBeenCalledWith([['log.info', 'info', 'a'], ['log.error', 'error', 'b']]);
+    
+    bus.emit('log.info', 'c');
+    vi.advanceTimersByTime(1000);
+    expect(handler).toHaveBeenLastCalledWith([['log.info', 'info', 'c']]);
+    expect(handler).toHaveBeenCalledTimes(2);
+  });
+  
+  it('取消订阅和适配器 cleanup 清除未执行的定时器', () => {
+    vi.useFakeTimers();
+    const bus = createEventBus();
+    const handler = vi.fn();
+    const api = createAdapterAPI(bus);
+    
+    const unsubscribe = bus.on('resize', handler, { debounce: 100 });
+    api.on('scroll', handler, { throttle: 100, leading: false });
+    api.on('log', handler, { batch: { wait: 100 } });
+    
+    bus.emit('resize');
+    bus.emit('scroll');
+    bus.emit('log');
+    unsubscribe();
+    api.cleanup();
+    
+    expect(vi.getTimerCount()).toBe(0);
+    vi.advanceTimersByTime(100);
+    expect(handler).not.toHaveBeenCalled();
+  });
+  
+  it('按原始处理函数取消订阅', () => {
+    vi.useFakeTimers();
+    const bus = createEventBus();
+    const handler = vi.fn();
+    bus.on('resize', handler, { debounce: 100 });
+    
+    bus.emit('resize');
+    bus.off('resize', handler);
+    vi.advanceTimersByTime(100);
+    
+    expect(handler).not.toHaveBeenCalled();
+    expect(bus.has('resize')).toBe(false);
+  });
+  
+  it('延迟执行出错时报告实际触发的事件', () => {
+    vi.useFakeTimers();
+    const bus = createEventBus({ logLevel: 0 });
+    const hook = vi.fn();
+    bus.onError(hook);
+    
+    bus.on('log.*', () => {
+      throw new Error('batch');
+    }, { batch: { wait: 100 } });
+    bus.on('scroll.*', () => {
+      throw new Error('throttle');
+    }, { throttle: 100 });
+    
+    bus.emit('log.info', 'a');
+    bus.emit('log.error', 'b');
+    bus.emit('scroll.x', 1);
+    bus.emit('scroll.y', 2);
+    vi.advanceTimersByTime(100);
+    
+    expect(hook.mock.calls.map(([error, info]) => [error.message, info.event, info.pattern])).toEqual([
+      ['throttle', 'scroll.x', 'scroll.*'],
+      ['batch', 'log.error', 'log.*'],
+      ['throttle', 'scroll.y', 'scroll.*']
+    ]);
+  });
+  
+  it('延迟执行时处理函数收到新的事件上下文', () => {
+    vi.useFakeTimers();
+    const bus = createEventBus();
+    const contexts = [];
+    const emitContexts = [];
+    
+    bus.on('route:leave', (to, ctx) => {
+      contexts.push(ctx);
+      ctx.preventDefault();
+    }, { throttle: 100, withContext: true });
+    bus.on('route:leave', (to, ctx) => emitContexts.push(ctx), { priority: 0, withContext: true });
+    
+    expect(bus.emit('route:leave', '/a')).toBe(true);
+    expect(bus.emit('route:leave', '/b')).toBe(false);
+    vi.advanceTimersByTime(100);
+    
+    expect(contexts).toHaveLength(2);
+    expect(contexts[0]).toBe(emitContexts[0]);
+    // 不复用已经结束的第二次分发的上下文
+    expect(contexts[1]).not.toBe(emitContexts[1]);
+    expect(contexts[1].event).toBe('route:leave');
+    expect(contexts[1].defaultPrevented).toBe(true);
+  });
+  
+  it('batch 设置 withContext 时事件上下文为第二个参数', () => {
+    vi.useFakeTimers();
+    const bus = createEventBus();
+    const handler = vi.fn();
+    bus.on('log', handler, { batch: { wait: 100 }, withContext: true });
+    
+    bus.emit('log', 'a');
+    bus.emit('log', 'b');
+    vi.advanceTimersByTime(100);
+    
+    expect(handler).toHaveBeenCalledWith([['a'], ['b']], expect.objectContaining({ event: 'log' }));
+  });
+  
+  it('无效的限流选项抛出错误', () => {
+    const bus = createEventBus();
+    expect(() => bus.on('a', () => {}, { throttle: 100, debounce: 100 })).toThrow(TypeError);
+    expect(() => bus.on('a', () => {}, { throttle: 0 })).toThrow(TypeError);
+    expect(() => bus.on('a', () => {}, { debounce: 100, leading: false, trailing: false })).toThrow(TypeError);
+    expect(() => bus.on('a', () => {}, { batch: {} })).toThrow(TypeError);
+  });
+});
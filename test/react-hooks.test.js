@@ -0,0 +1,197 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { createElement } from 'react';
+import TestRenderer, { act } from 'react-test-renderer';
+import { createEventBus } from '../src/core';
+import { TrameProvider, useEvent, useEventState, useEmit, useReactEventBus } from '../src/react';
+
+globalThis.IS_REACT_ACT_ENVIRONMENT = true;
+
+const renderWithBus = (bus, element) => {
+  let renderer;
+  act(() => {
+    renderer = TestRenderer.create(createElement(TrameProvider, { bus }, element));
+  });
+  return {
+    update: (next) => act(() => {
+      renderer.update(createElement(TrameProvider, { bus }, next));
+    }),
+    unmount: () => act(() => {
+      renderer.unmount();
+    }),
+    toJSON: () => renderer.toJSON()
+  };
+};
+
+describe('useEvent', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+  
+  it('始终调用最新的处理函数，处理函数变化时不重新订阅', () => {
+    const bus = createEventBus();
+    const subscribed = vi.fn();
+    bus.onSubscribe(subscribed);
+    const calls = [];
+    
+    const Listener = ({ label }) => {
+      useEvent('cart.add', (item) => calls.push(`${label}:${item}`));
+      return null;
+    };
+    
+    const view = renderWithBus(bus, createElement(Listener, { label: 'a' }));
+    view.update(createElement(Listener, { label: 'b' }));
+    bus.emit('cart.add', 'sku-1');
+    
+    expect(calls).toEqual(['b:sku-1']);
+    expect(subscribed).toHaveBeenCalledTimes(1);
+    
+    view.unmount();
+    expect(bus.has('cart.add')).toBe(false);
+  });
+  
+  it('deps 长度变化时不报错，浅比较不同时才重新订阅', () => {
+    const bus = createEventBus();
+    const subscribed = vi.fn();
+    bus.onSubscribe(subscribed);
+    const error = vi.spyOn(console, 'error');
+    
+    const Listener = ({ deps }) => {
+      useEvent('cart.add', () => {}, deps);
+      return null;
+    };
+    
+    const view = renderWithBus(bus, createElement(Listener, { deps: [1] }));
+    view.update(createElement(Listener, { deps: [1] }));
+    expect(subscribed).toHaveBeenCalledTimes(1);
+    
+    view.update(createElement(Listener, { deps: [1, 2] }));
+    view.update(createElement(Listener, { deps: [1, 2] }));
+    view.update(createElement(Listener, { deps: [] }));
+    
+    expect(subscribed).toHaveBeenCalledTimes(3);
+    expect(bus.count('cart.add')).toBe(1);
+    expect(error).not.toHaveBeenCalled();
+    view.unmount();
+  });
+  
+  it('支持通配符和优先级', () => {
+    const bus = createEventBus();
+    const order = [];
+    
+    const Listener = () => {
+      useEvent('cart.*', (event) => order.push(`low:${event}`), { priority: 10 });
+      useEvent('cart.*', (event) => order.push(`high:${event}`), 90);
+      return null;
+    };
+    
+    const view = renderWithBus(bus, createElement(Listener));
+    bus.emit('cart.add');
+    
+    expect(order).toEqual(['high:cart.add', 'low:cart.add']);
+    view.unmount();
+  });
+});
+
+describe('useEventState 与 useEmit', () => {
+  it('useEventState 使用最近一次的事件数据重新渲染，useEmit 的引用保持不变', () => {
+    const bus = createEventBus();
+    const emitters = [];
+    
+    const Counter = () => {
+      const count = useEventState('counter.add', 0, (prev, step) => prev + step);
+      const theme = useEventState('theme.change', 'light');
+      const add = useEmit('counter.add');
+      emitters.push(add);
+      return `${count}:${theme}`;
+    };
+    
+    const view = renderWithBus(bus, createElement(Counter));
+    act(() => {
+      emitters[0](2);
+      bus.emit('counter.add', 3);
+      bus.emit('theme.change', 'dark');
+    });
+    
+    expect(view.toJSON()).toBe('5:dark');
+    expect(new Set(emitters).size).toBe(1);
+    view.unmount();
+  });
+});
+
+describe('useReactEventBus', () => {
+  const renderApi = (bus) => {
+    let api;
+    const Probe = () => {
+      api = useReactEventBus();
+      return null;
+    };
+    const view = renderWithBus(bus, createElement(Probe));
+    return { api, view };
+  };
+  
+  it('once 转发配置选项，signal 中止时取消订阅', () => {
+    const bus = createEventBus();
+    const { api } = renderApi(bus);
+    const handler = vi.fn();
+    const controller = new AbortController();
+    
+    api.once('cart.add', handler, { signal: controller.signal });
+    api.once('cart.add', handler, { filter: (sku) => sku === 'b', priority: 100 });
+    bus.emit('cart.add', 'a');
+    expect(handler).toHaveBeenCalledTimes(1);
+    
+    controller.abort();
+    bus.emit('cart.add', 'b');
+    expect(handler.mock.calls).toEqual([['a'], ['b']]);
+    expect(bus.has('cart.add')).toBe(false);
+  });
+  
+  it('不传处理函数时返回 Promise', async () => {
+    const bus = createEventBus();
+    const { api } = renderApi(bus);
+    
+    const pending = api.once('user.login');
+    const aborted = api.once('user.logout', { signal: AbortSignal.abort() });
+    bus.emit('user.login', { id: 1 });
+    
+    await expect(pending).resolves.toEqual([{ id: 1 }]);
+    await expect(aborted).rejects.toBeDefined();
+  });
+});
+
+describe('useEventSnapshot', () => {
+  afterEach(() => {
+    vi.doUnmock('react');
+    vi.resetModules();
+  });
+  
+  it('React 17 等没有 useSyncExternalStore 的版本使用简化实现', async () => {
+    vi.resetModules();
+    vi.doMock('react', async (importOriginal) => ({ ...(await importOriginal()), useSyncExternalStore: undefined }));
+    
+    const React = await import('react');
+    const { act: mockedAct, default: Renderer } = await import('react-test-renderer');
+    const { createEventBus: create } = await import('../src/core');
+    const { TrameProvider: Provider, useEventSnapshot } = await import('../src/react');
+    expect(React.useSyncExternalStore).toBeUndefined();
+    
+    const bus = create({ snapshotEvents: 'theme.change' });
+    bus.emit('theme.change', 'dark');
+    const Theme = () => useEventSnapshot(snapshot => snapshot['theme.change'] ?? 'light');
+    
+    let renderer;
+    mockedAct(() => {
+      renderer = Renderer.create(React.createElement(Provider, { bus }, React.createElement(Theme)));
+    });
+    expect(renderer.toJSON()).toBe('dark');
+    
+    mockedAct(() => {
+      bus.emit('theme.change', 'blue');
+    });
+    expect(renderer.toJSON()).toBe('blue');
+    
+    mockedAct(() => {
+      renderer.unmount();
+    });
+  });
+});
@@ -0,0 +1,112 @@
+// @vitest-environment jsdom
+import { describe, it, expect, vi } from 'vitest';
+import { createElement, useContext, useEffect, StrictMode } from 'react';
+import { createRoot } from 'react-dom/client';
+import TestRenderer, { act } from 'react-test-renderer';
+import { createEventBus } from '../src/core';
+import { TrameProvider, TrameContext, useReactEventBus } from '../src/react';
+
+globalThis.IS_REACT_ACT_ENVIRONMENT = true;
+
+// 读取提供者传入的事件总线，并直接在上面注册订阅（不经过适配器的自动清理）
+const Capture = ({ onBus }) => {
+  const bus = useContext(TrameContext);
+  useEffect(() => {
+    onBus(bus);
+  }, [bus, onBus]);
+  return null;
+};
+
+describe('TrameProvider scope', () => {
+  it('卸载时销毁命名空间', async () => {
+    const bus = createEventBus();
+    let scoped;
+    const onBus = (value) => {
+      scoped = value;
+      value.on('add', () => {});
+      value.respond('get', () => []);
+    };
+    
+    let renderer;
+    await act(async () => {
+      renderer = TestRenderer.create(
+        createElement(TrameProvider, { bus, scope: 'cart' }, createElement(Capture, { onBus }))
+      );
+    });
+    expect(bus.count('cart.add')).toBe(1);
+    
+    await act(async () => {
+      renderer.unmount();
+    });
+    
+    expect(scoped.isDisposed()).toBe(true);
+    expect(bus.has('cart.add')).toBe(false);
+    await expect(bus.request('cart.get')).rejects.toMatchObject({ code: 'NO_RESPONDER' });
+  });
+  
+  it('scope 变化时销毁旧的命名空间', async () => {
+    const bus = createEventBus();
+    const scopes = [];
+    const onBus = (value) => {
+      scopes.push(value);
+      value.on('add', () => {});
+    };
+    const render = (scope) => createElement(TrameProvider, { bus, scope }, createElement(Capture, { onBus }));
+    
+    let renderer;
+    await act(async () => {
+      renderer = TestRenderer.create(render('cart'));
+    });
+    await act(async () => {
+      renderer.update(render('wishlist'));
+    });
+    
+    expect(scopes.map(scope => scope.name)).toEqual(['cart', 'wishlist']);
+    expect(scopes[0].isDisposed()).toBe(true);
+    expect(scopes[1].isDisposed()).toBe(false);
+    expect(bus.getEventNames()).toEqual(['wishlist.add']);
+    
+    await act(async () => {
+      renderer.unmount();
+    });
+  });
+  
+  it('StrictMode 重复执行副作用后命名空间仍然可用', async () => {
+    const bus = createEventBus();
+    const handler = vi.fn();
+    
+    const Child = () => {
+      const { on } = useReactEventBus();
+      useEffect(() => on('add', handler), [on]);
+      return null;
+    };
+    
+    // react-test-renderer 不会在 StrictMode 下重复执行副作用，这里使用 react-dom
+    const root = createRoot(document.createElement('div'));
+    await act(async () => {
+      root.render(
+        createElement(StrictMode, null,
+          createElement(TrameProvider, { bus, scope: 'cart' }, createElement(Child))
+        )
+      );
+    });
+    
+    bus.emit('cart.add', 1);
+    expect(handler).toHaveBeenCalledWith(1);
+    
+    await act(async () => {
+      root.unmount();
+    });
+    expect(bus.has('cart.add')).toBe(false);
+  });
+});
+
+describe('命名空间配置', () => {
+  it('命名空间不能修改事件总线配置', () => {
+    const bus = createEventBus();
+    const cart = bus.namespace('cart');
+    
+    expect(() => cart.setOptions({ delimiter: ':' })).toThrow('命名空间 "cart" 不能修改事件总线配置');
+    expect(bus.match('a.*', 'a.b')).toEqual(['b']);
+  });
+});
@@ -0,0 +1,101 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { createElement, useEffect } from 'react';
+import TestRenderer, { act } from 'react-test-renderer';
+import { createEventBus } from '../src/core';
+import { useReactEventBus } from '../src/react';
+
+globalThis.IS_REACT_ACT_ENVIRONMENT = true;
+
+describe('request / respond', () => {
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+  });
+  
+  it('以响应者的返回值兑现请求', async () => {
+    const bus = createEventBus();
+    bus.respond('user.fetch', async ({ id }, meta) => ({ id, event: meta.event }));
+    
+    await expect(bus.request('user.fetch', { id: 7 })).resolves.toEqual({ id: 7, event: 'user.fetch' });
+  });
+  
+  it('没有响应者时以 NO_RESPONDER 拒绝', async () => {
+    const bus = createEventBus();
+    
+    await expect(bus.request('missing')).rejects.toMatchObject({ code: 'NO_RESPONDER', event: 'missing' });
+  });
+  
+  it('超时后以 TIMEOUT 拒绝', async () => {
+    vi.useFakeTimers();
+    const bus = createEventBus();
+    bus.respond('slow', () => new Promise(() => {}));
+    
+    const pending = bus.request('slow', null, { timeout: 100 });
+    vi.advanceTimersByTime(100);
+    
+    await expect(pending).rejects.toMatchObject({ code: 'TIMEOUT' });
+    expect(bus.getMetrics().requestTimeoutCount).toBe(1);
+  });
+  
+  it('多个响应者时选择优先级最高的一个，可通过 setPriority 调整', async () => {
+    const bus = createEventBus();
+    const low = () => 'low';
+    bus.respond('pick', low, { priority: 10 });
+    bus.respond('pick', () => 'high', { priority: 90 });
+    
+    await expect(bus.request('pick')).resolves.toBe('high');
+    
+    expect(bus.setPriority('pick', low, 100)).toBe(true);
+    await expect(bus.request('pick')).resolves.toBe('low');
+  });
+  
+  it('相同优先级的响应者无法确定时以 AMBIGUOUS_RESPONDER 拒绝', async () => {
+    const bus = createEventBus();
+    bus.respond('dup', () => 1);
+    bus.respond('dup', () => 2);
+    
+    await expect(bus.request('dup')).rejects.toMatchObject({ code: 'AMBIGUOUS_RESPONDER' });
+  });
+  
+  it('响应者出错时以该错误拒绝', async () => {
+    const bus = createEventBus();
+    const error = new Error('查询失败');
+    bus.respond('fail', () => { throw error; });
+    
+    await expect(bus.request('fail')).rejects.toBe(error);
+  });
+  
+  it('取消注册后不再响应', async () => {
+    const bus = createEventBus();
+    const unrespond = bus.respond('once', () => 1);
+    unrespond();
+    
+    await expect(bus.request('once')).rejects.toMatchObject({ code: 'NO_RESPONDER' });
+  });
+  
+  it('响应者不支持通配符事件', () => {
+    const bus = createEventBus();
+    
+    expect(() => bus.respond('user.*', () => {})).toThrow('响应者不支持通配符事件');
+  });
+  
+  it('useReactEventBus 注册的响应者在组件卸载时移除', async () => {
+    const bus = createEventBus();
+    const Responder = () => {
+      const { respond } = useReactEventBus(bus);
+      useEffect(() => {
+        respond('react.ping', () => 'pong');
+      }, [respond]);
+      return null;
+    };
+    
+    let renderer;
+    act(() => {
+      renderer = TestRenderer.create(createElement(Responder));
+    });
+    await expect(bus.request('react.ping')).resolves.toBe('pong');
+    
+    act(() => renderer.unmount());
+    await expect(bus.request('react.ping')).rejects.toMatchObject({ code: 'NO_RESPONDER' });
+  });
+});
@@ -0,0 +1,69 @@
+import { describe, it, expect, vi } from 'vitest';
+import { createEventBus } from '../src/core';
+
+describe('事件快照', () => {
+  it('默认不记录事件', () => {
+    const bus = createEventBus();
+    const listener = vi.fn();
+    bus.subscribeSnapshot(listener);
+    
+    bus.emit('theme.change', 'dark');
+    
+    expect(bus.getSnapshot()).toEqual({});
+    expect(listener).not.toHaveBeenCalled();
+  });
+  
+  it('只记录 snapshotEvents 选中的事件', () => {
+    const bus = createEventBus({ snapshotEvents: ['theme.change', 'user.*'] });
+    const listener = vi.fn();
+    bus.subscribeSnapshot(listener);
+    
+    bus.emit('theme.change', 'dark');
+    bus.emit('user.login', { id: 1 }, 'extra');
+    bus.emit('user.profile.updated', {});
+    bus.emit('cart.add', 'sku-1');
+    
+    expect(bus.getSnapshot()).toEqual({ 'theme.change': 'dark', 'user.login': { id: 1 } });
+    expect(listener).toHaveBeenCalledTimes(2);
+  });
+  
+  it('数据不变时返回同一个冻结对象', () => {
+    const bus = createEventBus({ snapshotEvents: '**' });
+    bus.emit('theme.change', 'dark');
+    
+    const snapshot = bus.getSnapshot();
+    bus.emit('cart.add');
+    const next = bus.getSnapshot();
+    
+    expect(Object.isFrozen(snapshot)).toBe(true);
+    expect(bus.getSnapshot()).toBe(next);
+    expect(next).not.toBe(snapshot);
+  });
+  
+  it('setOptions 修改选择后只影响之后触发的事件', () => {
+    const bus = createEventBus({ snapshotEvents: 'a' });
+    bus.emit('a', 1);
+    
+    bus.setOptions({ snapshotEvents: 'b' });
+    bus.emit('a', 2);
+    bus.emit('b', 3);
+    
+    expect(bus.getSnapshot()).toEqual({ a: 1, b: 3 });
+  });
+  
+  it('initialSnapshot 作为服务端快照，不受 snapshotEvents 限制', () => {
+    const bus = createEventBus({ initialSnapshot: { 'theme.change': 'dark' } });
+    
+    expect(bus.getServerSnapshot()).toEqual({ 'theme.change': 'dark' });
+    expect(bus.getSnapshot()).toBe(bus.getServerSnapshot());
+  });
+  
+  it('命名空间的快照只包含该命名空间的事件', () => {
+    const bus = createEventBus({ snapshotEvents: '**' });
+    const cart = bus.namespace('cart');
+    bus.emit('cart.count', 2);
+    bus.emit('theme.change', 'dark');
+    
+    expect(cart.getSnapshot()).toEqual({ count: 2 });
+  });
+});
@@ -0,0 +1,51 @@
+import { describe, it, expect, vi } from 'vitest';
+import { createRoot } from 'solid-js';
+import { createEventBus } from '../src/core';
+import { createEventSignal, useSolidEventBus } from '../src/solid';
+
+describe('Solid 适配器', () => {
+  it('useSolidEventBus 在作用域销毁时清理订阅', () => {
+    const bus = createEventBus();
+    const handler = vi.fn();
+    
+    const dispose = createRoot((dispose) => {
+      const api = useSolidEventBus(bus);
+      api.on('cart.add', handler);
+      return dispose;
+    });
+    
+    bus.emit('cart.add', 'sku-1');
+    expect(handler).toHaveBeenCalledWith('sku-1');
+    
+    dispose();
+    expect(bus.has('cart.add')).toBe(false);
+  });
+  
+  it('createEventSignal 保存最近一次事件数据，函数数据不会被当作 setter', () => {
+    const bus = createEventBus();
+    const fn = () => 'called';
+    
+    const { value, dispose } = createRoot((dispose) => ({
+      value: createEventSignal('handler.set', null, { eventBus: bus }),
+      dispose
+    }));
+    
+    expect(value()).toBe(null);
+    bus.emit('handler.set', fn);
+    expect(value()).toBe(fn);
+    
+    dispose();
+    expect(bus.has('handler.set')).toBe(false);
+  });
+  
+  it('不在响应式作用域中调用时提示手动清理', () => {
+    const bus = createEventBus();
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    
+    const value = createEventSignal('theme.change', 'light', { eventBus: bus });
+    
+    expect(warn).toHaveBeenCalledWith(expect.stringContaining('不会被自动清理'));
+    expect(value()).toBe('light');
+    warn.mockRestore();
+  });
+});
@@ -0,0 +1,96 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { createEventBus } from '../src/core';
+import { createRequestScopedBus, serializeBusState, hydrateBus } from '../src/ssr';
+
+describe('服务端渲染状态', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+  
+  it('序列化后在客户端恢复粘性记录和快照', () => {
+    const server = createRequestScopedBus();
+    server.emit('user.login', { id: 1, name: 'ann' });
+    server.emit('theme.change', 'dark');
+    
+    const client = hydrateBus(serializeBusState(server), createEventBus());
+    const handler = vi.fn();
+    client.on('user.login', handler, { replay: true });
+    
+    expect(handler).toHaveBeenCalledWith({ id: 1, name: 'ann' });
+    expect(client.getServerSnapshot()).toEqual({ 'user.login': { id: 1, name: 'ann' }, 'theme.change': 'dark' });
+  });
+  
+  it('转义可以闭合 script 标签的字符', () => {
+    const server = createRequestScopedBus();
+    server.emit('comment.add', '</script><script>alert(1)</script>\u2028');
+    
+    const json = serializeBusState(server);
+    
+    expect(json).not.toContain('</script>');
+    expect(json).not.toContain('\u2028');
+    expect(JSON.parse(json).snapshot['comment.add']).toBe('</script><script>alert(1)</script>\u2028');
+  });
+  
+  it('跳过无法无损序列化的记录并输出警告', () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const circular = { id: 1 };
+    circular.self = circular;
+    
+    const server = createRequestScopedBus();
+    server.emit('count.big', 10n);
+    server.emit('node.circular', circular);
+    server.emit('callback.set', () => {});
+    server.emit('value.clear', undefined);
+    server.emit('date.set', new Date(0));
+    server.emit('user.login', { id: 1, tags: ['a'] });
+    
+    const state = JSON.parse(serializeBusState(server));
+    
+    expect(state.sticky).toEqual([{ event: 'user.login', args: [{ id: 1, tags: ['a'] }] }]);
+    expect(state.snapshot).toEqual({ 'user.login': { id: 1, tags: ['a'] } });
+    expect(warn).toHaveBeenCalledTimes(1);
+    expect(warn.mock.calls[0][0]).toContain('count.big, node.circular, callback.set, value.clear, date.set');
+  });
+  
+  it('共享的对象不会被误判为循环引用', () => {
+    const shared = { id: 1 };
+    const server = createRequestScopedBus();
+    server.emit('pair.set', { a: shared, b: shared });
+    
+    expect(JSON.parse(serializeBusState(server)).snapshot).toEqual({ 'pair.set': { a: { id: 1 }, b: { id: 1 } } });
+  });
+  
+  it('sticky 为 false 时不记录粘性事件和快照', () => {
+    const server = createRequestScopedBus({ sticky: false });
+    server.emit('user.login', { id: 1 });
+    
+    expect(JSON.parse(serializeBusState(server))).toEqual({ sticky: [], snapshot: {} });
+  });
+  
+  it('只序列化选中的事件', () => {
+    const server = createRequestScopedBus({ sticky: 'user.*' });
+    server.emit('user.login', { id: 1 });
+    server.emit('theme.change', 'dark');
+    
+    expect(JSON.parse(serializeBusState(server))).toEqual({
+      sticky: [{ event: 'user.login', args: [{ id: 1 }] }],
+      snapshot: { 'user.login': { id: 1 } }
+    });
+  });
+  
+  it('恢复后快照中的事件继续更新，不需要设置 snapshotEvents', () => {
+    const server = createRequestScopedBus();
+    server.emit('theme.change', 'dark');
+    
+    const client = hydrateBus(serializeBusState(server), createEventBus());
+    const listener = vi.fn();
+    client.subscribeSnapshot(listener);
+    
+    client.emit('theme.change', 'light');
+    client.emit('user.login', { id: 1 });
+    
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(client.getSnapshot()).toEqual({ 'theme.change': 'light' });
+    expect(client.getServerSnapshot()).toEqual({ 'theme.change': 'dark' });
+  });
+});
@@ -0,0 +1,115 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { createEventBus } from '../src/core';
+
+describe('粘性事件', () => {
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+  
+  it('未设置粘性的事件不会记录', () => {
+    const bus = createEventBus();
+    bus.emit('theme.change', 'dark');
+    
+    const handler = vi.fn();
+    bus.on('theme.change', handler, { replay: true });
+    
+    expect(handler).not.toHaveBeenCalled();
+    expect(bus.getSticky('theme.change')).toEqual([]);
+  });
+  
+  it('replay 订阅者立即收到最近一次的事件参数', () => {
+    const bus = createEventBus();
+    bus.setSticky('auth.login');
+    bus.emit('auth.login', { id: 1 });
+    bus.emit('auth.login', { id: 2 });
+    
+    const handler = vi.fn();
+    bus.on('auth.login', handler, { replay: true });
+    
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(handler).toHaveBeenCalledWith({ id: 2 });
+  });
+  
+  it('未设置 replay 的订阅者不会收到回放', () => {
+    const bus = createEventBus();
+    bus.setSticky('auth.login');
+    bus.emit('auth.login', { id: 1 });
+    
+    const handler = vi.fn();
+    bus.on('auth.login', handler);
+    
+    expect(handler).not.toHaveBeenCalled();
+  });
+  
+  it('保留最近 size 条记录并按触发顺序回放', () => {
+    const bus = createEventBus();
+    bus.setSticky('log', { size: 2 });
+    bus.emit('log', 1);
+    bus.emit('log', 2);
+    bus.emit('log', 3);
+    
+    const handler = vi.fn();
+    bus.on('log', handler, { replay: true });
+    
+    expect(handler.mock.calls).toEqual([[2], [3]]);
+    expect(bus.getSticky('log')).toEqual([[2], [3]]);
+  });
+  
+  it('通配符订阅按触发时间回放所有匹配事件的记录', () => {
+    const bus = createEventBus();
+    bus.setSticky('settings.*');
+    bus.emit('settings.theme', 'dark');
+    bus.emit('settings.lang', 'zh');
+    
+    const handler = vi.fn();
+    bus.on('settings.*', handler, { replay: true });
+    
+    expect(handler.mock.calls).toEqual([
+      ['settings.theme', 'theme', 'dark'],
+      ['settings.lang', 'lang', 'zh']
+    ]);
+  });
+  
+  it('记录超过 ttl 后不再回放', () => {
+    vi.useFakeTimers();
+    const bus = createEventBus();
+    bus.setSticky('toast', { ttl: 1000 });
+    bus.emit('toast', 'saved');
+    
+    vi.advanceTimersByTime(1001);
+    
+    const handler = vi.fn();
+    bus.on('toast', handler, { replay: true });
+    
+    expect(handler).not.toHaveBeenCalled();
+    expect(bus.getSticky('toast')).toEqual([]);
+  });
+  
+  it('clearSticky 清除记录但保留配置', () => {
+    const bus = createEventBus();
+    bus.setSticky('user.*');
+    bus.emit('user.login', 1);
+    bus.emit('user.logout', 2);
+    
+    bus.clearSticky('user.login');
+    expect(bus.getSticky('user.login')).toEqual([]);
+    expect(bus.getSticky('user.logout')).toEqual([[2]]);
+    
+    bus.clearSticky('user.*');
+    expect(bus.getSticky('user.logout')).toEqual([]);
+    
+    bus.emit('user.login', 3);
+    expect(bus.getSticky('user.login')).toEqual([[3]]);
+  });
+  
+  it('setSticky(event, false) 取消粘性并清除记录', () => {
+    const bus = createEventBus();
+    bus.setSticky('theme.change');
+    bus.emit('theme.change', 'dark');
+    
+    bus.setSticky('theme.change', false);
+    bus.emit('theme.change', 'light');
+    
+    expect(bus.getSticky('theme.change')).toEqual([]);
+  });
+});
@@ -0,0 +1,151 @@
+import { describe, it, expect, vi } from 'vitest';
+import { from, Subject } from 'rxjs';
+import { filter, map, take } from 'rxjs/operators';
+import { createEventBus } from '../src/core';
+
+describe('Observable 与异步迭代器', () => {
+  it('toObservable 可以传给 RxJS from()，取消订阅时按ID移除处理函数', () => {
+    const bus = createEventBus();
+    const values = [];
+    
+    const subscription = from(bus.toObservable('cart.add'))
+      .pipe(filter(item => item.qty > 1), map(item => item.sku))
+      .subscribe(value => values.push(value));
+    
+    bus.emit('cart.add', { sku: 'a', qty: 1 });
+    bus.emit('cart.add', { sku: 'b', qty: 2 });
+    expect(values).toEqual(['b']);
+    expect(bus.count('cart.add')).toBe(1);
+    
+    subscription.unsubscribe();
+    expect(bus.count('cart.add')).toBe(0);
+  });
+  
+  it('通配符 Observable 推送事件数据，take 完成后自动取消订阅', () => {
+    const bus = createEventBus();
+    const values = [];
+    
+    from(bus.toObservable('user.*')).pipe(take(2)).subscribe(value => values.push(value));
+    bus.emit('user.login', 1);
+    bus.emit('user.logout', 2);
+    bus.emit('user.login', 3);
+    
+    expect(values).toEqual([1, 2]);
+    expect(bus.count('user.*')).toBe(0);
+  });
+  
+  it('select 出错时按 Observable 约定结束订阅', () => {
+    const bus = createEventBus();
+    const error = vi.fn();
+    
+    bus.toObservable('a', { select: () => { throw new Error('bad'); } })
+      .subscribe({ next: () => {}, error });
+    bus.emit('a');
+    
+    expect(error).toHaveBeenCalledWith(expect.objectContaining({ message: 'bad' }));
+    expect(bus.count('a')).toBe(0);
+  });
+  
+  it('stream 用于 for await，缓冲消费不及时的事件', async () => {
+    const bus = createEventBus();
+    const iterator = bus.stream('log.*');
+    
+    bus.emit('log.info', 'a');
+    bus.emit('log.warn', 'b');
+    
+    const values = [];
+    for await (const value of iterator) {
+      values.push(value);
+      if (values.length === 2) {
+        setTimeout(() => bus.emit('log.error', 'c'));
+      }
+      if (values.length === 3) break;
+    }
+    
+    expect(values).toEqual(['a', 'b', 'c']);
+    expect(bus.count('log.*')).toBe(0);
+  });
+  
+  it('AbortSignal 中止后结束迭代并取消订阅', async () => {
+    const bus = createEventBus();
+    const controller = new AbortController();
+    const iterator = bus.stream('tick', { signal: controller.signal });
+    
+    const pending = iterator.next();
+    controller.abort();
+    
+    await expect(pending).resolves.toEqual({ value: undefined, done: true });
+    expect(bus.count('tick')).toBe(0);
+  });
+  
+  it('缓冲区溢出策略', async () => {
+    const bus = createEventBus({ logLevel: 0 });
+    
+    const oldest = bus.stream('n', { bufferSize: 2 });
+    const newest = bus.stream('n', { bufferSize: 2, overflow: 'drop-newest' });
+    const strict = bus.stream('n', { bufferSize: 2, overflow: 'throw' });
+    [1, 2, 3].forEach(n => bus.emit('n', n));
+    
+    expect((await oldest.next()).value).toBe(2);
+    expect((await newest.next()).value).toBe(1);
+    
+    await strict.next();
+    await strict.next();
+    await expect(strict.next()).rejects.toThrow(/缓冲区已满/);
+    expect(() => bus.stream('n', { overflow: 'block' })).toThrow(TypeError);
+  });
+  
+  it('消费者等待时 select 出错，for await 以该错误结束', async () => {
+    const bus = createEventBus();
+    const iterator = bus.stream('price', {
+      select: (value) => {
+        if (value < 0) throw new Error('invalid price');
+        return value;
+      }
+    });
+    
+    const consume = (async () => {
+      const values = [];
+      for await (const value of iterator) {
+        values.push(value);
+      }
+      return values;
+    })();
+    
+    bus.emit('price', 1);
+    await Promise.resolve();
+    bus.emit('price', -1);
+    
+    await expect(consume).rejects.toThrow('invalid price');
+    expect(bus.count('price')).toBe(0);
+  });
+  
+  it('fromObservable 将外部值作为事件数据触发事件', () => {
+    const bus = createEventBus();
+    const source = new Subject();
+    const handler = vi.fn();
+    bus.on('price.update', handler);
+    
+    const unsubscribe = bus.fromObservable(source, 'price.update');
+    source.next(10);
+    unsubscribe();
+    source.next(20);
+    
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(handler).toHaveBeenCalledWith(10);
+    expect(() => bus.fromObservable({}, 'price.update')).toThrow(TypeError);
+  });
+  
+  it('命名空间销毁时结束迭代', async () => {
+    const bus = createEventBus();
+    const cart = bus.namespace('cart');
+    const iterator = cart.stream('add');
+    
+    bus.emit('cart.add', 'sku-1');
+    expect(await iterator.next()).toEqual({ value: 'sku-1', done: false });
+    
+    cart.dispose();
+    expect(await iterator.next()).toEqual({ value: undefined, done: true });
+    expect(bus.count('cart.add')).toBe(0);
+  });
+});
@@ -0,0 +1,47 @@
+import { describe, it, expect, vi } from 'vitest';
+import { get } from 'svelte/store';
+import { createEventBus } from '../src/core';
+import { eventStore, useSvelteEventBus } from '../src/svelte';
+
+describe('Svelte 适配器', () => {
+  it('eventStore 有订阅者时才订阅事件', () => {
+    const bus = createEventBus();
+    const store = eventStore('theme.change', 'light', { eventBus: bus });
+    
+    expect(bus.has('theme.change')).toBe(false);
+    
+    const values = [];
+    const unsubscribe = store.subscribe((value) => values.push(value));
+    bus.emit('theme.change', 'dark');
+    
+    expect(values).toEqual(['light', 'dark']);
+    expect(get(store)).toBe('dark');
+    
+    unsubscribe();
+    expect(bus.has('theme.change')).toBe(false);
+  });
+  
+  it('eventStore 支持 replay 粘性事件', () => {
+    const bus = createEventBus();
+    bus.setSticky('user.login');
+    bus.emit('user.login', { id: 1 });
+    
+    const store = eventStore('user.login', null, { eventBus: bus, replay: true });
+    expect(get(store)).toEqual({ id: 1 });
+  });
+  
+  it('在组件初始化之外调用 useSvelteEventBus 时提示手动清理', () => {
+    const bus = createEventBus();
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    
+    const api = useSvelteEventBus(bus);
+    api.on('cart.add', () => {});
+    
+    expect(warn).toHaveBeenCalledWith(expect.stringContaining('cleanup()'));
+    expect(bus.count('cart.add')).toBe(1);
+    
+    api.cleanup();
+    expect(bus.count('cart.add')).toBe(0);
+    warn.mockRestore();
+  });
+});
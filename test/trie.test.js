@@ -0,0 +1,115 @@
+import { describe, it, expect, vi } from 'vitest';
+import { createWildcardTrie } from '../src/trie';
+import { createEventBus } from '../src/core';
+
+describe('通配符前缀树', () => {
+  it('按添加顺序返回匹配的值，** 多次到达同一模式时去重', () => {
+    const trie = createWildcardTrie();
+    trie.insert('a.**', 'globstar');
+    trie.insert('a.*.c', 'single');
+    trie.insert('a.b-*.c', 'partial');
+    trie.insert('a.**.c', 'middle');
+    
+    expect(trie.match('a.b-1.c')).toEqual(['globstar', 'single', 'partial', 'middle']);
+    expect(trie.match('a.x.y.c')).toEqual(['globstar', 'middle']);
+    expect(trie.match('b.x')).toEqual([]);
+  });
+  
+  it('移除模式后清理空节点', () => {
+    const trie = createWildcardTrie();
+    trie.insert('a.*.c', 1);
+    const nodes = trie.nodeCount();
+    trie.insert('a.b.**', 2);
+    
+    expect(trie.remove('a.b.**')).toBe(true);
+    expect(trie.remove('a.b.**')).toBe(false);
+    expect(trie.nodeCount()).toBe(nodes);
+    expect(trie.size()).toBe(1);
+  });
+  
+  it('修改分隔符后重建', () => {
+    const trie = createWildcardTrie();
+    trie.insert('a:*', 1);
+    
+    expect(trie.match('a:b.c')).toEqual([]);
+    trie.setDelimiter(':');
+    expect(trie.match('a:b.c')).toEqual([1]);
+  });
+  
+  it('默认不缓存匹配结果', () => {
+    const trie = createWildcardTrie();
+    trie.insert('a.*', 1);
+    trie.match('a.b');
+    
+    expect(trie.cacheStats()).toEqual({ size: 0, hits: 0, misses: 0 });
+  });
+  
+  it('缓存重复查找的结果，模式变化时清空', () => {
+    const trie = createWildcardTrie({ cacheSize: 10 });
+    trie.insert('a.*', 1);
+    
+    const first = trie.match('a.b');
+    expect(trie.match('a.b')).toBe(first);
+    expect(trie.cacheStats()).toEqual({ size: 1, hits: 1, misses: 1 });
+    
+    trie.insert('a.**', 2);
+    expect(trie.match('a.b')).toEqual([1, 2]);
+    
+    trie.remove('a.*');
+    expect(trie.match('a.b')).toEqual([2]);
+    
+    trie.setDelimiter(':');
+    expect(trie.match('a.b')).toEqual([]);
+  });
+  
+  it('超出容量时淘汰最久未使用的条目', () => {
+    const trie = createWildcardTrie({ cacheSize: 2 });
+    trie.insert('*', 1);
+    trie.match('a');
+    trie.match('b');
+    trie.match('a');
+    trie.match('c');
+    trie.resetCacheStats();
+    
+    trie.match('a');
+    trie.match('b');
+    
+    expect(trie.cacheStats()).toEqual({ size: 2, hits: 1, misses: 1 });
+  });
+});
+
+describe('事件总线的通配符匹配缓存', () => {
+  it('统计命中与未命中，resetMetrics 时重置', () => {
+    const bus = createEventBus();
+    bus.on('user.*', () => {});
+    
+    bus.emit('user.login');
+    bus.emit('user.login');
+    bus.emit('user.logout');
+    
+    const metrics = bus.getMetrics();
+    expect(metrics.cacheHitCount).toBe(1);
+    expect(metrics.cacheMissCount).toBe(2);
+    expect(metrics.cacheHitRate).toBeCloseTo(1 / 3);
+    expect(metrics.matchCacheSize).toBe(2);
+    
+    bus.resetMetrics();
+    expect(bus.getMetrics().cacheHitCount).toBe(0);
+    expect(bus.getMetrics().cacheMissCount).toBe(0);
+  });
+  
+  it('订阅和取消订阅后不会使用过期的匹配结果', () => {
+    const bus = createEventBus();
+    const first = vi.fn();
+    const second = vi.fn();
+    const off = bus.on('user.*', first);
+    bus.emit('user.login');
+    
+    bus.on('user.**', second);
+    off();
+    bus.emit('user.login');
+    
+    expect(first).toHaveBeenCalledTimes(1);
+    expect(second).toHaveBeenCalledTimes(1);
+  });
+});
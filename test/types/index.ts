@@ -0,0 +1,244 @@
+// 类型测试：npm run typecheck 编译本文件，@ts-expect-error 标记的误用必须无法通过编译
+import { createEventBus, eventBus, useReactEventBus, WildcardCaptures } from '../../types/index';
+import { useVueEventBus } from '../../types/vue';
+import { TrameService } from '../../types/angular';
+
+interface AppEvents {
+  'user.login': [user: { id: string }];
+  'user.logout': [];
+  'cart.add': [itemId: string, qty: number];
+}
+
+interface AppRequests {
+  'user.fetch': { payload: { id: string }; response: { name: string } };
+}
+
+const bus = createEventBus<AppEvents, AppRequests>();
+
+// ---- 事件映射 ----
+{
+  bus.on('user.login', (user) => {
+    const id: string = user.id;
+    void id;
+  });
+  bus.once('cart.add', (itemId, qty) => {
+    const total: number = qty * 2;
+    void itemId;
+    void total;
+  });
+  bus.emit('cart.add', 'sku-1', 1);
+  bus.emit('user.logout');
+  
+  // @ts-expect-error 未知事件
+  bus.emit('user.unknown');
+  // @ts-expect-error 参数类型错误
+  bus.emit('cart.add', 'sku-1', '1');
+  // @ts-expect-error 缺少参数
+  bus.emit('cart.add');
+  // @ts-expect-error 处理函数参数类型错误
+  bus.on('user.login', (user: number) => {});
+  // @ts-expect-error 未知事件
+  bus.on('user.unknown', () => {});
+}
+
+// ---- 通配符：事件名、捕获的段和参数 ----
+{
+  bus.on('user.*', (event, segment, ...args) => {
+    const name: 'user.login' | 'user.logout' = event;
+    const captured: string = segment;
+    void name;
+    void captured;
+    void args;
+  });
+  bus.on('user.*', (...args) => {
+    if (args[0] === 'user.login') {
+      const id: string = args[2].id;
+      void id;
+    }
+  });
+  
+  // @ts-expect-error 捕获的段是字符串
+  bus.on('cart.*', (event, segment: number) => {});
+}
+
+// ---- 多事件订阅 ----
+{
+  bus.onMany(['user.login', 'cart.add'], (...args) => {
+    if (args[0] === 'cart.add') {
+      const qty: number = args[2];
+      void qty;
+    }
+  });
+  bus.onMany(['user.login'], (user) => user.id, { includeEventName: false });
+  
+  // @ts-expect-error 未知事件
+  bus.onMany(['user.login', 'nope'], (...args) => {});
+}
+
+// ---- 请求/响应 ----
+{
+  bus.request('user.fetch', { id: '1' }).then(response => {
+    const name: string = response.name;
+    void name;
+  });
+  bus.respond('user.fetch', async ({ id }) => ({ name: id }));
+  
+  // @ts-expect-error 未知请求
+  bus.request('user.unknown');
+  // @ts-expect-error 请求数据类型错误
+  bus.request('user.fetch', { id: 1 });
+  // @ts-expect-error 响应类型错误
+  bus.respond('user.fetch', () => 42);
+}
+
+// ---- 事件契约 ----
+{
+  bus.defineEvent('cart.add', { validate: (itemId, qty) => qty > 0 });
+  bus.defineEvent('user.login', { validate: { type: 'object', required: ['id'] }, policy: 'warn' });
+  const hasValidator: boolean = bus.debug.inspectEvent().definedEvents[0].hasValidator;
+  void hasValidator;
+  
+  // @ts-expect-error 无效的校验策略
+  bus.defineEvent('user.login', { validate: {}, policy: 'nope' });
+  // @ts-expect-error 校验函数参数类型错误
+  bus.defineEvent('cart.add', { validate: (itemId: number) => itemId > 0 });
+  // @ts-expect-error 未知事件
+  bus.defineEvent('user.unknown', { validate: () => true });
+}
+
+// ---- 命名空间与多段通配符 ----
+{
+  interface NamespacedEvents {
+    'cart.add': [itemId: string, qty: number];
+    'cart.items.set': [itemId: string];
+    'user.login': [name: string];
+  }
+  
+  const nsBus = createEventBus<NamespacedEvents>();
+  const cart = nsBus.namespace('cart');
+  cart.emit('add', 'sku-1', 1);
+  cart.on('**', (event, rest, ...args) => {
+    const path: string = rest;
+    void event;
+    void path;
+    void args;
+  });
+  
+  const items = cart.namespace('items');
+  items.on('set', (itemId) => {
+    const id: string = itemId;
+    void id;
+  });
+  items.dispose();
+  
+  const captures: WildcardCaptures<'a.**.*'> = ['b.c', 'd'];
+  void captures;
+  
+  // @ts-expect-error 命名空间外的事件
+  cart.emit('login', 'ann');
+  // @ts-expect-error 参数类型错误
+  items.emit('set', 1);
+  // @ts-expect-error 命名空间不能修改事件总线配置
+  cart.setOptions({ delimiter: ':' });
+  
+  // 未声明事件映射时不做限制
+  createEventBus().namespace('any').emit('anything', 1, 2);
+}
+
+// ---- 事件快照 ----
+{
+  const snapshotBus = createEventBus<AppEvents>({ snapshotEvents: ['user.login', 'cart.*'] });
+  snapshotBus.setOptions({ snapshotEvents: '**' });
+  const snapshot: Readonly<Record<string, unknown>> = snapshotBus.getSnapshot();
+  void snapshot;
+  
+  // @ts-expect-error 只接受事件名称或名称数组
+  createEventBus({ snapshotEvents: true });
+}
+
+// ---- Observable ----
+{
+  const ids = bus.toObservable('user.login', { select: (user) => user.id });
+  ids.subscribe((id) => id.toUpperCase());
+}
+
+// ---- AbortSignal 与 Promise 形式的 once ----
+{
+  bus.on('user.login', (user) => user.id, { signal: new AbortController().signal });
+  
+  const login: Promise<[user: { id: string }]> = bus.once('user.login', { timeout: 1000 });
+  void login;
+}
+
+// ---- 错误处理 ----
+{
+  bus.onError((error, info) => {
+    const handlerId: number = info.handlerId;
+    void error;
+    void handlerId;
+  });
+  
+  // @ts-expect-error 无效的错误处理策略
+  bus.on('cart.add', () => {}, { errorPolicy: 'ignore' });
+}
+
+// ---- 事件上下文 ----
+{
+  bus.on('cart.add', (itemId, qty, ctx) => {
+    if (qty > 10) ctx.preventDefault();
+    void itemId;
+  }, { withContext: true, priority: 100 });
+  const prevented: boolean = bus.emit('cart.add', 'sku-1', 1);
+  void prevented;
+}
+
+// ---- 节流、防抖与批处理 ----
+{
+  bus.on('cart.add', (batch) => {
+    const qty: number = batch[0][1];
+    void qty;
+  }, { batch: { size: 10, wait: 100 } });
+  bus.on('cart.add', (batch, ctx) => {
+    void batch;
+    ctx.stopPropagation();
+  }, { batch: { wait: 100 }, withContext: true });
+  bus.on('user.login', (user) => user.id, { throttle: 100 });
+}
+
+// ---- 过滤与参数转换 ----
+{
+  bus.on('cart.add', (sku: string) => sku, {
+    filter: (itemId, qty) => qty > 0,
+    map: (itemId) => [itemId] as [string]
+  });
+  
+  // @ts-expect-error filter 的参数与处理函数相同
+  bus.on('cart.add', () => {}, { filter: (itemId: number) => itemId > 0 });
+}
+
+// ---- 框架适配器 ----
+{
+  const react = useReactEventBus<AppEvents>();
+  react.emit('user.logout');
+  // @ts-expect-error 参数类型错误
+  react.emit('cart.add', 1, 1);
+  
+  const service = new TrameService();
+  service.emit('anything', 1);
+  service.cleanup();
+  
+  const vue = useVueEventBus(bus);
+  vue.on('cart.add', (itemId, qty) => qty.toFixed());
+  // @ts-expect-error 未知事件
+  vue.emit('user.unknown');
+}
+
+// ---- 未声明事件映射时不做限制 ----
+{
+  eventBus.emit('anything', 1, 2);
+  eventBus.on('x.*', (event, segment, ...args) => {
+    void event;
+    void segment;
+    void args;
+  });
+}
@@ -0,0 +1,123 @@
+import { describe, it, expect, vi } from 'vitest';
+import { createEventBus } from '../src/core';
+
+describe('事件契约', () => {
+  it('校验函数返回 false 时默认抛出 INVALID_PAYLOAD 错误', () => {
+    const bus = createEventBus();
+    const handler = vi.fn();
+    bus.defineEvent('cart.add', { validate: (id, qty) => qty > 0 });
+    bus.on('cart.add', handler);
+    
+    bus.emit('cart.add', 'sku-1', 2);
+    expect(handler).toHaveBeenCalledWith('sku-1', 2);
+    
+    let caught;
+    try {
+      bus.emit('cart.add', 'sku-1', 0);
+    } catch (error) {
+      caught = error;
+    }
+    
+    expect(caught.code).toBe('INVALID_PAYLOAD');
+    expect(caught.event).toBe('cart.add');
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(bus.getMetrics().validationFailureCount).toBe(1);
+  });
+  
+  it('校验函数返回字符串或抛错时作为错误信息', () => {
+    const bus = createEventBus();
+    bus.defineEvent('a', { validate: () => '数量必须为正数' });
+    bus.defineEvent('b', { validate: () => { throw new Error('无法解析'); } });
+    
+    expect(() => bus.emit('a')).toThrow('数量必须为正数');
+    expect(() => bus.emit('b')).toThrow('无法解析');
+  });
+  
+  it('JSON Schema 校验第一个参数并汇总所有错误', () => {
+    const bus = createEventBus();
+    bus.defineEvent('user.login', {
+      validate: {
+        type: 'object',
+        required: ['id', 'name'],
+        additionalProperties: false,
+        properties: {
+          id: { type: 'integer', minimum: 1 },
+          name: { type: 'string', minLength: 2, pattern: '^[a-z]+$' },
+          roles: { type: 'array', maxItems: 2, items: { enum: ['admin', 'user'] } }
+        }
+      }
+    });
+    
+    expect(bus.emit('user.login', { id: 1, name: 'ann', roles: ['admin'] })).toBe(false);
+    
+    let caught;
+    try {
+      bus.emit('user.login', { id: 0, name: 'A', roles: ['root'], extra: true });
+    } catch (error) {
+      caught = error;
+    }
+    
+    expect(caught.errors).toEqual([
+      'payload.id 不能小于 1',
+      'payload.name 的长度不能小于 2',
+      'payload.name 不匹配格式 ^[a-z]+$',
+      'payload.roles[0] 必须是以下值之一: "admin", "user"',
+      'payload.extra 不是允许的属性'
+    ]);
+    expect(() => bus.emit('user.login', { name: 'ann' })).toThrow('payload.id 为必填项');
+    expect(() => bus.emit('user.login', 'ann')).toThrow('payload 的类型应为 object，实际为 string');
+  });
+  
+  it('warn 策略记录警告后继续分发', () => {
+    const entries = [];
+    const bus = createEventBus({ logLevel: 2, logHandler: entry => entries.push(entry) });
+    const handler = vi.fn();
+    bus.defineEvent('cart.add', { validate: (id, qty) => qty > 0, policy: 'warn' });
+    bus.on('cart.add', handler);
+    
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    bus.emit('cart.add', 'sku-1', 0);
+    warn.mockRestore();
+    
+    expect(handler).toHaveBeenCalledWith('sku-1', 0);
+    expect(entries.some(entry => entry.level === 'WARN' && entry.message.includes('cart.add'))).toBe(true);
+  });
+  
+  it('drop 策略丢弃事件且不抛错', () => {
+    const bus = createEventBus({ validationPolicy: 'drop' });
+    const handler = vi.fn();
+    bus.defineEvent('cart.add', { validate: (id, qty) => qty > 0 });
+    bus.on('cart.add', handler);
+    
+    expect(bus.emit('cart.add', 'sku-1', 0)).toBe(false);
+    expect(handler).not.toHaveBeenCalled();
+  });
+  
+  it('调用返回的函数移除定义', () => {
+    const bus = createEventBus();
+    const remove = bus.defineEvent('cart.add', { validate: () => false });
+    
+    expect(() => bus.emit('cart.add')).toThrow();
+    remove();
+    expect(() => bus.emit('cart.add')).not.toThrow();
+  });
+  
+  it('拒绝通配符、无效的校验规则与策略', () => {
+    const bus = createEventBus();
+    
+    expect(() => bus.defineEvent('user.*', { validate: () => true })).toThrow('通配符');
+    expect(() => bus.defineEvent('user.login', {})).toThrow(TypeError);
+    expect(() => bus.defineEvent('user.login', { validate: () => true, policy: 'nope' })).toThrow('无效的校验策略');
+  });
+  
+  it('inspectEvent 列出已定义的事件', () => {
+    const bus = createEventBus();
+    bus.defineEvent('cart.add', { validate: () => true, description: '加入购物车' });
+    bus.defineEvent('user.login', { validate: { type: 'object' }, policy: 'warn' });
+    
+    expect(bus.debug.inspectEvent().definedEvents).toEqual([
+      { name: 'cart.add', description: '加入购物车', policy: 'throw', schema: null, hasValidator: true },
+      { name: 'user.login', description: '', policy: 'warn', schema: { type: 'object' }, hasValidator: false }
+    ]);
+  });
+});
@@ -0,0 +1,39 @@
+import { describe, it, expect, vi } from 'vitest';
+import { createSSRApp, defineComponent, h } from 'vue';
+import { renderToString } from 'vue/server-renderer';
+import { eventBus } from '../src/core';
+import { createRequestScopedBus } from '../src/ssr';
+import { createVuePlugin } from '../src/vue';
+
+const Widget = defineComponent({
+  events: { 'cart.add': 'onAdd' },
+  methods: { onAdd() {} },
+  render: () => h('div', 'cart')
+});
+
+const render = (bus) => {
+  const app = createSSRApp(Widget);
+  app.use(createVuePlugin(bus ? { eventBus: bus } : {}));
+  return renderToString(app);
+};
+
+describe('Vue 服务端渲染', () => {
+  it('events 选项不会在全局事件总线上累积订阅', async () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    
+    for (let i = 0; i < 3; i++) {
+      expect(await render()).toBe('<div>cart</div>');
+    }
+    
+    expect(eventBus.count('cart.add')).toBe(0);
+    warn.mockRestore();
+  });
+  
+  it('请求级事件总线上仍然按 events 选项订阅', async () => {
+    const bus = createRequestScopedBus();
+    await render(bus);
+    
+    expect(bus.count('cart.add')).toBe(1);
+    expect(eventBus.count('cart.add')).toBe(0);
+  });
+});
@@ -0,0 +1,87 @@
+// @vitest-environment jsdom
+import { describe, it, expect, vi } from 'vitest';
+import { createApp, defineComponent, effectScope, h, nextTick, isRef } from 'vue';
+import { createEventBus } from '../src/core';
+import { useVueEventBus, useEventRef, useEventComputed, watchEvent, createVuePlugin } from '../src/vue';
+
+const mount = (component, bus) => {
+  const app = createApp(component);
+  app.use(createVuePlugin({ eventBus: bus }));
+  app.mount(document.createElement('div'));
+  return app;
+};
+
+describe('Vue 组合函数', () => {
+  it('useEventRef 返回响应式 ref，作用域停止时取消订阅', () => {
+    const bus = createEventBus();
+    const scope = effectScope();
+    const theme = scope.run(() => useEventRef('theme.change', 'light', { eventBus: bus }));
+    const label = scope.run(() => useEventComputed('theme.change', value => `theme:${value}`, 'light', { eventBus: bus }));
+    
+    expect(isRef(theme)).toBe(true);
+    expect(label.value).toBe('theme:light');
+    
+    bus.emit('theme.change', 'dark');
+    expect(theme.value).toBe('dark');
+    expect(label.value).toBe('theme:dark');
+    
+    scope.stop();
+    expect(bus.has('theme.change')).toBe(false);
+  });
+  
+  it('watchEvent 的 immediate 回放粘性事件', () => {
+    const bus = createEventBus();
+    bus.setSticky('user.login');
+    bus.emit('user.login', { id: 1 });
+    const callback = vi.fn();
+    
+    const scope = effectScope();
+    scope.run(() => watchEvent('user.login', callback, { immediate: true, eventBus: bus }));
+    
+    expect(callback).toHaveBeenCalledWith({ id: 1 });
+    scope.stop();
+  });
+  
+  it('组件中通过插件注入事件总线，卸载时清理订阅', async () => {
+    const bus = createEventBus();
+    let count;
+    
+    const Counter = defineComponent({
+      setup() {
+        const { on } = useVueEventBus();
+        count = useEventRef('counter.set', 0);
+        on('counter.reset', () => {
+          count.value = 0;
+        });
+        return () => h('span', count.value);
+      }
+    });
+    
+    const app = mount(Counter, bus);
+    bus.emit('counter.set', 3);
+    await nextTick();
+    expect(count.value).toBe(3);
+    expect(bus.getEventNames().sort()).toEqual(['counter.reset', 'counter.set']);
+    
+    app.unmount();
+    expect(bus.getEventNames()).toEqual([]);
+  });
+  
+  it('events 选项按组件订阅，卸载时取消订阅', () => {
+    const bus = createEventBus();
+    const handler = vi.fn();
+    
+    const Widget = defineComponent({
+      events: { 'cart.*': 'onCart' },
+      methods: { onCart: handler },
+      render: () => h('div')
+    });
+    
+    const app = mount(Widget, bus);
+    bus.emit('cart.add', 'sku-1');
+    expect(handler).toHaveBeenCalledWith('cart.add', 'add', 'sku-1');
+    
+    app.unmount();
+    expect(bus.has('cart.*')).toBe(false);
+  });
+});
@@ -0,0 +1,31 @@
+import type * as i0 from '@angular/core';
+import type {
+  AdapterEventBus, DefaultEvents, DefaultRequests, EventBus, EventMap, NamespacedEventBus, RequestMap
+} from './index';
+
+/** Angular 适配器 */
+export interface AngularEventBus<E extends EventMap<E> = DefaultEvents, R extends RequestMap<R> = DefaultRequests>
+  extends AdapterEventBus<E, R> {
+  /** 手动清理所有订阅 */
+  cleanup(): void;
+}
+
+/** 事件总线注入令牌（InjectionToken），默认为全局事件总线 */
+export const TRAME_EVENT_BUS: any;
+
+/** 为应用或组件提供事件总线 */
+export function provideTrame(bus: EventBus<any, any> | NamespacedEventBus<any, any>): Array<{ provide: any; useValue: unknown }>;
+
+/** 在注入上下文中调用，DestroyRef 销毁时自动清理订阅 */
+export function injectEventBus<E extends EventMap<E> = DefaultEvents, R extends RequestMap<R> = DefaultRequests>(
+  customEventBus?: EventBus<E, R> | NamespacedEventBus<E, R>
+): AngularEventBus<E, R>;
+
+/** 可注入的事件总线服务，需要在组件的 providers 中声明，订阅随组件销毁清理 */
+export interface TrameService extends AngularEventBus {}
+export class TrameService {
+  constructor();
+  // AOT 编译时据此识别可注入的类
+  static ɵfac: i0.ɵɵFactoryDeclaration<TrameService, never>;
+  static ɵprov: i0.ɵɵInjectableDeclaration<TrameService>;
+}
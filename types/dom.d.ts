@@ -0,0 +1,3 @@
+export {
+  connectElement, ConnectElementOptions, ElementMapRule, TrameElement, TrameElementMixin, TrameElementStatics
+} from './index';
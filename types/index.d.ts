@@ -0,0 +1,820 @@
+// Trame.js 类型声明
+
+/**
+ * 事件映射：事件名称 -> 参数元组
+ * @example
+ * interface AppEvents {
+ *   'user.login': [user: { id: string; name: string }];
+ *   'cart.add': [itemId: string, quantity: number];
+ * }
+ */
+export type EventMap<T = any> = { [K in keyof T]: unknown[] };
+
+/**
+ * 请求映射：事件名称 -> { payload, response }
+ */
+export type RequestMap<T = any> = { [K in keyof T]: { payload: unknown; response: unknown } };
+
+/** 未指定事件映射时使用的宽松类型 */
+export type DefaultEvents = Record<string, any[]>;
+
+/** 未指定请求映射时使用的宽松类型 */
+export type DefaultRequests = Record<string, { payload: any; response: any }>;
+
+/** 包含通配符的事件模式 */
+export type WildcardPattern = `${string}*${string}`;
+
+/** 事件映射中的事件名称 */
+export type EventName<E> = keyof E & string;
+
+/** 可订阅的事件名称或通配符模式 */
+export type EventPattern<E> = EventName<E> | WildcardPattern;
+
+/** 将通配符模式转换为模板字面量类型 */
+type PatternToTemplate<P extends string> =
+  P extends `${infer Head}*${infer Tail}` ? `${Head}${string}${PatternToTemplate<Tail>}` : P;
+
+/** 通配符捕获的参数（** 只捕获一个参数） */
+export type WildcardCaptures<P extends string> =
+  P extends `${string}*${infer Tail}`
+    ? Tail extends `*${infer Rest}` ? [string, ...WildcardCaptures<Rest>] : [string, ...WildcardCaptures<Tail>]
+    : [];
+
+/** 与通配符模式匹配的事件名称 */
+export type MatchingEvents<E, P extends string> = Extract<EventName<E>, PatternToTemplate<P>>;
+
+/** 通配符处理函数的参数：事件名称、捕获的参数、事件参数 */
+export type WildcardArgs<E, P extends string> =
+  [MatchingEvents<E, P>] extends [never]
+    ? [event: string, ...rest: any[]]
+    : { [K in MatchingEvents<E, P>]: [event: K, ...rest: [...WildcardCaptures<P>, ...Extract<E[K], unknown[]>]] }[MatchingEvents<E, P>];
+
+/** 处理函数参数：普通事件为事件参数，通配符模式为 WildcardArgs */
+export type HandlerArgs<E, P extends string> =
+  P extends EventName<E> ? Extract<E[P], unknown[]> : WildcardArgs<E, P>;
+
+/** 事件处理函数 */
+export type EventHandler<E, P extends string> = (...args: HandlerArgs<E, P>) => unknown;
+
+/** 多事件订阅处理函数的参数（包含事件名称） */
+export type ManyArgs<E, P extends string> = { [K in P]: [event: K, ...args: HandlerArgs<E, K>] }[P];
+
+/** 事件快照：事件名称 -> 最近一次的事件数据（第一个参数） */
+export type EventSnapshot<E> = Readonly<{ [K in EventName<E>]?: Extract<E[K], unknown[]>[0] }>;
+
+/** 取消订阅函数 */
+export type Unsubscribe = () => void;
+
+/** 日志级别 */
+export type LogLevel = 'NONE' | 'ERROR' | 'WARN' | 'INFO' | 'DEBUG' | 'TRACE';
+
+/** 日志条目 */
+export interface LogEntry {
+  level: LogLevel;
+  message: string;
+  timestamp: number | null;
+  data: unknown;
+}
+
+/** 事件总线配置选项 */
+export interface EventBusOptions {
+  enableDebug?: boolean;
+  maxWildcardsPerPattern?: number;
+  unifyParams?: boolean;
+  defaultPriority?: number;
+  asyncMode?: 'sequential' | 'parallel';
+  /** 处理函数执行顺序：直接订阅在前、通配符按模式逐个执行 | 统一按优先级排列 */
+  handlerOrder?: 'grouped' | 'merged';
+  requestTimeout?: number;
+  validationPolicy?: ValidationPolicy;
+  /** 事件名称的层级分隔符，默认为 "." */
+  delimiter?: string;
+  /** 记录到事件快照的事件名称或通配符模式，默认不记录 */
+  snapshotEvents?: string | string[];
+  /** 初始快照（事件名称 -> 事件数据），通常为服务端渲染时的快照 */
+  initialSnapshot?: Record<string, unknown>;
+  /** 是否为服务端的请求级事件总线，为 true 时 getServerSnapshot 返回实时快照 */
+  ssr?: boolean;
+  logLevel?: LogLevel | number;
+  logNamespace?: string;
+  logTimestamps?: boolean;
+  logEventData?: boolean;
+  maxLogEntries?: number;
+  logHandler?: (entry: LogEntry) => void;
+  visualizer?: (entry: unknown, monitorData: MonitorData) => void;
+}
+
+/** 处理函数出错时的策略：继续执行其他处理函数 | 停止分发并由 emit 抛出 | 停止分发 */
+export type ErrorPolicy = 'swallow' | 'rethrow' | 'stop-propagation';
+
+/** 错误钩子收到的处理函数信息 */
+export interface HandlerErrorInfo {
+  event: string;
+  handlerId: number;
+  priority: number;
+  /** 通配符模式，直接订阅时为 null */
+  pattern: string | null;
+}
+
+/** 事件上下文，一次分发中的所有处理函数共享 */
+export interface EventContext {
+  readonly event: string;
+  readonly defaultPrevented: boolean;
+  readonly propagationStopped: boolean;
+  /** 标记默认行为已被阻止，emit 返回 true */
+  preventDefault(): void;
+  /** 不再执行后续处理函数 */
+  stopPropagation(): void;
+}
+
+/** 带事件上下文的处理函数，事件上下文为最后一个参数 */
+export type ContextEventHandler<E, P extends string> = (...args: [...HandlerArgs<E, P>, EventContext]) => unknown;
+
+/** 批处理选项，达到 size 条或第一条之后 wait 毫秒时执行 */
+export interface BatchOptions {
+  size?: number;
+  wait?: number;
+}
+
+/** 节流、防抖和批处理选项，三者只能选择一个 */
+export interface RateLimitOptions {
+  /** 节流间隔（毫秒） */
+  throttle?: number;
+  /** 防抖等待时间（毫秒） */
+  debounce?: number;
+  /** 是否在开始时执行，节流默认为 true，防抖默认为 false */
+  leading?: boolean;
+  /** 是否在结束时用最后一次的参数执行，默认为 true */
+  trailing?: boolean;
+  /** 批处理，处理函数收到参数数组的数组 */
+  batch?: BatchOptions;
+}
+
+/** 过滤和参数转换选项，参数与处理函数相同（通配符订阅时包含事件名和捕获的参数） */
+export interface SelectOptions<A extends unknown[] = any[]> {
+  /** 返回假值时跳过本次分发 */
+  filter?: (...args: A) => unknown;
+  /** 返回新的参数数组，非数组时作为唯一参数 */
+  map?: (...args: A) => unknown;
+}
+
+/** 订阅选项 */
+export interface SubscribeOptions<A extends unknown[] = any[]> extends RateLimitOptions, SelectOptions<A> {
+  /** 处理函数优先级(0-100，默认50) */
+  priority?: number;
+  /** 是否立即回放已记录的粘性事件 */
+  replay?: boolean;
+  /** 中止信号，中止时自动取消订阅 */
+  signal?: AbortSignal;
+  /** 处理函数出错时的策略，默认 'swallow' */
+  errorPolicy?: ErrorPolicy;
+  /** 是否在最后一个参数传入事件上下文 */
+  withContext?: boolean;
+}
+
+/** Promise 形式 once 的选项 */
+export interface OnceOptions<A extends unknown[] = any[]> extends SubscribeOptions<A> {
+  /** 超时时间（毫秒），超时以 TIMEOUT 错误拒绝 */
+  timeout?: number;
+}
+
+/** 多事件订阅选项 */
+export interface ManyOptions extends SelectOptions {
+  once?: boolean;
+  includeEventName?: boolean;
+  replay?: boolean;
+  /** 中止信号，中止时取消所有订阅 */
+  signal?: AbortSignal;
+  errorPolicy?: ErrorPolicy;
+  withContext?: boolean;
+}
+
+/** emitAsync 中单个处理函数的执行结果 */
+export interface AsyncHandlerResult {
+  id: number;
+  priority: number;
+  pattern: string | null;
+  status: 'fulfilled' | 'rejected';
+  value: unknown;
+  error: unknown;
+}
+
+/** 请求选项 */
+export interface RequestOptions {
+  /** 超时时间（毫秒），0表示不超时 */
+  timeout?: number;
+}
+
+/** 请求错误 */
+export interface RequestError extends Error {
+  code: 'NO_RESPONDER' | 'AMBIGUOUS_RESPONDER' | 'CANCELLED' | 'TIMEOUT';
+  event: string;
+}
+
+/** 响应者额外信息 */
+export interface RespondMeta<K extends string = string> {
+  event: K;
+  requestId: number;
+}
+
+/** 校验失败时的处理策略 */
+export type ValidationPolicy = 'throw' | 'warn' | 'drop';
+
+/** 事件定义支持的 JSON Schema 子集 */
+export interface EventSchema {
+  type?: SchemaType | SchemaType[];
+  enum?: unknown[];
+  const?: unknown;
+  properties?: Record<string, EventSchema>;
+  required?: string[];
+  additionalProperties?: boolean;
+  items?: EventSchema;
+  minimum?: number;
+  maximum?: number;
+  minLength?: number;
+  maxLength?: number;
+  pattern?: string;
+  minItems?: number;
+  maxItems?: number;
+}
+
+export type SchemaType = 'string' | 'number' | 'integer' | 'boolean' | 'object' | 'array' | 'null';
+
+/** 事件定义 */
+export interface EventDefinition<Args extends unknown[] = any[]> {
+  /** 校验函数（返回 false 或错误信息表示失败）或校验第一个参数的 JSON Schema */
+  validate: ((...args: Args) => boolean | string | void) | EventSchema;
+  policy?: ValidationPolicy;
+  description?: string;
+}
+
+/** 事件定义描述（debug.inspectEvent 返回） */
+export interface EventDefinitionInfo {
+  name: string;
+  description: string;
+  policy: ValidationPolicy;
+  schema: EventSchema | null;
+  hasValidator: boolean;
+}
+
+/** 参数校验错误 */
+export interface ValidationError extends Error {
+  code: 'INVALID_PAYLOAD';
+  event: string;
+  errors: string[];
+}
+
+/** 粘性事件选项 */
+export interface StickyOptions {
+  /** 保留最近的记录条数 */
+  size?: number;
+  /** 记录有效期（毫秒），0表示永不过期 */
+  ttl?: number;
+}
+
+declare global {
+  interface SymbolConstructor {
+    readonly observable: symbol;
+  }
+}
+
+/** Observable 观察者 */
+export interface EventObserver<T> {
+  next?(value: T): void;
+  error?(error: unknown): void;
+  complete?(): void;
+}
+
+/** Observable 订阅 */
+export interface EventSubscription {
+  readonly closed: boolean;
+  unsubscribe(): void;
+}
+
+/** 兼容 Symbol.observable 的事件 Observable */
+export interface EventObservable<T> {
+  subscribe(observer?: EventObserver<T>): EventSubscription;
+  subscribe(next: (value: T) => void, error?: (error: unknown) => void, complete?: () => void): EventSubscription;
+  [Symbol.observable](): EventObservable<T>;
+}
+
+/** toObservable 选项 */
+export interface ObservableOptions<T = any> {
+  priority?: number;
+  /** 是否立即回放已记录的粘性事件 */
+  replay?: boolean;
+  /** 从处理函数参数计算推送值，默认为事件数据 */
+  select?: (...args: any[]) => T;
+}
+
+/** 事件流缓冲区溢出策略 */
+export type StreamOverflow = 'drop-oldest' | 'drop-newest' | 'throw';
+
+/** stream 选项 */
+export interface StreamOptions<T = any> extends ObservableOptions<T> {
+  /** 中止后结束迭代并丢弃缓冲的事件 */
+  signal?: AbortSignal;
+  /** 缓冲区大小，默认1000 */
+  bufferSize?: number;
+  /** 缓冲区满时的处理策略，默认 'drop-oldest' */
+  overflow?: StreamOverflow;
+}
+
+/** 兼容 Symbol.observable 的外部数据源 */
+export type ObservableLike<T> =
+  | { subscribe(observer: EventObserver<T>): { unsubscribe(): void } | (() => void) }
+  | { [Symbol.observable](): { subscribe(observer: EventObserver<T>): { unsubscribe(): void } | (() => void) } };
+
+/** 中间件上下文 */
+export interface MiddlewareContext<E = DefaultEvents> {
+  type: 'emit' | 'emitAsync' | 'request';
+  event: EventName<E>;
+  args: unknown[];
+  meta: Record<string, any>;
+  cancelled: boolean;
+  results: AsyncHandlerResult[] | undefined;
+  /** 分发后是否有处理函数调用了 preventDefault() */
+  defaultPrevented: boolean;
+  startTime: number;
+  cancel(): void;
+}
+
+/** 中间件 */
+export type Middleware<E = DefaultEvents> = (ctx: MiddlewareContext<E>, next: () => unknown) => unknown;
+
+/** 订阅拦截器接收的订阅信息 */
+export interface SubscriptionInfo {
+  event: string;
+  handler: (...args: any[]) => unknown;
+  priority: number;
+  options: Record<string, any>;
+}
+
+/** 优先级信息 */
+export interface PriorityInfo {
+  id: number;
+  priority: number;
+  /** 通配符模式，直接订阅时为 null */
+  pattern: string | null;
+}
+
+/** 监控期间单个处理函数的调用次数 */
+export interface HandlerCount {
+  /** 订阅的事件名称或通配符模式 */
+  event: string;
+  invoked: number;
+  filtered: number;
+}
+
+/** 监控数据 */
+export interface MonitorData {
+  eventCounts: Record<string, number>;
+  /** 处理函数ID -> 调用次数，被 filter 过滤的分发单独计数 */
+  handlerCounts: Record<string, HandlerCount>;
+  timeline: Array<Record<string, unknown>>;
+}
+
+/** 性能指标 */
+export interface Metrics {
+  emitCount: number;
+  wildcardMatchCount: number;
+  /** 通配符前缀树的查找次数 */
+  wildcardLookupCount: number;
+  requestCount: number;
+  requestTimeoutCount: number;
+  validationFailureCount: number;
+  /** 处理函数出错次数 */
+  handlerErrorCount: number;
+  /** 通配符匹配缓存的命中次数 */
+  cacheHitCount: number;
+  /** 通配符匹配缓存的未命中次数 */
+  cacheMissCount: number;
+  cacheHitRate: number;
+  /** 通配符匹配缓存的条目数 */
+  matchCacheSize: number;
+  regexCacheSize: number;
+  /** 通配符前缀树的节点数量 */
+  trieNodeCount: number;
+  eventCount: number;
+  wildcardEventCount: number;
+  logEntries: number;
+  debugState: {
+    isMonitoring: boolean;
+    breakpointCount: number;
+    monitoredEventCount: number;
+    timelineEntries: number;
+  };
+}
+
+/** 调试器API */
+export interface DebugAPI {
+  getLogs(options?: { level?: LogLevel; limit?: number }): LogEntry[];
+  clearLogs(): void;
+  startMonitoring(options?: { resetData?: boolean }): void;
+  stopMonitoring(): MonitorData;
+  setBreakpoint(
+    event: string,
+    options?: {
+      condition?: (event: string, ...args: any[]) => boolean;
+      callback?: (event: string, args: unknown[]) => void;
+    }
+  ): boolean;
+  removeBreakpoint(event?: string): boolean;
+  getBreakpoints(): string[];
+  inspectEvent(): {
+    regularEvents: string[];
+    wildcardEvents: string[];
+    eventCount: number;
+    wildcardEventCount: number;
+    definedEvents: EventDefinitionInfo[];
+  };
+  inspectEvent(event: string): {
+    event: string;
+    exists: boolean;
+    isWildcard: boolean;
+    subscriberCount: number;
+    definition: EventDefinitionInfo | null;
+    matchingWildcards?: number;
+  };
+}
+
+/** 事件总线 */
+export interface EventBus<E extends EventMap<E> = DefaultEvents, R extends RequestMap<R> = DefaultRequests> {
+  /** 批处理时处理函数收到参数数组的数组，设置 withContext 时事件上下文为第二个参数 */
+  on<P extends EventPattern<E>>(event: P, handler: (batch: Array<HandlerArgs<E, P>>, context: EventContext) => unknown, options: SubscribeOptions & { batch: BatchOptions; withContext: true }): Unsubscribe;
+  on<P extends EventPattern<E>>(event: P, handler: (batch: Array<HandlerArgs<E, P>>) => unknown, options: SubscribeOptions & { batch: BatchOptions }): Unsubscribe;
+  on<P extends EventPattern<E>>(event: P, handler: ContextEventHandler<E, P>, options: SubscribeOptions<HandlerArgs<E, P>> & { withContext: true }): Unsubscribe;
+  /** 设置 map 时处理函数收到转换后的参数 */
+  on<P extends EventPattern<E>, A extends unknown[]>(event: P, handler: (...args: A) => unknown, options: Omit<SubscribeOptions<HandlerArgs<E, P>>, 'map'> & { map: (...args: HandlerArgs<E, P>) => A }): Unsubscribe;
+  on<P extends EventPattern<E>>(event: P, handler: EventHandler<E, P>, options?: SubscribeOptions<HandlerArgs<E, P>> | number): Unsubscribe;
+  once<P extends EventPattern<E>>(event: P, handler: ContextEventHandler<E, P>, options: SubscribeOptions<HandlerArgs<E, P>> & { withContext: true }): Unsubscribe;
+  once<P extends EventPattern<E>, A extends unknown[]>(event: P, handler: (...args: A) => unknown, options: Omit<SubscribeOptions<HandlerArgs<E, P>>, 'map'> & { map: (...args: HandlerArgs<E, P>) => A }): Unsubscribe;
+  once<P extends EventPattern<E>>(event: P, handler: EventHandler<E, P>, options?: SubscribeOptions<HandlerArgs<E, P>> | number): Unsubscribe;
+  /** 不提供处理函数时返回 Promise，以事件参数数组（设置 map 时为转换后的参数）兑现 */
+  once<P extends EventPattern<E>, A extends unknown[]>(event: P, options: Omit<OnceOptions<HandlerArgs<E, P>>, 'map'> & { map: (...args: HandlerArgs<E, P>) => A }): Promise<A>;
+  once<P extends EventPattern<E>>(event: P, options?: OnceOptions<HandlerArgs<E, P>>): Promise<HandlerArgs<E, P>>;
+  off<P extends EventPattern<E>>(event: P, handler?: EventHandler<E, P> | number): void;
+  /** 返回是否有处理函数调用了 preventDefault() */
+  emit<K extends EventName<E>>(event: K, ...args: Extract<E[K], unknown[]>): boolean;
+  /** 携带元数据触发事件，meta 在中间件执行前写入 ctx.meta */
+  emitWithMeta<K extends EventName<E>>(meta: Record<string, any> | undefined, event: K, ...args: Extract<E[K], unknown[]>): boolean;
+  emitAsync<K extends EventName<E>>(event: K, ...args: Extract<E[K], unknown[]>): Promise<AsyncHandlerResult[]>;
+
+  onMany<P extends EventPattern<E>>(
+    events: readonly P[],
+    handler: (...args: ManyArgs<E, P>) => unknown,
+    options?: ManyOptions & { includeEventName?: true }
+  ): Unsubscribe;
+  onMany<P extends EventPattern<E>>(
+    events: readonly P[],
+    handler: (...args: HandlerArgs<E, P>) => unknown,
+    options: ManyOptions & { includeEventName: false }
+  ): Unsubscribe;
+  onceMany<P extends EventPattern<E>>(
+    events: readonly P[],
+    handler: (...args: ManyArgs<E, P>) => unknown,
+    options?: Omit<ManyOptions, 'once'> & { includeEventName?: true }
+  ): Unsubscribe;
+  onceMany<P extends EventPattern<E>>(
+    events: readonly P[],
+    handler: (...args: HandlerArgs<E, P>) => unknown,
+    options: Omit<ManyOptions, 'once'> & { includeEventName: false }
+  ): Unsubscribe;
+
+  request<K extends EventName<R>>(event: K, payload?: R[K]['payload'], options?: RequestOptions): Promise<R[K]['response']>;
+  respond<K extends EventName<R>>(
+    event: K,
+    handler: (payload: R[K]['payload'], meta: RespondMeta<K>) => R[K]['response'] | Promise<R[K]['response']>,
+    options?: { priority?: number } | number
+  ): Unsubscribe;
+
+  defineEvent<K extends EventName<E>>(name: K, definition: EventDefinition<Extract<E[K], unknown[]>>): Unsubscribe;
+
+  setSticky(event: EventPattern<E>, options?: StickyOptions | false): boolean;
+  clearSticky(event?: EventPattern<E>): void;
+  getSticky<K extends EventName<E>>(event: K): Array<Extract<E[K], unknown[]>>;
+
+  /** 将事件转换为 Observable，默认推送事件数据 */
+  toObservable<P extends EventPattern<E>>(event: P, options?: ObservableOptions<PayloadOf<E, P>>): EventObservable<PayloadOf<E, P>>;
+  toObservable<P extends EventPattern<E>, T>(event: P, options: ObservableOptions<T> & { select: (...args: HandlerArgs<E, P>) => T }): EventObservable<T>;
+  /** 将事件转换为异步迭代器，用于 for await...of */
+  stream<P extends EventPattern<E>>(event: P, options?: StreamOptions<PayloadOf<E, P>>): AsyncIterableIterator<PayloadOf<E, P>>;
+  stream<P extends EventPattern<E>, T>(event: P, options: StreamOptions<T> & { select: (...args: HandlerArgs<E, P>) => T }): AsyncIterableIterator<T>;
+  /** 将外部 Observable 的每个值作为事件数据触发事件 */
+  fromObservable<K extends EventName<E>>(source: ObservableLike<Extract<E[K], unknown[]>[0]>, event: K): Unsubscribe;
+
+  /** 事件快照：事件名称 -> 最近一次的事件数据（第一个参数） */
+  getSnapshot(): EventSnapshot<E>;
+  /** 服务端快照：initialSnapshot 或 hydrate 注入的状态，ssr 选项为 true 时为实时快照 */
+  getServerSnapshot(): EventSnapshot<E>;
+  /** 订阅快照变化，snapshotEvents 选择的事件（以及来自服务端快照的事件）触发后调用 */
+  subscribeSnapshot(listener: () => void): Unsubscribe;
+
+  /** 导出可序列化的状态（粘性记录和事件快照） */
+  dehydrate(): BusState;
+  /** 恢复 dehydrate 导出的状态，不会触发事件处理函数；快照中的事件之后触发时继续更新快照 */
+  hydrate(state: BusState): void;
+
+  use(middleware: Middleware<E>, options?: { name?: string }): Unsubscribe;
+  unuse(middleware: string | Middleware<E>): boolean;
+  getMiddlewares(): string[];
+  onSubscribe(interceptor: (subscription: SubscriptionInfo) => void | boolean): Unsubscribe;
+  onUnsubscribe(interceptor: (info: { event: string; handler?: ((...args: any[]) => unknown) | number }) => void): Unsubscribe;
+  /** 注册处理函数错误钩子，注册后不再输出到控制台 */
+  onError(hook: (error: unknown, info: HandlerErrorInfo) => void): Unsubscribe;
+
+  match(pattern: string, event: string): string[] | null;
+  /** 创建命名空间（类型推导假设分隔符为 "."） */
+  namespace<NS extends string>(name: NS): NamespacedEventBus<ScopedEventMap<E, `${NS}.`>, ScopedRequestMap<R, `${NS}.`>>;
+  clear(): void;
+  getEventNames(): string[];
+  count(event: string): number;
+  has(event: string): boolean;
+  getMetrics(): Metrics;
+  resetMetrics(): void;
+  setOptions(options: EventBusOptions): void;
+  setPriority(event: string, handler: ((...args: any[]) => unknown) | number, priority: number): boolean;
+  getPriorities(event: string): PriorityInfo[] | null;
+  debug: DebugAPI;
+}
+
+/** 去掉前缀后的映射 */
+type ScopedMap<T, Prefix extends string> = {
+  [K in keyof T as K extends `${Prefix}${infer Rest}` ? Rest : string extends K ? K : never]: T[K];
+};
+
+/** 去掉前缀后的事件映射，用于命名空间 */
+export type ScopedEventMap<T, Prefix extends string> = Extract<ScopedMap<T, Prefix>, EventMap<ScopedMap<T, Prefix>>>;
+
+/** 去掉前缀后的请求映射，用于命名空间 */
+export type ScopedRequestMap<T, Prefix extends string> = Extract<ScopedMap<T, Prefix>, RequestMap<ScopedMap<T, Prefix>>>;
+
+/** 命名空间事件总线，事件名称自动添加命名空间前缀 */
+export interface NamespacedEventBus<E extends EventMap<E> = DefaultEvents, R extends RequestMap<R> = DefaultRequests>
+  extends Pick<
+    EventBus<E, R>,
+    | 'on' | 'once' | 'off' | 'emit' | 'emitWithMeta' | 'emitAsync' | 'request' | 'respond' | 'onMany' | 'onceMany'
+    | 'toObservable' | 'stream' | 'fromObservable'
+    | 'defineEvent' | 'setSticky' | 'clearSticky' | 'getSticky' | 'has' | 'count' | 'getEventNames'
+    | 'setPriority' | 'getPriorities' | 'getSnapshot' | 'getServerSnapshot' | 'subscribeSnapshot'
+    | 'use' | 'unuse' | 'getMiddlewares' | 'onSubscribe' | 'onUnsubscribe' | 'onError' | 'match'
+    | 'getMetrics' | 'resetMetrics' | 'debug'
+  > {
+  /** 命名空间完整前缀 */
+  readonly name: string;
+  /** 创建子命名空间 */
+  namespace<NS extends string>(name: NS): NamespacedEventBus<ScopedEventMap<E, `${NS}.`>, ScopedRequestMap<R, `${NS}.`>>;
+  /** 移除命名空间内所有事件的订阅 */
+  clear(): void;
+  /** 销毁命名空间及其子命名空间创建的所有订阅 */
+  dispose(): void;
+  isDisposed(): boolean;
+}
+
+/** 框架适配器返回的事件总线方法 */
+export type AdapterEventBus<E extends EventMap<E> = DefaultEvents, R extends RequestMap<R> = DefaultRequests> = Pick<
+  EventBus<E, R>,
+  | 'on' | 'once' | 'off' | 'emit' | 'emitAsync' | 'request' | 'respond'
+  | 'onMany' | 'onceMany' | 'setPriority' | 'getPriorities' | 'getMetrics' | 'resetMetrics'
+  | 'setOptions' | 'has' | 'count' | 'setSticky' | 'clearSticky' | 'getSticky' | 'getEventNames' | 'namespace' | 'debug'
+>;
+
+/** React 适配器 */
+export interface ReactEventBus<E extends EventMap<E> = DefaultEvents, R extends RequestMap<R> = DefaultRequests>
+  extends AdapterEventBus<E, R> {
+  /** 当前组件订阅的事件数量 */
+  countSubscriptions(): number;
+}
+
+/** 跨标签页传输选项 */
+export interface BroadcastTransportOptions {
+  channel?: string;
+  events: string[] | string;
+  bus?: EventBus<any, any>;
+  transport?: 'auto' | 'broadcast' | 'storage';
+  channelFactory?: (name: string) => {
+    postMessage(message: unknown): void;
+    close?(): void;
+    addEventListener?(type: 'message', listener: (event: { data: unknown }) => void): void;
+    onmessage?: ((event: { data: unknown }) => void) | null;
+  };
+  storage?: Pick<Storage, 'setItem' | 'removeItem'>;
+  storageTarget?: {
+    addEventListener(type: 'storage', listener: (event: { key: string | null; newValue: string | null }) => void): void;
+    removeEventListener(type: 'storage', listener: (event: { key: string | null; newValue: string | null }) => void): void;
+  };
+  tabId?: string;
+}
+
+/** 跨标签页传输 */
+export interface BroadcastTransport {
+  readonly tabId: string;
+  readonly channel: string;
+  readonly mode: 'broadcast' | 'storage' | 'none';
+  close(): void;
+  isClosed(): boolean;
+}
+
+/** postMessage 桥接选项 */
+export interface PostMessageBridgeOptions {
+  target: { postMessage(message: unknown, ...rest: any[]): void };
+  targetOrigin?: string;
+  allowedOrigins?: string[];
+  allow?: string[];
+  deny?: string[];
+  channel?: string;
+  listenTo?: {
+    addEventListener(type: 'message', listener: (event: any) => void): void;
+    removeEventListener(type: 'message', listener: (event: any) => void): void;
+  };
+}
+
+/** postMessage 桥接 */
+export interface PostMessageBridge {
+  readonly bridgeId: string;
+  readonly channel: string;
+  readonly ready: Promise<void>;
+  isConnected(): boolean;
+  close(): void;
+}
+
+/** 组件 events 选项的处理函数：方法名、函数或 { handler, priority, replay } */
+export type EventsOptionHandler =
+  | string
+  | ((...args: any[]) => unknown)
+  | { handler: string | ((...args: any[]) => unknown); priority?: number; replay?: boolean };
+
+/** 组件 events 选项（createVuePlugin 注册），随组件生命周期自动订阅和取消订阅 */
+export type EventsOption = Record<string, EventsOptionHandler | EventsOptionHandler[]>;
+
+export function createEventBus<E extends EventMap<E> = DefaultEvents, R extends RequestMap<R> = DefaultRequests>(
+  options?: EventBusOptions
+): EventBus<E, R>;
+
+export const eventBus: EventBus;
+
+export function useReactEventBus<E extends EventMap<E> = DefaultEvents, R extends RequestMap<R> = DefaultRequests>(
+  customEventBus?: EventBus<E, R> | NamespacedEventBus<E, R>
+): ReactEventBus<E, R>;
+
+/** useEvent 配置选项 */
+export interface UseEventOptions extends RateLimitOptions, SelectOptions {
+  /** 处理函数优先级(0-100，默认50) */
+  priority?: number;
+  /** 是否立即回放已记录的粘性事件 */
+  replay?: boolean;
+  /** 变化时重新订阅的依赖 */
+  deps?: readonly unknown[];
+}
+
+/** 事件数据类型（第一个事件参数），通配符模式为 any */
+export type PayloadOf<E, P extends string> = P extends EventName<E> ? Extract<E[P], unknown[]>[0] : any;
+
+/** 声明式订阅事件，处理函数始终使用最新的闭包 */
+export function useEvent<E extends EventMap<E> = DefaultEvents, P extends EventPattern<E> = EventPattern<E>>(
+  event: P,
+  handler: EventHandler<E, P>,
+  options?: readonly unknown[] | UseEventOptions | number
+): void;
+
+/** 将最近一次事件数据作为组件状态 */
+export function useEventState<E extends EventMap<E> = DefaultEvents, P extends EventPattern<E> = EventPattern<E>>(
+  event: P,
+  initialState: PayloadOf<E, P>
+): PayloadOf<E, P>;
+export function useEventState<S, E extends EventMap<E> = DefaultEvents, P extends EventPattern<E> = EventPattern<E>>(
+  event: P,
+  initialState: S,
+  reducer: (prevState: S, ...args: HandlerArgs<E, P>) => S,
+  options?: Omit<UseEventOptions, 'deps'> | number
+): S;
+
+/** 从事件快照中选择数据，基于 useSyncExternalStore */
+export function useEventSnapshot<E extends EventMap<E> = DefaultEvents, T = EventSnapshot<E>>(
+  selector?: (snapshot: EventSnapshot<E>) => T,
+  customEventBus?: EventBus<E, any> | NamespacedEventBus<E, any>
+): T;
+
+/** 返回触发指定事件的函数 */
+export function useEmit<E extends EventMap<E> = DefaultEvents, K extends EventName<E> = EventName<E>>(
+  event: K
+): (...args: Extract<E[K], unknown[]>) => boolean;
+
+/** TrameProvider 属性 */
+export interface TrameProviderProps {
+  /** 使用指定的事件总线 */
+  bus?: EventBus<any, any> | NamespacedEventBus<any, any>;
+  /** 命名空间名称，子组件的事件名称会自动加上该前缀 */
+  scope?: string;
+  /** 创建独立的事件总线，传入对象时作为配置选项（仅在首次渲染时读取） */
+  fork?: boolean | EventBusOptions;
+  children?: any;
+}
+
+/** 事件总线提供者，子组件中的 useReactEventBus 会使用最近的提供者 */
+export function TrameProvider(props: TrameProviderProps): any;
+
+/** 事件总线上下文（React Context），值为事件总线或命名空间，未提供时为 null */
+export const TrameContext: any;
+
+/** 事件总线的可序列化状态 */
+export interface BusState {
+  sticky: Array<{ event: string; args: unknown[] }>;
+  snapshot: Record<string, unknown>;
+}
+
+/** createRequestScopedBus 配置选项 */
+export interface RequestScopedBusOptions extends EventBusOptions {
+  /** 需要记录的事件（支持通配符），默认为 "**"，false 表示不记录 */
+  sticky?: string | string[] | false;
+  /** 记录到事件快照的事件，默认与 sticky 相同 */
+  snapshotEvents?: string | string[];
+}
+
+/** 创建请求级事件总线，每个服务端渲染请求使用独立的实例 */
+export function createRequestScopedBus<E extends EventMap<E> = DefaultEvents, R extends RequestMap<R> = DefaultRequests>(
+  options?: RequestScopedBusOptions
+): EventBus<E, R>;
+
+/** 将事件总线状态序列化为可以直接嵌入 <script> 的JSON字符串，无法无损序列化的记录会被跳过 */
+export function serializeBusState(bus: EventBus<any, any>): string;
+
+/** 在客户端恢复服务端渲染时的事件总线状态，快照中的事件之后触发时继续更新快照 */
+export function hydrateBus<B extends EventBus<any, any> = EventBus>(state: BusState | string | null | undefined, bus?: B): B;
+
+export function createBroadcastTransport(options: BroadcastTransportOptions): BroadcastTransport;
+
+export function createPostMessageBridge(bus: EventBus<any, any>, options: PostMessageBridgeOptions): PostMessageBridge;
+
+export const on: EventBus['on'];
+export const once: EventBus['once'];
+export const off: EventBus['off'];
+export const emit: EventBus['emit'];
+export const emitAsync: EventBus['emitAsync'];
+export const request: EventBus['request'];
+export const respond: EventBus['respond'];
+export const onMany: EventBus['onMany'];
+export const onceMany: EventBus['onceMany'];
+export const setPriority: EventBus['setPriority'];
+export const getMetrics: EventBus['getMetrics'];
+export const resetMetrics: EventBus['resetMetrics'];
+export const setOptions: EventBus['setOptions'];
+export const use: EventBus['use'];
+export const defineEvent: EventBus['defineEvent'];
+export const setSticky: EventBus['setSticky'];
+export const clearSticky: EventBus['clearSticky'];
+export const debug: DebugAPI;
+
+export default eventBus;
+
+/** connectElement 的转发规则 */
+export interface ElementMapRule {
+  /** 总线事件名称，通配符模式只能从总线转发到DOM */
+  event: string;
+  /** 转发方向：in（DOM -> 总线）、out（总线 -> DOM）、both，默认 both（通配符为 out） */
+  direction?: 'in' | 'out' | 'both';
+  /** 总线订阅的优先级(0-100，默认50) */
+  priority?: number;
+}
+
+/** connectElement 配置选项 */
+export interface ConnectElementOptions {
+  /** DOM事件类型 -> 总线事件名称或转发规则 */
+  map: Record<string, string | ElementMapRule>;
+  /** 派发的DOM事件是否冒泡，默认 true */
+  bubbles?: boolean;
+  /** 派发的DOM事件是否穿过 Shadow DOM 边界，默认 true */
+  composed?: boolean;
+}
+
+/** 在DOM CustomEvent 和总线事件之间双向转发，返回断开连接函数 */
+export function connectElement(
+  el: EventTarget,
+  bus: EventBus<any, any> | NamespacedEventBus<any, any> | null | undefined,
+  options: ConnectElementOptions
+): () => void;
+
+/** TrameElementMixin 为自定义元素添加的实例成员 */
+export interface TrameElement {
+  /** 使用的事件总线，默认为 static trameBus 或全局事件总线 */
+  eventBus: EventBus<any, any> | NamespacedEventBus<any, any>;
+  /** 与 useVueEventBus 相同的API，订阅在元素断开时清理 */
+  readonly trame: AdapterEventBus<any, any> & { cleanup(): void };
+  connectedCallback(): void;
+  disconnectedCallback(): void;
+}
+
+/** TrameElementMixin 读取的静态成员 */
+export interface TrameElementStatics {
+  /** 事件名称（支持通配符） -> 方法名、函数、{ handler, priority, replay } 或它们的数组 */
+  trameEvents?: EventsOption;
+  /** 传给 connectElement 的 map */
+  trameMap?: ConnectElementOptions['map'];
+  /** 使用的事件总线 */
+  trameBus?: EventBus<any, any> | NamespacedEventBus<any, any>;
+}
+
+/** 自定义元素 mixin，订阅随 connectedCallback 建立、disconnectedCallback 清理 */
+export function TrameElementMixin<B extends new (...args: any[]) => HTMLElement>(
+  Base?: B
+): B & TrameElementStatics & (new (...args: any[]) => TrameElement);
@@ -0,0 +1,32 @@
+import type {
+  AdapterEventBus, DefaultEvents, DefaultRequests, EventBus, EventMap, EventPattern, NamespacedEventBus, PayloadOf, RequestMap
+} from './index';
+
+/** Solid 适配器 */
+export interface SolidEventBus<E extends EventMap<E> = DefaultEvents, R extends RequestMap<R> = DefaultRequests>
+  extends AdapterEventBus<E, R> {
+  /** 手动清理当前作用域的所有订阅 */
+  cleanup(): void;
+}
+
+/** createEventSignal 配置选项 */
+export interface EventSignalOptions<E extends EventMap<E> = DefaultEvents> {
+  /** 处理函数优先级(0-100，默认50) */
+  priority?: number;
+  /** 是否立即回放已记录的粘性事件 */
+  replay?: boolean;
+  /** 自定义事件总线 */
+  eventBus?: EventBus<E, any> | NamespacedEventBus<E, any>;
+}
+
+/** 在组件或响应式作用域中调用，作用域销毁时自动清理订阅 */
+export function useSolidEventBus<E extends EventMap<E> = DefaultEvents, R extends RequestMap<R> = DefaultRequests>(
+  customEventBus?: EventBus<E, R> | NamespacedEventBus<E, R>
+): SolidEventBus<E, R>;
+
+/** 创建信号，值为最近一次事件数据 */
+export function createEventSignal<E extends EventMap<E> = DefaultEvents, P extends EventPattern<E> = EventPattern<E>>(
+  event: P,
+  initialValue: PayloadOf<E, P>,
+  options?: EventSignalOptions<E>
+): () => PayloadOf<E, P>;
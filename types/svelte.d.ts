@@ -0,0 +1,37 @@
+import type {
+  AdapterEventBus, DefaultEvents, DefaultRequests, EventBus, EventMap, EventPattern, NamespacedEventBus, PayloadOf, RequestMap
+} from './index';
+
+/** Svelte 适配器 */
+export interface SvelteEventBus<E extends EventMap<E> = DefaultEvents, R extends RequestMap<R> = DefaultRequests>
+  extends AdapterEventBus<E, R> {
+  /** 手动清理当前组件的所有订阅 */
+  cleanup(): void;
+}
+
+/** Svelte 可读 store（与 svelte/store 的 Readable 结构兼容） */
+export interface EventStore<T> {
+  subscribe(run: (value: T) => void, invalidate?: (value?: T) => void): () => void;
+}
+
+/** eventStore 配置选项 */
+export interface EventStoreOptions<E extends EventMap<E> = DefaultEvents> {
+  /** 处理函数优先级(0-100，默认50) */
+  priority?: number;
+  /** 是否立即回放已记录的粘性事件 */
+  replay?: boolean;
+  /** 自定义事件总线 */
+  eventBus?: EventBus<E, any> | NamespacedEventBus<E, any>;
+}
+
+/** 在组件初始化时调用，组件销毁时自动清理订阅 */
+export function useSvelteEventBus<E extends EventMap<E> = DefaultEvents, R extends RequestMap<R> = DefaultRequests>(
+  customEventBus?: EventBus<E, R> | NamespacedEventBus<E, R>
+): SvelteEventBus<E, R>;
+
+/** 创建可读 store，值为最近一次事件数据 */
+export function eventStore<E extends EventMap<E> = DefaultEvents, P extends EventPattern<E> = EventPattern<E>>(
+  event: P,
+  initialValue: PayloadOf<E, P>,
+  options?: EventStoreOptions<E>
+): EventStore<PayloadOf<E, P>>;
@@ -0,0 +1,65 @@
+import type {
+  AdapterEventBus, DefaultEvents, DefaultRequests, EventBus, EventHandler, EventMap, EventPattern, NamespacedEventBus, PayloadOf,
+  RateLimitOptions, RequestMap, SelectOptions
+} from './index';
+
+/** Vue 适配器 */
+export interface VueEventBus<E extends EventMap<E> = DefaultEvents, R extends RequestMap<R> = DefaultRequests>
+  extends AdapterEventBus<E, R> {
+  /** 手动清理当前组件的所有订阅 */
+  cleanup(): void;
+}
+
+/** Vue 插件选项 */
+export interface VuePluginOptions {
+  eventBus?: EventBus<any, any>;
+}
+
+export function useVueEventBus<E extends EventMap<E> = DefaultEvents, R extends RequestMap<R> = DefaultRequests>(
+  customEventBus?: EventBus<E, R>
+): VueEventBus<E, R>;
+
+/** watchEvent 配置选项 */
+export interface WatchEventOptions<E extends EventMap<E> = DefaultEvents> extends RateLimitOptions, SelectOptions {
+  /** 是否立即用已记录的粘性事件调用回调 */
+  immediate?: boolean;
+  /** 处理函数优先级(0-100，默认50) */
+  priority?: number;
+  /** 自定义事件总线 */
+  eventBus?: EventBus<E, any> | NamespacedEventBus<E, any>;
+}
+
+/** Vue ref（与 vue 的 Ref 结构兼容） */
+export interface EventRef<T> {
+  value: T;
+}
+
+/** 监听事件，随当前 effectScope 或组件销毁自动停止 */
+export function watchEvent<E extends EventMap<E> = DefaultEvents, P extends EventPattern<E> = EventPattern<E>>(
+  event: P,
+  callback: EventHandler<E, P>,
+  options?: WatchEventOptions<E>
+): () => void;
+
+/** 返回随事件更新的 ref */
+export function useEventRef<E extends EventMap<E> = DefaultEvents, P extends EventPattern<E> = EventPattern<E>>(
+  event: P,
+  initialValue: PayloadOf<E, P>,
+  options?: WatchEventOptions<E>
+): EventRef<PayloadOf<E, P>>;
+
+/** 返回根据最近一次事件数据计算的只读 ref */
+export function useEventComputed<T, E extends EventMap<E> = DefaultEvents, P extends EventPattern<E> = EventPattern<E>>(
+  event: P,
+  getter: (payload: PayloadOf<E, P>) => T,
+  initialValue?: PayloadOf<E, P>,
+  options?: WatchEventOptions<E>
+): Readonly<EventRef<T>>;
+
+export function createVuePlugin(options?: VuePluginOptions): { install(app: any): void };
+
+/** @deprecated 请使用 createRequestScopedBus() */
+export function createSSRSafeEventBus(): VueEventBus;
+
+/** 提供事件总线的 Vue 注入键 */
+export const TRAME_BUS_KEY: unique symbol;